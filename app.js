@@ -3,50 +3,127 @@
  * Provides haptic feedback for different interactive zones
  */
 
-// Import Capacitor Haptics for better PWA support
-import { Haptics, ImpactStyle, NotificationType } from '@capacitor/haptics';
+import { HapticsEngine, AudioBackend, GamepadBackend } from './src/haptics/index.js';
+import { PatternStore, eventKey } from './src/haptics/pattern-store.js';
+import { AudioFeedback } from './src/audio/index.js';
+import { Settings } from './src/settings.js';
+import { UsageStats } from './src/stats/index.js';
+import { BreathingPacer } from './src/breathing/index.js';
+import { StateStore } from './src/storage/state-store.js';
+import { RecordingStore } from './src/storage/recording-store.js';
+import { ProfileStore } from './src/storage/profile-store.js';
+import { SessionRecorder, SessionPlayer } from './src/sessions/index.js';
+import { UpdateManager } from './src/update/index.js';
+import { PROFILE_FORMAT, PROFILE_VERSION, decodeProfile, sharedProfileData } from './src/profiles/index.js';
+import { skinKey, getSkin, pairedSettings } from './src/themes/index.js';
+import { Cube } from './src/cube/cube.js';
+import { zoneIds } from './src/cube/layout.js';
+import { LayoutStore } from './src/cube/layout-store.js';
+import { LayoutEditor } from './src/cube/layout-editor.js';
+import { getZoneType, onZoneRegistered } from './src/zones/index.js';
+import { PointerDispatcher } from './src/input/pointer-dispatcher.js';
+import { MotionInput } from './src/input/motion-input.js';
+import { GamepadInput } from './src/input/gamepad-input.js';
+import { FLICK_SPEED } from './src/core/spinner.js';
+import { Toolbar } from './src/ui/toolbar.js';
+import { createSoundPanel } from './src/ui/sound-panel.js';
+import { createPatternPanel } from './src/ui/pattern-panel.js';
+import { createStatsPanel } from './src/ui/stats-panel.js';
+import { createBreathingPanel } from './src/ui/breathing-panel.js';
+import { createSettingsPanel } from './src/ui/settings-panel.js';
+import { createSessionsPanel } from './src/ui/sessions-panel.js';
+import { createProfilesPanel } from './src/ui/profiles-panel.js';
 
 class FidgitApp {
     constructor() {
-        this.zones = {};
+        this.zones = {}; // Mounted Zone instances keyed by zone id
         this.activeZone = null;
-        this.hapticSupported = 'vibrate' in navigator;
-        this.capacitorAvailable = false; // Track if Capacitor is available
         this.userActivated = false; // Track if we have user activation
+
+        // Persisted user preferences
+        this.settings = new Settings();
+
+        // Synthesized audio feedback, used alongside or instead of vibration
+        this.audio = new AudioFeedback({
+            pack: this.settings.get('soundPack'),
+            volume: this.settings.get('volume')
+        });
+
+        // Haptics engine - picks Capacitor, Vibration API or silent once detected
+        this.haptics = new HapticsEngine({
+            audio: AudioBackend.isAvailable() ? new AudioBackend(this.audio) : null,
+            mode: this.feedbackMode,
+            intensity: this.settings.get('hapticIntensity')
+        });
+        this.haptics.detect();
+
+        // Custom haptic patterns and the pattern chosen for each zone event
+        this.patternStore = new PatternStore();
+        const { patterns, assignments } = this.patternStore.load();
+        this.customPatterns = patterns;
+        this.assignments = assignments;
+        Object.entries(patterns).forEach(([name, steps]) => this.haptics.definePattern(name, steps));
+
+        this.settings.subscribe((key, value) => this.applySetting(key, value));
+
+        // Reduced motion follows the system preference unless overridden
+        this.motionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+        this.motionQuery?.addEventListener?.('change', () => this.applyMotion());
+        this.applyMotion();
+
+        // The cube's look, see src/themes/skins.js
+        this.applySkin();
         
-        // Check if Capacitor is available
-        this.checkCapacitorAvailability();
-        
-        // State for each zone
-        this.state = {
-            spinner: { rotation: 0, velocity: 0, lastAngle: null },
-            slider: { position: 10, isDragging: false },
-            click: { pressed: false },
-            dial: { rotation: 0, lastAngle: null },
-            toggle: { on: false },
-            roll: { x: 0, y: 0, lastX: null, lastY: null }
-        };
+        // State for each zone, keyed by zone id and shaped by the zone type
+        this.state = {};
+
+        // Zone state saved by a previous launch, restored as zones mount
+        this.store = new StateStore();
+        const saved = this.store.load();
+        this.savedZones = saved.zones;
+        this.savedFace = saved.face;
+
+        // Usage statistics, kept on this device only
+        this.stats = new UsageStats();
+
+        // Which zones sit on which face, as arranged on this device
+        this.layoutStore = new LayoutStore();
+        this.layout = this.layoutStore.load();
+
+        // Recorded fidget sessions, newest first, and their recorder and player
+        this.recordingStore = new RecordingStore();
+        this.recordings = this.recordingStore.load();
+        this.recorder = new SessionRecorder();
+        this.player = new SessionPlayer(this);
+
+        // Saved setups to switch between, and the one last switched to
+        this.profileStore = new ProfileStore();
+        const { profiles, active } = this.profileStore.load();
+        this.profiles = profiles;
+        this.activeProfile = active;
+
+        // Tilt and shake from the device's motion sensors, while turned on
+        this.motion = new MotionInput({
+            onTilt: () => this.leanZones(),
+            onShake: shake => this.shakeZones(shake)
+        });
+        this.motion.sensitivity = this.settings.get('motionSensitivity');
+        this.motion.neutral = this.settings.get('motionCalibration');
+        this.tilted = new Map(); // Zone -> the lean it was last given, while not level
+
+        // Game controllers driving zones, and their rumble as haptic feedback
+        this.gamepad = new GamepadInput({
+            onInput: (type, event) => this.controllerInput(type, event),
+            onTurn: direction => this.cube.turn(direction)
+        });
+        this.gamepad.setMapping(this.settings.get('gamepadMapping'));
+        this.rumble = new GamepadBackend();
+        this.controllerLeans = {}; // Zone type -> { x, y } lean from a stick or trigger
+        this.controllerHeld = new Map(); // Zone type -> zones a controller pressed
 
         this.init();
     }
 
-    // Check if Capacitor is available
-    async checkCapacitorAvailability() {
-        try {
-            // Try to check if Haptics is available
-            // Capacitor is available if we can import and access the Haptics module
-            this.capacitorAvailable = typeof Haptics !== 'undefined' && typeof Haptics.impact === 'function';
-            if (this.capacitorAvailable) {
-                console.log('Capacitor Haptics available');
-            } else {
-                console.log('Capacitor not available, falling back to Vibration API');
-            }
-        } catch (error) {
-            this.capacitorAvailable = false;
-            console.log('Capacitor not available, falling back to Vibration API');
-        }
-    }
-
     init() {
         // Wait for DOM to be ready
         if (document.readyState === 'loading') {
@@ -57,83 +134,249 @@ class FidgitApp {
     }
 
     setup() {
-        // Get all zones
-        document.querySelectorAll('.fidgit-zone').forEach(zone => {
-            const zoneType = zone.dataset.zone;
-            this.zones[zoneType] = zone;
+        // Shared pointer dispatcher - each zone owns the pointers that go down on it
+        this.input = new PointerDispatcher(document);
+
+        // Six-faced cube, each face holding its own zones
+        this.cube = new Cube(this, document.getElementById('fidgit-container'), this.layout);
+        this.cube.render();
+
+        // Instantiate a zone for every element with a registered data-zone type
+        this.mountZones();
+
+        this.cube.show(this.savedFace);
+        this.cube.setupGestures(this.input);
+
+        // Zone types registered later (custom zones) are mounted as they arrive
+        onZoneRegistered(() => this.mountZones());
+
+        // Save zone state when a gesture ends and when the page is hidden or unloaded
+        this.input.observe(phase => {
+            if (phase === 'end' || phase === 'cancel') this.requestSave();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveState();
+                this.stats.flush();
+            }
+        });
+        window.addEventListener('pagehide', () => {
+            this.saveState();
+            this.stats.flush();
         });
 
-        // Setup event listeners for each zone type
-        this.setupSpinner();
-        this.setupSlider();
-        this.setupClick();
-        this.setupDial();
-        this.setupToggle();
-        this.setupRoll();
+        // Polite live region for screen reader announcements
+        this.announcer = document.createElement('div');
+        this.announcer.className = 'visually-hidden';
+        this.announcer.setAttribute('role', 'status');
+        this.announcer.setAttribute('aria-live', 'polite');
+        document.body.appendChild(this.announcer);
+
+        // Toolbar and panels
+        this.toolbar = new Toolbar();
+        this.soundPanel = createSoundPanel(this);
+        this.toolbar.addButton({
+            id: 'sound-btn',
+            icon: '♪',
+            label: 'Sound',
+            onClick: () => this.soundPanel.toggle()
+        });
+        this.settingsPanel = createSettingsPanel(this);
+        this.toolbar.addButton({
+            id: 'settings-btn',
+            icon: '⚙',
+            label: 'Settings',
+            onClick: () => this.settingsPanel.toggle()
+        });
+        this.patternPanel = createPatternPanel(this);
+        this.toolbar.addButton({
+            id: 'patterns-btn',
+            icon: '〰',
+            label: 'Haptic patterns',
+            onClick: () => this.patternPanel.toggle()
+        });
+        this.pacer = new BreathingPacer(this);
+        this.breathingPanel = createBreathingPanel(this);
+        this.toolbar.addButton({
+            id: 'breathe-btn',
+            icon: '◌',
+            label: 'Breathe',
+            onClick: () => this.breathingPanel.toggle()
+        });
+        this.statsPanel = createStatsPanel(this);
+        this.toolbar.addButton({
+            id: 'stats-btn',
+            icon: '▥',
+            label: 'Stats',
+            onClick: () => this.statsPanel.toggle()
+        });
+        this.sessionsPanel = createSessionsPanel(this);
+        this.sessionsButton = this.toolbar.addButton({
+            id: 'sessions-btn',
+            icon: '⏺',
+            label: 'Sessions',
+            onClick: () => {
+                // While recording the button stops it, showing the new recording
+                if (this.recorder.active) {
+                    this.stopRecording();
+                    this.sessionsPanel.open();
+                } else {
+                    this.sessionsPanel.toggle();
+                }
+            }
+        });
+        this.profilesPanel = createProfilesPanel(this);
+        this.toolbar.addButton({
+            id: 'profiles-btn',
+            icon: '☰',
+            label: 'Profiles',
+            onClick: () => this.profilesPanel.toggle()
+        });
+        this.layoutEditor = new LayoutEditor(this);
+        this.toolbar.addButton({
+            id: 'edit-btn',
+            icon: '✎',
+            label: 'Edit layout',
+            onClick: () => this.layoutEditor.toggle()
+        });
+        this.toolbar.addButton({
+            id: 'reset-btn',
+            icon: '⟲',
+            label: 'Reset cube',
+            onClick: () => {
+                if (window.confirm('Reset every zone to its starting position?')) {
+                    this.resetState();
+                }
+            }
+        });
 
-        // Prevent default touch behaviors
-        document.addEventListener('touchmove', e => e.preventDefault(), { passive: false });
+        // Prevent default touch behaviors (panels keep theirs so controls work)
+        document.addEventListener('touchmove', e => {
+            if (!e.target.closest?.('.fidgit-panel')) e.preventDefault();
+        }, { passive: false });
         
-        // Request fullscreen on double-tap (less disruptive than single tap)
+        // Request fullscreen on double-tap (less disruptive than single tap),
+        // unless turned off in settings
         let lastTap = 0;
-        const handleDoubleTap = () => {
+        this.input.observe((phase, pointer) => {
+            if (phase !== 'end' || pointer.type !== 'touch') return;
+            if (!this.settings.get('doubleTapFullscreen')) return;
+
             const now = Date.now();
             if (now - lastTap < 300) {
                 this.requestFullscreen();
             }
             lastTap = now;
-        };
-        document.addEventListener('touchend', handleDoubleTap);
+        });
 
-        // Register service worker
-        this.registerServiceWorker();
+        if (this.settings.get('motionInput')) {
+            this.resumeMotion();
+        }
+        window.addEventListener('gamepadconnected', () => this.connectController());
+        window.addEventListener('gamepaddisconnected', () => this.connectController());
+
+        // A profile shared as a link is offered on launch, or when a link is
+        // opened in a running tab
+        this.openSharedProfile();
+        window.addEventListener('hashchange', () => this.openSharedProfile());
+
+        // Service worker and updates - an update that just reloaded the app
+        // puts the cube back as it was
+        this.updates = new UpdateManager(this);
+        this.updates.restore();
+        this.updates.start();
 
-        // Start animation loop for spinner momentum
+        // Start animation loop for zone momentum
         this.animationLoop();
     }
 
-    // Haptic feedback patterns
-    async vibrate(pattern) {
-        if (!this.userActivated) return; // Require user activation for vibration
-        
-        // Use Capacitor Haptics if available (better PWA support)
-        if (this.capacitorAvailable) {
-            try {
-                // Map patterns to Capacitor Haptics styles
-                const patternToStyleMap = {
-                    [this.hapticPatterns.tap]: ImpactStyle.Light,
-                    [this.hapticPatterns.tick]: ImpactStyle.Light,
-                    [this.hapticPatterns.spinTick]: ImpactStyle.Light,
-                    [this.hapticPatterns.dialNotch]: ImpactStyle.Light,
-                    [this.hapticPatterns.roll]: ImpactStyle.Light,
-                    [this.hapticPatterns.click]: ImpactStyle.Medium,
-                    [this.hapticPatterns.toggle]: ImpactStyle.Medium,
-                    [this.hapticPatterns.heavy]: ImpactStyle.Heavy
-                };
-                
-                const style = patternToStyleMap[pattern] || ImpactStyle.Medium;
-                await Haptics.impact({ style });
-                return; // Success, no need to fall back
-            } catch (error) {
-                console.debug('Capacitor Haptics failed:', error.message);
-                // Fall through to legacy vibration API
-            }
+    // Play a haptic pattern - a pattern name, step list or vibration array
+    vibrate(pattern) {
+        this.haptics.play(pattern, { activated: this.userActivated });
+    }
+
+    // Fire the feedback a zone declares for one of its events
+    // Coasting feedback (from momentum, not a finger) only reaches backends
+    // that can play without a gesture, unless the user is touching the screen.
+    // Feedback muted for the zone type in settings is left out, and so is
+    // feedback during playback unless playback haptics are on.
+    feedback(zone, event, { coasting = false } = {}) {
+        const replaying = this.player.playing;
+        if (!replaying) {
+            this.stats.recordEvent(zone.type, event);
         }
-        
-        // Fall back to legacy Vibration API
-        if (!this.hapticSupported) return;
-        
-        try {
-            const result = navigator.vibrate(pattern);
-            if (!result) {
-                // Vibration was rejected - could be due to browser permissions,
-                // device limitations, or silent/DND mode
-                console.debug('Vibration rejected - check browser permissions and device settings');
-            }
-        } catch (error) {
-            // Vibration API may not be available in some contexts (e.g., insecure origins)
-            console.debug('Vibration not available:', error.message);
+        const pattern = this.patternFor(zone.constructor, event);
+        if (pattern && (!replaying || this.player.haptics)) {
+            this.haptics.play(pattern, {
+                activated: this.userActivated,
+                gesture: !coasting || this.gestureActive(),
+                muted: this.settings.get('zoneMutes')[zone.type]
+            });
+        }
+        this.requestSave();
+    }
+
+    // Add to a usage statistic for a zone, e.g. revolutions turned - not
+    // while a recording plays
+    track(zone, metric, amount) {
+        if (this.player.playing) return;
+        this.stats.add(zone.type, metric, amount);
+    }
+
+    // Read a message out to screen reader users
+    announce(text) {
+        // Clear first so repeating the same message is still announced
+        this.announcer.textContent = '';
+        requestAnimationFrame(() => {
+            this.announcer.textContent = text;
+        });
+    }
+
+    // Pattern for a zone event: the one the user assigned, if it still
+    // exists, otherwise the zone type's own
+    patternFor(ZoneClass, event) {
+        const assigned = this.assignments[eventKey(ZoneClass.type, event)];
+        if (assigned && this.haptics.patterns[assigned]) {
+            return assigned;
         }
+        return ZoneClass.haptics[event];
+    }
+
+    // Add or replace a custom pattern
+    savePattern(name, steps) {
+        this.customPatterns[name] = steps;
+        this.haptics.definePattern(name, steps);
+        this.savePatterns();
+    }
+
+    // Delete a custom pattern, events it was assigned to go back to their own
+    deletePattern(name) {
+        delete this.customPatterns[name];
+        this.haptics.removePattern(name);
+        Object.keys(this.assignments).forEach(key => {
+            if (this.assignments[key] === name) delete this.assignments[key];
+        });
+        this.savePatterns();
+    }
+
+    // Choose the pattern for a zone event, null for the zone's own
+    assignPattern(type, event, name) {
+        if (name) {
+            this.assignments[eventKey(type, event)] = name;
+        } else {
+            delete this.assignments[eventKey(type, event)];
+        }
+        this.savePatterns();
+    }
+
+    savePatterns() {
+        this.patternStore.save({ patterns: this.customPatterns, assignments: this.assignments });
+    }
+
+    // Whether a gesture is in progress: a finger is down anywhere on the
+    // screen or the browser still reports transient user activation
+    gestureActive() {
+        return this.input.activeCount > 0 || Boolean(navigator.userActivation?.isActive);
     }
 
     // Mark that we have user activation for haptic feedback
@@ -141,364 +384,471 @@ class FidgitApp {
     // to enable haptic feedback for subsequent vibration calls
     markUserActivation() {
         this.userActivated = true;
+        // Audio contexts also only start from a gesture
+        if (this.haptics.audioActive) {
+            this.audio.unlock();
+        }
     }
 
-    // Different haptic patterns for different interactions
-    hapticPatterns = {
-        // Quick tap - single short pulse
-        tap: [15],
-        // Click - satisfying click feel
-        click: [10, 30, 20],
-        // Slide tick - very short pulse for slider notches
-        tick: [5],
-        // Toggle - two-stage feedback
-        toggle: [20, 50, 30],
-        // Spin tick - rapid light pulses
-        spinTick: [3],
-        // Dial notch - medium pulse
-        dialNotch: [12],
-        // Roll - continuous light vibration
-        roll: [8],
-        // Heavy press
-        heavy: [50]
-    };
-
-    // Spinner zone - rotates with momentum
-    setupSpinner() {
-        const zone = this.zones.spinner;
-        if (!zone) return;
+    // Feedback mode in effect - silent meeting mode overrides the chosen one
+    get feedbackMode() {
+        return this.settings.get('meetingMode') ? 'off' : this.settings.get('feedbackMode');
+    }
 
-        const spinner = zone.querySelector('.spinner-element');
-        let lastTouch = null;
-        let lastTime = null;
+    // Whether to leave out momentum and 3D effects, from the motion setting
+    // or, when it follows the system, prefers-reduced-motion
+    applyMotion() {
+        const motion = this.settings.get('motion');
+        this.reducedMotion = motion === 'system' ? Boolean(this.motionQuery?.matches) : motion === 'reduce';
+        document.documentElement.classList.toggle('reduced-motion', this.reducedMotion);
+    }
 
-        const getAngle = (touch, rect) => {
-            const centerX = rect.left + rect.width / 2;
-            const centerY = rect.top + rect.height / 2;
-            return Math.atan2(touch.clientY - centerY, touch.clientX - centerX);
-        };
+    // Show the chosen skin, and color the browser around the app to match
+    applySkin() {
+        const key = skinKey(this.settings.get('skin'));
+        document.documentElement.dataset.skin = key;
+        document.querySelector('meta[name="theme-color"]')?.setAttribute('content', getSkin(key).themeColor);
+    }
 
-        const handleStart = (e) => {
-            e.preventDefault();
-            this.markUserActivation(); // Mark user activation
-            const touch = e.touches ? e.touches[0] : e;
-            const rect = spinner.getBoundingClientRect();
-            lastTouch = getAngle(touch, rect);
-            lastTime = Date.now();
-            this.state.spinner.velocity = 0;
-            zone.classList.add('active');
-            this.vibrate(this.hapticPatterns.tap);
-        };
+    // Switch to the sound pack and haptic intensity the skin pairs with
+    pairSkin() {
+        Object.entries(pairedSettings(this.settings.get('skin')))
+            .forEach(([key, value]) => this.settings.set(key, value));
+    }
 
-        const handleMove = (e) => {
-            if (lastTouch === null) return;
-            e.preventDefault();
-            
-            const touch = e.touches ? e.touches[0] : e;
-            const rect = spinner.getBoundingClientRect();
-            const currentAngle = getAngle(touch, rect);
-            
-            let delta = currentAngle - lastTouch;
-            
-            // Handle angle wraparound
-            if (delta > Math.PI) delta -= 2 * Math.PI;
-            if (delta < -Math.PI) delta += 2 * Math.PI;
-            
-            const now = Date.now();
-            const dt = now - lastTime;
-            
-            this.state.spinner.rotation += delta * (180 / Math.PI);
-            this.state.spinner.velocity = (delta * (180 / Math.PI)) / (dt || 1) * 16;
-            
-            spinner.style.transform = `rotate(${this.state.spinner.rotation}deg)`;
-            
-            // Tick feedback every 30 degrees
-            const oldTicks = Math.floor((this.state.spinner.rotation - delta * (180 / Math.PI)) / 30);
-            const newTicks = Math.floor(this.state.spinner.rotation / 30);
-            if (oldTicks !== newTicks) {
-                this.vibrate(this.hapticPatterns.spinTick);
-            }
-            
-            lastTouch = currentAngle;
-            lastTime = now;
-        };
+    // Apply a changed setting to the running app
+    applySetting(key, value) {
+        switch (key) {
+            case 'feedbackMode':
+            case 'meetingMode':
+                this.haptics.setMode(this.feedbackMode);
+                break;
+            case 'hapticIntensity':
+                this.haptics.setIntensity(value);
+                break;
+            case 'motion':
+                this.applyMotion();
+                break;
+            case 'soundPack':
+                this.audio.setPack(value);
+                break;
+            case 'volume':
+                this.audio.setVolume(value);
+                break;
+            case 'skin':
+                this.applySkin();
+                if (this.settings.get('skinPairing')) this.pairSkin();
+                break;
+            case 'skinPairing':
+                if (value) this.pairSkin();
+                break;
+            case 'motionInput':
+                if (value) {
+                    this.motion.start();
+                } else {
+                    this.motion.stop();
+                }
+                break;
+            case 'motionSensitivity':
+                this.motion.sensitivity = value;
+                this.motion.update();
+                break;
+            case 'motionCalibration':
+                this.motion.neutral = value;
+                this.motion.update();
+                break;
+            case 'gamepadMapping':
+                this.gamepad.setMapping(value);
+                break;
+        }
+    }
 
-        const handleEnd = () => {
-            lastTouch = null;
-            zone.classList.remove('active');
-        };
+    // Turn motion input on from a tap, asking for the sensors first where the
+    // browser requires it; resolves to whether they may be used
+    async enableMotion() {
+        const granted = await MotionInput.requestPermission();
+        if (granted) {
+            this.settings.set('motionInput', true);
+        }
+        return granted;
+    }
 
-        spinner.addEventListener('touchstart', handleStart, { passive: false });
-        spinner.addEventListener('mousedown', handleStart);
-        document.addEventListener('touchmove', handleMove, { passive: false });
-        document.addEventListener('mousemove', handleMove);
-        document.addEventListener('touchend', handleEnd);
-        document.addEventListener('mouseup', handleEnd);
+    // Listen to the motion sensors on launch - where the browser asks for
+    // them first, that waits for the first tap
+    resumeMotion() {
+        if (!MotionInput.needsPermission) {
+            this.motion.start();
+            return;
+        }
+        document.addEventListener('pointerup', async () => {
+            if (await MotionInput.requestPermission() && this.settings.get('motionInput')) {
+                this.motion.start();
+            }
+        }, { once: true });
     }
 
-    // Slider zone - slides horizontally with notches
-    setupSlider() {
-        const zone = this.zones.slider;
-        if (!zone) return;
+    // Mounted zones on a cube face
+    zonesOn(faceId) {
+        return [...this.cube.faces[faceId].querySelectorAll('.fidgit-zone')]
+            .map(element => element.fidgitZone)
+            .filter(Boolean);
+    }
 
-        const track = zone.querySelector('.slider-track');
-        const knob = zone.querySelector('.slider-knob');
-        let isDragging = false;
-
-        const updateKnob = (percent) => {
-            const clamped = Math.max(10, Math.min(90, percent));
-            const oldNotch = Math.round(this.state.slider.position / 10);
-            const newNotch = Math.round(clamped / 10);
-            
-            if (oldNotch !== newNotch) {
-                this.vibrate(this.hapticPatterns.tick);
+    // Lean the zones on the face in view that roll with the device or a
+    // controller. The device's tilt and the lean of a stick or trigger
+    // driving the zone's type add up, so neither overrides the other. Zones
+    // left behind by a turn of the cube are levelled. Recordings playing and
+    // the layout editor keep leaning out.
+    leanZones() {
+        const paused = this.player.playing || this.layoutEditor.active;
+        const zones = paused ? [] : this.zonesOn(this.cube.current).filter(zone => zone.accepts('tilt'));
+        this.tilted.forEach((lean, zone) => {
+            if (zones.includes(zone)) return;
+            zone.input({ type: 'tilt', x: 0, y: 0 });
+            this.tilted.delete(zone);
+        });
+
+        const clamp = (value) => Math.max(-1, Math.min(1, value)) || 0;
+        zones.forEach(zone => {
+            const stick = this.controllerLeans[zone.type] ?? { x: 0, y: 0 };
+            const lean = { x: clamp(this.motion.tilt.x + stick.x), y: clamp(this.motion.tilt.y + stick.y) };
+            const last = this.tilted.get(zone) ?? { x: 0, y: 0 };
+            if (lean.x === last.x && lean.y === last.y) return;
+
+            zone.input({ type: 'tilt', ...lean });
+            if (lean.x === 0 && lean.y === 0) {
+                this.tilted.delete(zone);
+            } else {
+                this.tilted.set(zone, lean);
             }
-            
-            this.state.slider.position = clamped;
-            knob.style.left = `${clamped}%`;
-        };
+        });
+    }
 
-        const handleStart = (e) => {
-            e.preventDefault();
-            this.markUserActivation(); // Mark user activation
-            isDragging = true;
-            zone.classList.add('active');
-            this.vibrate(this.hapticPatterns.tap);
-        };
+    // Fling the wheels on the face in view with a shake of the device
+    shakeZones({ direction, strength }) {
+        if (this.player.playing || this.layoutEditor.active) return;
+        this.zonesOn(this.cube.current)
+            .filter(zone => zone.accepts('flick'))
+            .forEach(zone => zone.input({ type: 'flick', direction, speed: FLICK_SPEED * strength, coast: zone.momentum }));
+        this.requestSave();
+    }
 
-        const handleMove = (e) => {
-            if (!isDragging) return;
-            e.preventDefault();
-            
-            const touch = e.touches ? e.touches[0] : e;
-            const rect = track.getBoundingClientRect();
-            const percent = ((touch.clientX - rect.left) / rect.width) * 100;
-            updateKnob(percent);
-        };
+    // Rumble with feedback while a connected controller can
+    connectController() {
+        this.haptics.setController(GamepadBackend.isAvailable() ? this.rumble : null);
+    }
 
-        const handleEnd = () => {
-            if (isDragging) {
-                isDragging = false;
-                zone.classList.remove('active');
-                // Snap to nearest notch
-                const snapped = Math.round(this.state.slider.position / 10) * 10;
-                updateKnob(snapped);
-                this.vibrate(this.hapticPatterns.click);
-            }
-        };
+    // Drive the zones of a type on the face in view from a game controller,
+    // keeping flicks from coasting where motion is reduced. Zones a finger
+    // is holding are left to it. Like the motion sensors it is kept out of
+    // playback and the layout editor, but a stick or button let go still
+    // lets go of the zones it pressed.
+    controllerInput(type, event) {
+        if (event.type === 'tilt') {
+            this.controllerLeans[type] = { x: event.x, y: event.y };
+            this.leanZones();
+            return;
+        }
 
-        knob.addEventListener('touchstart', handleStart, { passive: false });
-        knob.addEventListener('mousedown', handleStart);
-        track.addEventListener('touchstart', (e) => {
-            handleStart(e);
-            handleMove(e);
-        }, { passive: false });
-        track.addEventListener('mousedown', (e) => {
-            handleStart(e);
-            handleMove(e);
+        let zones;
+        if (event.type === 'release') {
+            zones = [...(this.controllerHeld.get(type) ?? [])].filter(zone => this.zones[zone.id] === zone);
+            this.controllerHeld.delete(type);
+        } else {
+            if (this.player.playing || this.layoutEditor.active) return;
+            zones = this.zonesOn(this.cube.current).filter(zone => zone.type === type && zone.accepts(event.type));
+        }
+        zones = zones.filter(zone => zone.touches === 0);
+        if (event.type === 'press') {
+            const held = this.controllerHeld.get(type) ?? new Set();
+            zones.filter(zone => zone.accepts('release')).forEach(zone => held.add(zone));
+            this.controllerHeld.set(type, held);
+        }
+
+        zones.forEach(zone => zone.input('coast' in event ? { ...event, coast: event.coast && zone.momentum } : event));
+        if (event.type !== 'move') {
+            this.requestSave();
+        }
+    }
+
+    // Mount every unmounted zone element whose type is in the registry
+    mountZones(root = document) {
+        root.querySelectorAll('.fidgit-zone').forEach(element => {
+            if (element.fidgitZone) return;
+
+            const ZoneClass = getZoneType(element.dataset.zone);
+            if (!ZoneClass) return;
+
+            this.mountZone(element, ZoneClass);
         });
-        document.addEventListener('touchmove', handleMove, { passive: false });
-        document.addEventListener('mousemove', handleMove);
-        document.addEventListener('touchend', handleEnd);
-        document.addEventListener('mouseup', handleEnd);
     }
 
-    // Click zone - satisfying click button
-    setupClick() {
-        const zone = this.zones.click;
-        if (!zone) return;
+    // Create, render and set up a zone instance for an element
+    mountZone(element, ZoneClass) {
+        const id = element.dataset.zoneId || element.dataset.zone;
+        if (!this.state[id]) {
+            this.state[id] = this.restoreState(id, ZoneClass);
+        }
 
-        const surface = zone.querySelector('.click-surface');
+        const zone = new ZoneClass(this, element, this.state[id]);
+        zone.id = id;
+        zone.render();
+        zone.setup();
+        zone.setupAccess();
+        zone.draw();
 
-        const handleDown = (e) => {
-            e.preventDefault();
-            this.markUserActivation(); // Mark user activation
-            surface.classList.add('pressed');
-            this.state.click.pressed = true;
-            this.vibrate(this.hapticPatterns.click);
-        };
+        element.fidgitZone = zone;
+        this.zones[id] = zone;
+        return zone;
+    }
 
-        const handleUp = () => {
-            if (this.state.click.pressed) {
-                surface.classList.remove('pressed');
-                this.state.click.pressed = false;
-                this.vibrate(this.hapticPatterns.tap);
-            }
-        };
+    // Saved state for a zone merged over its defaults, or just the defaults
+    // when nothing was saved or the saved zone was of another type
+    restoreState(id, ZoneClass) {
+        const saved = this.savedZones[id];
+        if (saved && saved.type === ZoneClass.type) {
+            const state = ZoneClass.migrateState(saved.state);
+            return { ...ZoneClass.defaultState(), ...ZoneClass.persistedState(state) };
+        }
+        return ZoneClass.defaultState();
+    }
 
-        surface.addEventListener('touchstart', handleDown, { passive: false });
-        surface.addEventListener('mousedown', handleDown);
-        surface.addEventListener('touchend', handleUp);
-        surface.addEventListener('mouseup', handleUp);
-        surface.addEventListener('mouseleave', handleUp);
+    // Persistable snapshot of the current face and every zone's state, keeping
+    // saved state of zones that aren't mounted (e.g. custom zones not yet
+    // registered) but dropping that of zones no longer in the layout
+    serializeState() {
+        const ids = zoneIds(this.layout);
+        const zones = Object.fromEntries(Object.entries(this.savedZones).filter(([id]) => ids.has(id)));
+        Object.values(this.zones).forEach(zone => {
+            zones[zone.id] = {
+                type: zone.type,
+                state: zone.constructor.persistedState(zone.state)
+            };
+        });
+        return { face: this.cube.current, zones };
     }
 
-    // Dial zone - rotatable dial with notches
-    setupDial() {
-        const zone = this.zones.dial;
-        if (!zone) return;
+    // A new cube face has locked in
+    faceChanged(faceId) {
+        this.recorder.face(faceId);
+        this.leanZones();
+        this.requestSave();
+    }
 
-        const dial = zone.querySelector('.dial-element');
-        let lastAngle = null;
+    // Zone state is not saved during playback, which shows a recording's
+    // states rather than the user's own
+    saveState() {
+        if (this.player.playing) return;
+        this.store.save(this.serializeState());
+    }
 
-        const getAngle = (touch, rect) => {
-            const centerX = rect.left + rect.width / 2;
-            const centerY = rect.top + rect.height / 2;
-            return Math.atan2(touch.clientY - centerY, touch.clientX - centerX);
-        };
+    // Save soon, after the current burst of changes
+    requestSave() {
+        if (this.player.playing) return;
+        this.store.scheduleSave(() => this.serializeState());
+    }
 
-        const handleStart = (e) => {
-            e.preventDefault();
-            this.markUserActivation(); // Mark user activation
-            const touch = e.touches ? e.touches[0] : e;
-            const rect = dial.getBoundingClientRect();
-            lastAngle = getAngle(touch, rect);
-            zone.classList.add('active');
-            this.vibrate(this.hapticPatterns.tap);
-        };
+    // Copy of the face in view and the full state of every mounted zone, as
+    // { face, zones: { [zoneId]: { type, state } } }
+    snapshot() {
+        const zones = {};
+        Object.values(this.zones).forEach(zone => {
+            zones[zone.id] = { type: zone.type, state: structuredClone(zone.state) };
+        });
+        return { face: this.cube.current, zones };
+    }
 
-        const handleMove = (e) => {
-            if (lastAngle === null) return;
-            e.preventDefault();
-            
-            const touch = e.touches ? e.touches[0] : e;
-            const rect = dial.getBoundingClientRect();
-            const currentAngle = getAngle(touch, rect);
-            
-            let delta = currentAngle - lastAngle;
-            if (delta > Math.PI) delta -= 2 * Math.PI;
-            if (delta < -Math.PI) delta += 2 * Math.PI;
-            
-            const oldRotation = this.state.dial.rotation;
-            this.state.dial.rotation += delta * (180 / Math.PI);
-            
-            dial.style.transform = `rotate(${this.state.dial.rotation}deg)`;
-            
-            // Notch every 15 degrees
-            const oldNotch = Math.floor(oldRotation / 15);
-            const newNotch = Math.floor(this.state.dial.rotation / 15);
-            if (oldNotch !== newNotch) {
-                this.vibrate(this.hapticPatterns.dialNotch);
-            }
-            
-            lastAngle = currentAngle;
-        };
+    // Put the cube back to a snapshot; zones missing from it, or of another
+    // type than in it, are left as they are
+    applySnapshot({ face, zones }) {
+        Object.entries(zones).forEach(([id, { type, state }]) => {
+            const zone = this.zones[id];
+            if (!zone || zone.type !== type) return;
+            this.setZoneState(zone, zone.constructor.migrateState(structuredClone(state)));
+        });
+        if (face) {
+            this.cube.show(face);
+        }
+    }
 
-        const handleEnd = () => {
-            lastAngle = null;
-            zone.classList.remove('active');
-        };
+    // Replace a zone's state over its defaults and redraw it
+    setZoneState(zone, state) {
+        // Zones hold a reference to their state object, so replace it in place
+        Object.keys(zone.state).forEach(key => delete zone.state[key]);
+        Object.assign(zone.state, zone.constructor.defaultState(), state);
+        zone.refresh();
+    }
 
-        dial.addEventListener('touchstart', handleStart, { passive: false });
-        dial.addEventListener('mousedown', handleStart);
-        document.addEventListener('touchmove', handleMove, { passive: false });
-        document.addEventListener('mousemove', handleMove);
-        document.addEventListener('touchend', handleEnd);
-        document.addEventListener('mouseup', handleEnd);
+    // Start recording a session from the cube as it is now
+    startRecording() {
+        this.recorder.start(this.snapshot());
+        this.sessionsButton.classList.add('recording');
+        this.sessionsButton.title = 'Stop recording';
     }
 
-    // Toggle zone - on/off switch
-    setupToggle() {
-        const zone = this.zones.toggle;
-        if (!zone) return;
+    // Stop recording and keep the new recording, returns it with saved set to
+    // false when storage had no room for it
+    stopRecording() {
+        const recording = this.recorder.stop(this.snapshot(), `Session ${new Date().toLocaleString()}`);
+        this.sessionsButton.classList.remove('recording');
+        this.sessionsButton.title = 'Sessions';
+        if (!recording) return null;
 
-        const toggle = zone.querySelector('.toggle-switch');
+        this.recordings.unshift(this.identify(recording));
+        return { recording, saved: this.saveRecordings() };
+    }
+
+    // Give a recording or profile an id to keep it apart from others saved
+    identify(item) {
+        item.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        return item;
+    }
 
-        const handleToggle = (e) => {
-            e.preventDefault();
-            this.markUserActivation(); // Mark user activation
-            this.state.toggle.on = !this.state.toggle.on;
-            toggle.classList.toggle('on', this.state.toggle.on);
-            this.vibrate(this.hapticPatterns.toggle);
+    // Returns false when storage had no room for the recordings
+    saveRecordings() {
+        return this.recordingStore.save(this.recordings);
+    }
+
+    // The current setup as a profile, see src/profiles/format.js
+    captureProfile(name) {
+        // Edits in progress are only in the DOM until the editor saves them
+        if (this.layoutEditor.active) this.layoutEditor.save();
+        return {
+            format: PROFILE_FORMAT,
+            version: PROFILE_VERSION,
+            name,
+            created: new Date().toISOString(),
+            layout: structuredClone(this.layout),
+            zones: this.zoneConfig(),
+            patterns: structuredClone(this.customPatterns),
+            assignments: { ...this.assignments },
+            settings: structuredClone(this.settings.values)
         };
+    }
 
-        toggle.addEventListener('touchstart', handleToggle, { passive: false });
-        toggle.addEventListener('click', handleToggle);
+    // Configuration of every mounted zone that has some, keyed by zone id -
+    // how the zone is set up, not how it was left
+    zoneConfig() {
+        const zones = {};
+        Object.values(this.zones).forEach(zone => {
+            const config = zone.constructor.configOf(zone.state);
+            if (Object.keys(config).length) zones[zone.id] = config;
+        });
+        return zones;
     }
 
-    // Roll zone - trackball-like rolling
-    setupRoll() {
-        const zone = this.zones.roll;
-        if (!zone) return;
+    // Switch to a profile: its layout, zone configuration, patterns and
+    // settings replace the current ones; zones and settings it leaves out
+    // stay as they are
+    applyProfile(profile) {
+        this.player.stop();
+        if (this.recorder.active) {
+            this.stopRecording();
+        }
+        if (this.layoutEditor.active) {
+            this.layoutEditor.exit();
+        }
+        this.applyLayout(structuredClone(profile.layout));
+        Object.entries(profile.zones ?? {}).forEach(([id, config]) => {
+            const zone = this.zones[id];
+            if (!zone) return;
+            this.setZoneState(zone, zone.constructor.migrateState({ ...zone.state, ...structuredClone(config) }));
+        });
+        this.requestSave();
+
+        Object.keys(this.customPatterns).forEach(name => this.haptics.removePattern(name));
+        this.customPatterns = structuredClone(profile.patterns);
+        Object.entries(this.customPatterns).forEach(([name, steps]) => this.haptics.definePattern(name, steps));
+        this.assignments = { ...profile.assignments };
+        this.savePatterns();
+
+        // Skin first, so the sound pack and intensity it may pair with give
+        // way to the profile's own
+        const { skinPairing, skin, ...settings } = profile.settings;
+        Object.entries({ skinPairing, skin, ...settings })
+            .filter(([, value]) => value !== undefined)
+            .forEach(([key, value]) => this.settings.set(key, structuredClone(value)));
+
+        this.activeProfile = profile.id ?? null;
+        this.saveProfiles();
+    }
 
-        const ball = zone.querySelector('.roll-ball');
-        let lastX = null;
-        let lastY = null;
-        let totalDistance = 0;
-
-        const handleStart = (e) => {
-            e.preventDefault();
-            this.markUserActivation(); // Mark user activation
-            const touch = e.touches ? e.touches[0] : e;
-            lastX = touch.clientX;
-            lastY = touch.clientY;
-            totalDistance = 0;
-            zone.classList.add('active');
-            this.vibrate(this.hapticPatterns.tap);
-        };
+    // Returns false when storage had no room for the profiles
+    saveProfiles() {
+        return this.profileStore.save({ profiles: this.profiles, active: this.activeProfile });
+    }
 
-        const handleMove = (e) => {
-            if (lastX === null) return;
-            e.preventDefault();
-            
-            const touch = e.touches ? e.touches[0] : e;
-            const dx = touch.clientX - lastX;
-            const dy = touch.clientY - lastY;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            this.state.roll.x += dx;
-            this.state.roll.y += dy;
-            totalDistance += distance;
-            
-            // Apply visual rotation based on movement
-            const rotateX = -this.state.roll.y * 0.5;
-            const rotateY = this.state.roll.x * 0.5;
-            ball.style.transform = `rotateX(${rotateX}deg) rotateY(${rotateY}deg)`;
-            
-            // Vibrate every 20px of movement
-            if (totalDistance > 20) {
-                this.vibrate(this.hapticPatterns.roll);
-                totalDistance = 0;
-            }
-            
-            lastX = touch.clientX;
-            lastY = touch.clientY;
-        };
+    // Offer a profile shared in the URL fragment in the profiles panel
+    async openSharedProfile() {
+        const data = sharedProfileData(window.location.hash);
+        if (!data) return;
 
-        const handleEnd = () => {
-            lastX = null;
-            lastY = null;
-            zone.classList.remove('active');
-        };
+        // Out of the address bar, so a reload doesn't offer it again
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        this.profilesPanel.open();
+        try {
+            this.profilesPanel.offer(await decodeProfile(data));
+        } catch (error) {
+            this.profilesPanel.showError(error.message);
+        }
+    }
+
+    // Put every zone back to its default state and forget saved state
+    resetState() {
+        this.store.clear();
+        this.savedZones = {};
+
+        Object.values(this.zones).forEach(zone => this.setZoneState(zone, {}));
+        this.vibrate('heavy');
+    }
+
+    // Replace the cube layout, remounting every zone; zone state is kept by id
+    applyLayout(layout) {
+        Object.keys(this.zones).forEach(id => this.unmountZone(id));
+        this.layout = layout;
+        this.layoutStore.save(layout);
+
+        const face = this.cube.current;
+        this.cube.layout = layout;
+        this.cube.render();
+        this.mountZones();
+        this.cube.show(face);
+    }
+
+    // Drop a removed zone's state so it isn't saved any more
+    forgetZone(id) {
+        delete this.state[id];
+        delete this.savedZones[id];
+        this.requestSave();
+    }
 
-        ball.addEventListener('touchstart', handleStart, { passive: false });
-        ball.addEventListener('mousedown', handleStart);
-        document.addEventListener('touchmove', handleMove, { passive: false });
-        document.addEventListener('mousemove', handleMove);
-        document.addEventListener('touchend', handleEnd);
-        document.addEventListener('mouseup', handleEnd);
+    // Tear down a zone and forget it, keeping its state for a later remount
+    unmountZone(id) {
+        const zone = this.zones[id];
+        if (!zone) return;
+
+        zone.destroy();
+        delete zone.element.fidgitZone;
+        delete this.zones[id];
     }
 
-    // Animation loop for spinner momentum
+    // Animation loop for zones with momentum
     animationLoop() {
-        const spinner = this.zones.spinner?.querySelector('.spinner-element');
-        
-        const animate = () => {
-            // Apply friction to spinner
-            if (Math.abs(this.state.spinner.velocity) > 0.1) {
-                this.state.spinner.velocity *= 0.98;
-                this.state.spinner.rotation += this.state.spinner.velocity;
-                
-                if (spinner) {
-                    spinner.style.transform = `rotate(${this.state.spinner.rotation}deg)`;
-                }
-                
-                // Note: Removed tick feedback during momentum as it requires user activation
-                // Only tick feedback during direct interaction will work in PWA context
-            } else {
-                this.state.spinner.velocity = 0;
-            }
-            
+        let lastTime = null;
+
+        const animate = (time) => {
+            // Seconds since the last frame, capped so a backgrounded tab doesn't jump
+            const dt = lastTime === null ? 0 : Math.min((time - lastTime) / 1000, 0.05);
+            lastTime = time;
+
+            // Controllers have no input events, so they are read every frame
+            this.gamepad.poll();
+
+            // Playback dispatches its due events first, and zones keep up
+            // with it when it plays faster than real time
+            this.player.update(dt);
+            const zoneDt = this.player.playing ? dt * this.player.speed : dt;
+            Object.values(this.zones).forEach(zone => zone.update(zoneDt));
             requestAnimationFrame(animate);
         };
         
@@ -517,118 +867,9 @@ class FidgitApp {
             elem.msRequestFullscreen();
         }
     }
-
-    // Register service worker for PWA
-    registerServiceWorker() {
-        if ('serviceWorker' in navigator) {
-            let updateCheckInterval;
-            
-            navigator.serviceWorker.register('service-worker.js')
-                .then((registration) => {
-                    // Check for updates periodically (every 60 seconds)
-                    updateCheckInterval = setInterval(() => {
-                        registration.update();
-                    }, 60000);
-
-                    // Handle service worker updates
-                    registration.addEventListener('updatefound', () => {
-                        const newWorker = registration.installing;
-                        if (!newWorker) return;
-
-                        newWorker.addEventListener('statechange', () => {
-                            if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-                                // New service worker is installed and ready
-                                // Show update notification to user
-                                this.showUpdateNotification();
-                            }
-                        });
-                    });
-                })
-                .catch(() => {
-                    // Service worker registration failed
-                    // Clear the interval if registration fails
-                    if (updateCheckInterval) {
-                        clearInterval(updateCheckInterval);
-                    }
-                });
-
-            // Listen for controller change (when new SW takes control)
-            navigator.serviceWorker.addEventListener('controllerchange', () => {
-                // Reload the page to get the latest content
-                window.location.reload();
-            });
-        }
-    }
-
-    // Show update notification to user
-    showUpdateNotification() {
-        // Check if banner already exists
-        if (document.getElementById('update-banner')) {
-            return; // Don't create duplicate banners
-        }
-        
-        // Create a subtle notification banner
-        const banner = document.createElement('div');
-        banner.id = 'update-banner';
-        banner.innerHTML = `
-            <div style="
-                position: fixed;
-                bottom: 20px;
-                left: 50%;
-                transform: translateX(-50%);
-                background: #4a4a4a;
-                color: #fff;
-                padding: 12px 20px;
-                border-radius: 8px;
-                box-shadow: 0 4px 12px rgba(0,0,0,0.5);
-                z-index: 10000;
-                display: flex;
-                align-items: center;
-                gap: 15px;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-                font-size: 14px;
-                max-width: 90%;
-            ">
-                <span>New version available!</span>
-                <button id="update-btn" style="
-                    background: #5cb85c;
-                    color: white;
-                    border: none;
-                    padding: 8px 16px;
-                    border-radius: 4px;
-                    cursor: pointer;
-                    font-weight: bold;
-                    font-size: 14px;
-                ">Update</button>
-                <button id="dismiss-btn" style="
-                    background: transparent;
-                    color: #ccc;
-                    border: none;
-                    padding: 8px 12px;
-                    cursor: pointer;
-                    font-size: 14px;
-                ">Later</button>
-            </div>
-        `;
-        
-        document.body.appendChild(banner);
-
-        // Handle update button click
-        document.getElementById('update-btn').addEventListener('click', () => {
-            // Tell the waiting service worker to skip waiting and become active
-            navigator.serviceWorker.getRegistration().then(reg => {
-                if (reg && reg.waiting) {
-                    reg.waiting.postMessage({ type: 'SKIP_WAITING' });
-                }
-            });
-        });
-
-        // Handle dismiss button click
-        document.getElementById('dismiss-btn').addEventListener('click', () => {
-            banner.remove();
-        });
-    }
 }
 
 // Initialize the app
 const fidgitApp = new FidgitApp();
+
+export { FidgitApp, fidgitApp };
@@ -0,0 +1,107 @@
+/**
+ * Fidgit precache build step
+ * A Vite plugin that writes the service worker into the build together with
+ * the list of files to precache, each with a hash of its content, a cache
+ * version derived from them and the release notes from release-notes.json. A
+ * deploy then only re-downloads the files that changed, and any change to the
+ * build changes the worker, so browsers notice there is an update.
+ *
+ * The worker source (service-worker.js) is served as is by the dev server,
+ * where it has no manifest and caches nothing.
+ */
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { validateReleaseNotes } from '../src/update/release-notes.js';
+
+// Worker source in the project root, written under the same name in the build
+const WORKER = 'service-worker.js';
+
+// Release notes in the project root, see src/update/release-notes.js
+const NOTES = 'release-notes.json';
+
+// Build files that are never precached: the worker itself, source maps and
+// dotfiles
+const EXCLUDE = [/^service-worker\.js$/, /\.map$/, /(^|\/)\./];
+
+// Short hash of a file's content
+export function revision(content) {
+    return createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+// Precache entries [{ url, revision }] for build files given as
+// { [path relative to the build directory]: content }, sorted by url
+export function precacheManifest(files, base = '/') {
+    return Object.keys(files)
+        .filter(file => !EXCLUDE.some(pattern => pattern.test(file)))
+        .sort()
+        .map(file => ({ url: `${base}${file}`, revision: revision(files[file]) }));
+}
+
+// Cache version of a manifest, which changes whenever any file does
+export function cacheVersion(manifest) {
+    return revision(JSON.stringify(manifest));
+}
+
+// Worker source with the manifest, cache version and release notes defined
+// ahead of it
+export function injectManifest(source, manifest, notes = []) {
+    return [
+        `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};`,
+        `self.__CACHE_VERSION = '${cacheVersion(manifest)}';`,
+        `self.__RELEASE_NOTES = ${JSON.stringify(notes)};`,
+        '',
+        source
+    ].join('\n');
+}
+
+// Every file under a directory as { [relative path with / separators]: content }
+async function readFiles(dir) {
+    const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+    const files = {};
+    await Promise.all(entries.filter(entry => entry.isFile()).map(async (entry) => {
+        // parentPath is only there from Node 20.12, path before
+        const full = path.join(entry.parentPath ?? entry.path, entry.name);
+        files[path.relative(dir, full).split(path.sep).join('/')] = await readFile(full);
+    }));
+    return files;
+}
+
+// Release notes from a JSON file, none if there is no file; malformed notes
+// fail the build
+async function readNotes(file) {
+    let text;
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (error) {
+        return [];
+    }
+    const notes = JSON.parse(text);
+    const problems = validateReleaseNotes(notes);
+    if (problems.length) {
+        throw new Error(`${path.basename(file)}: ${problems.join('. ')}`);
+    }
+    return notes;
+}
+
+export function precache({ worker = WORKER, notes = NOTES } = {}) {
+    let config;
+    return {
+        name: 'fidgit-precache',
+        apply: 'build',
+
+        configResolved(resolved) {
+            config = resolved;
+        },
+
+        // Runs once the build, public files included, is on disk
+        async writeBundle(options) {
+            const outDir = options.dir || path.resolve(config.root, config.build.outDir);
+            const manifest = precacheManifest(await readFiles(outDir), config.base);
+            const source = await readFile(path.resolve(config.root, worker), 'utf8');
+            const releases = await readNotes(path.resolve(config.root, notes));
+            await writeFile(path.join(outDir, worker), injectManifest(source, manifest, releases));
+        }
+    };
+}
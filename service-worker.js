@@ -1,44 +1,97 @@
 /**
  * Fidgit Service Worker
  * Enables offline functionality for the PWA
+ *
+ * The build (see build/precache.js) defines three globals ahead of this
+ * script: self.__PRECACHE_MANIFEST, every file of the build with a hash of
+ * its content, self.__CACHE_VERSION, derived from those hashes, and
+ * self.__RELEASE_NOTES from release-notes.json. Installing a new version
+ * copies files whose hash hasn't changed from the previous cache and
+ * downloads only the rest.
+ *
+ * Served unbuilt by the dev server there is no manifest: the worker caches
+ * nothing and leaves every request to the network, so changes show on reload.
  */
 
-const CACHE_VERSION = '1.0.0';
-const CACHE_NAME = `fidgit-v${CACHE_VERSION}`;
-const ASSETS_TO_CACHE = [
-    '/',
-    '/index.html',
-    '/styles.css',
-    '/app.js',
-    '/manifest.json',
-    '/icons/icon-72.png',
-    '/icons/icon-96.png',
-    '/icons/icon-128.png',
-    '/icons/icon-144.png',
-    '/icons/icon-152.png',
-    '/icons/icon-192.png',
-    '/icons/icon-384.png',
-    '/icons/icon-512.png'
-];
-
-// Install event - cache assets
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || [];
+const CACHE_VERSION = self.__CACHE_VERSION || 'dev';
+const RELEASE_NOTES = self.__RELEASE_NOTES || [];
+const CACHE_PREFIX = 'fidgit-';
+const PRECACHE_PREFIX = `${CACHE_PREFIX}precache-`;
+const PRECACHE_NAME = `${PRECACHE_PREFIX}${CACHE_VERSION}`;
+const RUNTIME_NAME = `${CACHE_PREFIX}runtime-${CACHE_VERSION}`;
+const DEVELOPMENT = PRECACHE_MANIFEST.length === 0;
+
+// Header stored with each precached response, naming its content hash
+const REVISION_HEADER = 'X-Fidgit-Revision';
+
+// Absolute URL -> content hash of every precached file
+const revisions = new Map(PRECACHE_MANIFEST.map(({ url, revision }) => [
+    new URL(url, self.location).href,
+    revision
+]));
+
+// The app's single page, served for every navigation
+const SHELL_URL = new URL('index.html', self.registration.scope).href;
+
+// Copy of a response that records its revision
+async function withRevision(response, revision) {
+    const headers = new Headers(response.headers);
+    headers.set(REVISION_HEADER, revision);
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+// A file at a revision from an earlier version's precache, if there is one
+async function findRevision(cacheNames, url, revision) {
+    for (const name of cacheNames) {
+        const cached = await (await caches.open(name)).match(url);
+        if (cached && cached.headers.get(REVISION_HEADER) === revision) {
+            return cached;
+        }
+    }
+    return null;
+}
+
+// Fill this version's precache, reusing unchanged files
+async function precache() {
+    const cache = await caches.open(PRECACHE_NAME);
+    const previous = (await caches.keys())
+        .filter((name) => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE_NAME);
+
+    await Promise.all([...revisions].map(async ([url, revision]) => {
+        const reused = await findRevision(previous, url, revision);
+        if (reused) {
+            return cache.put(url, reused);
+        }
+
+        // Revalidate, so a stale HTTP cache can't file old content under a new hash
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Precaching ${url} failed with ${response.status}`);
+        }
+        return cache.put(url, await withRevision(response, revision));
+    }));
+}
+
+// Install event - precache the build
 self.addEventListener('install', (event) => {
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then((cache) => {
-                return cache.addAll(ASSETS_TO_CACHE);
-            })
-    );
+    if (DEVELOPMENT) return;
+    event.waitUntil(precache());
 });
 
-// Activate event - clean up old caches
+// Activate event - clean up caches of other versions
 self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys()
             .then((cacheNames) => {
                 return Promise.all(
                     cacheNames
-                        .filter((name) => name !== CACHE_NAME)
+                        .filter((name) => name.startsWith(CACHE_PREFIX))
+                        .filter((name) => name !== PRECACHE_NAME && name !== RUNTIME_NAME)
                         .map((name) => caches.delete(name))
                 );
             })
@@ -48,51 +101,56 @@ self.addEventListener('activate', (event) => {
     );
 });
 
-// Fetch event - serve from cache, fallback to network
+// Precached file, falling back to the network if it went missing
+async function fromPrecache(url, request) {
+    const cached = await caches.match(url, { cacheName: PRECACHE_NAME });
+    return cached || fetch(request);
+}
+
+// Anything else: from the cache, or from the network and kept for offline use
+async function fromRuntime(request) {
+    const cached = await caches.match(request, { cacheName: RUNTIME_NAME });
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const networkResponse = await fetch(request);
+        // Don't cache non-successful responses or opaque responses
+        if (networkResponse.ok && networkResponse.type !== 'opaque') {
+            const cache = await caches.open(RUNTIME_NAME);
+            cache.put(request, networkResponse.clone());
+        }
+        return networkResponse;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+// Fetch event - serve the build from the precache, everything else cache first
 self.addEventListener('fetch', (event) => {
-    // Skip non-GET requests
-    if (event.request.method !== 'GET') {
+    const { request } = event;
+    // Skip non-GET requests, and everything while unbuilt
+    if (DEVELOPMENT || request.method !== 'GET') {
         return;
     }
 
-    event.respondWith(
-        caches.match(event.request)
-            .then((cachedResponse) => {
-                if (cachedResponse) {
-                    return cachedResponse;
-                }
-
-                return fetch(event.request)
-                    .then((networkResponse) => {
-                        // Don't cache non-successful responses or opaque responses
-                        if (!networkResponse || !networkResponse.ok || networkResponse.type === 'opaque') {
-                            return networkResponse;
-                        }
-
-                        // Clone the response since it can only be consumed once
-                        const responseToCache = networkResponse.clone();
-
-                        caches.open(CACHE_NAME)
-                            .then((cache) => {
-                                cache.put(event.request, responseToCache);
-                            });
-
-                        return networkResponse;
-                    })
-                    .catch(() => {
-                        // Return offline fallback for navigation requests
-                        if (event.request.mode === 'navigate') {
-                            return caches.match('/index.html');
-                        }
-                        return null;
-                    });
-            })
-    );
+    if (request.mode === 'navigate') {
+        event.respondWith(fromPrecache(SHELL_URL, request));
+    } else if (revisions.has(request.url)) {
+        event.respondWith(fromPrecache(request.url, request));
+    } else {
+        event.respondWith(fromRuntime(request));
+    }
 });
 
-// Listen for messages from the app
+// Listen for messages from the app: SKIP_WAITING takes over from the worker
+// in control, GET_VERSION answers on the message's port with the version and
+// its release notes
 self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'SKIP_WAITING') {
         self.skipWaiting();
+    } else if (event.data && event.data.type === 'GET_VERSION') {
+        event.ports[0]?.postMessage({ version: CACHE_VERSION, notes: RELEASE_NOTES });
     }
 });
@@ -0,0 +1,122 @@
+/**
+ * Fidgit audio feedback engine
+ * Synthesizes clicks, ticks, detents and rolling sounds with Web Audio from
+ * the selected sound pack. Nothing is downloaded, so it works offline.
+ */
+
+import { soundPacks } from './sound-packs.js';
+
+// Length of the shared white noise buffer in seconds
+const NOISE_SECONDS = 1;
+
+export class AudioFeedback {
+    static isAvailable() {
+        return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+    }
+
+    constructor({ pack = 'mechanical', volume = 0.6 } = {}) {
+        this.context = null;
+        this.master = null;
+        this.noise = null;
+        this.pack = soundPacks[pack] ? pack : 'mechanical';
+        this.volume = volume;
+    }
+
+    // Create or resume the audio context - call from a user gesture,
+    // browsers keep audio suspended until one has happened
+    unlock() {
+        if (!AudioFeedback.isAvailable()) return null;
+
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+            this.master = this.context.createGain();
+            this.master.gain.value = this.volume;
+            this.master.connect(this.context.destination);
+            this.noise = this.createNoiseBuffer();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume().catch(() => {});
+        }
+        return this.context;
+    }
+
+    createNoiseBuffer() {
+        const { sampleRate } = this.context;
+        const buffer = this.context.createBuffer(1, sampleRate * NOISE_SECONDS, sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    setPack(name) {
+        if (!soundPacks[name]) {
+            throw new Error(`Unknown sound pack: ${name}`);
+        }
+        this.pack = name;
+    }
+
+    // Master volume from 0 to 1
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        if (this.master) {
+            this.master.gain.setValueAtTime(this.volume, this.context.currentTime);
+        }
+    }
+
+    hasSound(sound) {
+        return Boolean(soundPacks[this.pack].sounds[sound]);
+    }
+
+    // Play a sound from the current pack, `at` seconds from now
+    play(sound, { at = 0 } = {}) {
+        const layers = soundPacks[this.pack].sounds[sound];
+        if (!layers || this.volume === 0) return;
+
+        const context = this.unlock();
+        if (!context) return;
+
+        const start = context.currentTime + at;
+        layers.forEach(layer => this.playLayer(layer, start + (layer.delay || 0)));
+    }
+
+    playLayer(layer, start) {
+        const context = this.context;
+        const envelope = context.createGain();
+        const end = start + layer.decay;
+
+        // Fast attack, exponential decay
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(layer.gain, start + 0.001);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+        envelope.connect(this.master);
+
+        let source;
+        if (layer.source === 'noise') {
+            source = context.createBufferSource();
+            source.buffer = this.noise;
+
+            const filter = context.createBiquadFilter();
+            filter.type = layer.filter || 'bandpass';
+            filter.frequency.setValueAtTime(layer.frequency, start);
+            filter.Q.value = layer.q || 1;
+
+            source.connect(filter).connect(envelope);
+            // Random offset so repeated sounds don't phase identically
+            source.start(start, Math.random() * (NOISE_SECONDS - layer.decay));
+        } else {
+            source = context.createOscillator();
+            source.type = layer.source;
+            source.frequency.setValueAtTime(layer.frequency, start);
+            if (layer.endFrequency) {
+                source.frequency.exponentialRampToValueAtTime(layer.endFrequency, end);
+            }
+            source.connect(envelope);
+            source.start(start);
+        }
+
+        source.stop(end + 0.01);
+    }
+}
@@ -0,0 +1,6 @@
+/**
+ * Fidgit audio feedback
+ */
+
+export { AudioFeedback } from './audio-feedback.js';
+export { soundPacks, patternSounds, soundForStep } from './sound-packs.js';
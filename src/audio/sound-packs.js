@@ -0,0 +1,175 @@
+/**
+ * Fidgit sound packs
+ * Every sound is synthesized at runtime from a few layers, so packs weigh
+ * nothing and work offline.
+ *
+ * Layer fields:
+ * - source: 'noise' for a filtered noise burst, or an oscillator wave
+ *   ('sine' | 'triangle' | 'square' | 'sawtooth')
+ * - frequency: oscillator pitch or filter centre in Hz, endFrequency for a pitch sweep
+ * - filter: BiquadFilter type for noise layers, q its resonance
+ * - gain: peak level before the master volume, decay: seconds to silence
+ * - delay: seconds after the sound starts
+ */
+
+export const soundPacks = {
+    // Crisp, bright switch clicks
+    mechanical: {
+        label: 'Mechanical switch',
+        sounds: {
+            tap: [
+                { source: 'noise', filter: 'highpass', frequency: 3500, gain: 0.35, decay: 0.015 },
+                { source: 'triangle', frequency: 2200, gain: 0.12, decay: 0.02 }
+            ],
+            click: [
+                { source: 'noise', filter: 'highpass', frequency: 4000, gain: 0.5, decay: 0.012 },
+                { source: 'square', frequency: 3100, gain: 0.06, decay: 0.01 },
+                { source: 'noise', filter: 'bandpass', frequency: 2500, q: 2, gain: 0.35, decay: 0.02, delay: 0.04 }
+            ],
+            tick: [
+                { source: 'noise', filter: 'highpass', frequency: 6000, gain: 0.25, decay: 0.006 }
+            ],
+            detent: [
+                { source: 'noise', filter: 'bandpass', frequency: 3000, q: 4, gain: 0.35, decay: 0.012 },
+                { source: 'triangle', frequency: 1800, gain: 0.1, decay: 0.015 }
+            ],
+            toggle: [
+                { source: 'noise', filter: 'highpass', frequency: 3000, gain: 0.4, decay: 0.015 },
+                { source: 'triangle', frequency: 420, endFrequency: 260, gain: 0.35, decay: 0.05, delay: 0.06 },
+                { source: 'noise', filter: 'bandpass', frequency: 1800, q: 2, gain: 0.3, decay: 0.02, delay: 0.06 }
+            ],
+            roll: [
+                { source: 'noise', filter: 'lowpass', frequency: 1400, gain: 0.2, decay: 0.03 }
+            ],
+            thunk: [
+                { source: 'sine', frequency: 160, endFrequency: 60, gain: 0.6, decay: 0.14 },
+                { source: 'noise', filter: 'lowpass', frequency: 600, gain: 0.4, decay: 0.05 }
+            ],
+            thock: [
+                { source: 'noise', filter: 'lowpass', frequency: 900, gain: 0.45, decay: 0.03 },
+                { source: 'sine', frequency: 260, endFrequency: 180, gain: 0.3, decay: 0.04 }
+            ],
+            pop: [
+                { source: 'noise', filter: 'highpass', frequency: 2500, gain: 0.6, decay: 0.02 },
+                { source: 'sine', frequency: 900, endFrequency: 300, gain: 0.25, decay: 0.03 }
+            ],
+            squeeze: [
+                { source: 'noise', filter: 'bandpass', frequency: 1100, q: 6, gain: 0.15, decay: 0.03 }
+            ]
+        }
+    },
+
+    // Warm, resonant wood-block knocks
+    wooden: {
+        label: 'Wooden',
+        sounds: {
+            tap: [
+                { source: 'sine', frequency: 900, endFrequency: 820, gain: 0.35, decay: 0.05 },
+                { source: 'noise', filter: 'bandpass', frequency: 1200, q: 6, gain: 0.2, decay: 0.02 }
+            ],
+            click: [
+                { source: 'sine', frequency: 1100, endFrequency: 980, gain: 0.4, decay: 0.05 },
+                { source: 'sine', frequency: 760, endFrequency: 700, gain: 0.3, decay: 0.06, delay: 0.04 }
+            ],
+            tick: [
+                { source: 'noise', filter: 'bandpass', frequency: 2200, q: 8, gain: 0.3, decay: 0.01 }
+            ],
+            detent: [
+                { source: 'sine', frequency: 1400, endFrequency: 1300, gain: 0.25, decay: 0.03 },
+                { source: 'noise', filter: 'bandpass', frequency: 1600, q: 8, gain: 0.15, decay: 0.015 }
+            ],
+            toggle: [
+                { source: 'sine', frequency: 700, endFrequency: 640, gain: 0.4, decay: 0.06 },
+                { source: 'sine', frequency: 480, endFrequency: 430, gain: 0.45, decay: 0.08, delay: 0.07 }
+            ],
+            roll: [
+                { source: 'noise', filter: 'bandpass', frequency: 500, q: 1.5, gain: 0.25, decay: 0.04 }
+            ],
+            thunk: [
+                { source: 'sine', frequency: 220, endFrequency: 150, gain: 0.6, decay: 0.15 },
+                { source: 'noise', filter: 'bandpass', frequency: 400, q: 3, gain: 0.3, decay: 0.05 }
+            ],
+            thock: [
+                { source: 'sine', frequency: 480, endFrequency: 400, gain: 0.4, decay: 0.05 },
+                { source: 'noise', filter: 'bandpass', frequency: 700, q: 4, gain: 0.25, decay: 0.025 }
+            ],
+            pop: [
+                { source: 'noise', filter: 'bandpass', frequency: 1800, q: 3, gain: 0.5, decay: 0.02 },
+                { source: 'sine', frequency: 700, endFrequency: 350, gain: 0.3, decay: 0.04 }
+            ],
+            squeeze: [
+                { source: 'noise', filter: 'bandpass', frequency: 800, q: 8, gain: 0.15, decay: 0.03 }
+            ]
+        }
+    },
+
+    // Muted, low-pitched pats for quiet environments
+    soft: {
+        label: 'Soft',
+        sounds: {
+            tap: [
+                { source: 'sine', frequency: 320, endFrequency: 240, gain: 0.3, decay: 0.05 }
+            ],
+            click: [
+                { source: 'sine', frequency: 380, endFrequency: 280, gain: 0.3, decay: 0.05 },
+                { source: 'sine', frequency: 300, endFrequency: 220, gain: 0.2, decay: 0.05, delay: 0.04 }
+            ],
+            tick: [
+                { source: 'noise', filter: 'lowpass', frequency: 1500, gain: 0.15, decay: 0.01 }
+            ],
+            detent: [
+                { source: 'sine', frequency: 520, endFrequency: 460, gain: 0.2, decay: 0.03 }
+            ],
+            toggle: [
+                { source: 'sine', frequency: 360, endFrequency: 300, gain: 0.3, decay: 0.06 },
+                { source: 'sine', frequency: 260, endFrequency: 200, gain: 0.3, decay: 0.08, delay: 0.07 }
+            ],
+            roll: [
+                { source: 'noise', filter: 'lowpass', frequency: 500, gain: 0.15, decay: 0.04 }
+            ],
+            thunk: [
+                { source: 'sine', frequency: 120, endFrequency: 60, gain: 0.45, decay: 0.16 }
+            ],
+            thock: [
+                { source: 'sine', frequency: 220, endFrequency: 160, gain: 0.3, decay: 0.05 }
+            ],
+            pop: [
+                { source: 'noise', filter: 'lowpass', frequency: 1200, gain: 0.35, decay: 0.025 },
+                { source: 'sine', frequency: 400, endFrequency: 200, gain: 0.25, decay: 0.04 }
+            ],
+            squeeze: [
+                { source: 'noise', filter: 'lowpass', frequency: 700, gain: 0.1, decay: 0.03 }
+            ]
+        }
+    }
+};
+
+// Sound played for each named haptic pattern
+export const patternSounds = {
+    tap: 'tap',
+    click: 'click',
+    tick: 'tick',
+    toggle: 'toggle',
+    spinTick: 'tick',
+    dialNotch: 'detent',
+    roll: 'roll',
+    heavy: 'thunk',
+    thunk: 'thunk',
+    squeeze: 'squeeze',
+    pop: 'pop',
+    bump: 'detent',
+    clunk: 'thunk',
+    thock: 'thock',
+    keyBump: 'detent',
+    keyClick: 'click',
+    keyReturn: 'tap'
+};
+
+// Sound for a single pattern step, used for patterns without a mapped sound
+export function soundForStep(step) {
+    if (step.type === 'selection') return 'tick';
+    if (step.type === 'notification') return 'detent';
+    if (step.style === 'heavy') return 'thunk';
+    if (step.style === 'medium') return 'detent';
+    return 'tap';
+}
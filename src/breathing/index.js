@@ -0,0 +1,6 @@
+/**
+ * Fidgit breathing pacer
+ */
+
+export { BreathingPacer } from './pacer.js';
+export { breathingPatterns, SESSION_MINUTES } from './patterns.js';
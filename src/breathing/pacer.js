@@ -0,0 +1,214 @@
+/**
+ * Fidgit breathing pacer
+ * A full-screen guided breathing session: a dial that turns and swells as you
+ * breathe in, rests while you hold and unwinds as you breathe out, with a
+ * gentle pulse at every phase change.
+ *
+ * Browsers only vibrate in or just after a gesture, which a hands-off session
+ * doesn't have. Resting a finger on the dial counts as one, so pulses keep
+ * coming; otherwise backends that can't play outside a gesture are skipped
+ * and the pulse falls back to a soft sound, with the visual cue always shown.
+ * Audio is unlocked by the tap that starts the session, as sounds played
+ * later from a timer can't start it. Where motion is reduced the dial keeps
+ * still and the phase name and countdown are the visual cue.
+ */
+
+import { breathingPatterns } from './patterns.js';
+
+// Haptic pattern for the start of each phase kind
+const PHASE_PATTERNS = {
+    inhale: 'breatheIn',
+    hold: 'breatheHold',
+    exhale: 'breatheOut'
+};
+
+// Sound from the current pack played instead when the pulse can't be felt
+const FALLBACK_SOUND = 'tap';
+
+const PHASE_LABELS = {
+    inhale: 'Breathe in',
+    hold: 'Hold',
+    exhale: 'Breathe out'
+};
+
+// Dial turn in degrees and scale when fully breathed in
+const INHALE_TURN = 90;
+const INHALE_SCALE = 1.35;
+
+export class BreathingPacer {
+    constructor(app) {
+        this.app = app;
+        this.element = null;
+        this.timer = null;
+        this.clock = null;
+        this.wakeLock = null;
+        this.unbind = null;
+        this.countTimer = null;
+    }
+
+    get active() {
+        return Boolean(this.element);
+    }
+
+    // Start a session of a pattern for a number of minutes - call from a tap
+    start(patternId, minutes) {
+        this.stop();
+        if (this.app.haptics.mode !== 'off') {
+            this.app.audio.unlock();
+        }
+        this.pattern = breathingPatterns[patternId] || breathingPatterns.box;
+        this.endsAt = Date.now() + minutes * 60000;
+        this.phaseIndex = -1;
+        this.render();
+        this.requestWakeLock();
+        this.nextPhase();
+
+        this.clock = setInterval(() => this.drawRemaining(), 1000);
+        this.drawRemaining();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        clearTimeout(this.countTimer);
+        clearInterval(this.clock);
+        this.timer = null;
+        this.clock = null;
+        this.unbind?.();
+        this.unbind = null;
+        this.wakeLock?.release().catch(() => {});
+        this.wakeLock = null;
+        this.element?.remove();
+        this.element = null;
+    }
+
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'pacer';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', 'Breathing');
+        this.element.innerHTML = `
+            <div class="pacer-phase" aria-live="polite"></div>
+            <div class="pacer-dial dial-element">
+                <div class="dial-notch"></div>
+            </div>
+            <div class="pacer-count"></div>
+            <p class="pacer-hint">Rest a finger on the dial to feel each pulse</p>
+            <div class="pacer-footer">
+                <span class="pacer-remaining"></span>
+                <button type="button" class="pacer-stop">Stop</button>
+            </div>
+        `;
+        this.dial = this.element.querySelector('.pacer-dial');
+        this.phaseLabel = this.element.querySelector('.pacer-phase');
+        this.count = this.element.querySelector('.pacer-count');
+        this.remaining = this.element.querySelector('.pacer-remaining');
+        this.element.querySelector('.pacer-stop').addEventListener('click', () => this.stop());
+
+        // A finger resting on the dial keeps a gesture going for vibration
+        this.unbind = this.app.input.bind(this.dial, {
+            start: () => {
+                this.app.markUserActivation();
+                this.dial.classList.add('touched');
+            },
+            end: () => this.dial.classList.remove('touched')
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    nextPhase() {
+        if (Date.now() >= this.endsAt && this.phaseIndex % this.pattern.phases.length === this.pattern.phases.length - 1) {
+            this.finish();
+            return;
+        }
+
+        this.phaseIndex = (this.phaseIndex + 1) % this.pattern.phases.length;
+        const phase = this.pattern.phases[this.phaseIndex];
+        this.phaseStart = Date.now();
+
+        this.phaseLabel.textContent = PHASE_LABELS[phase.kind];
+        this.element.dataset.phase = phase.kind;
+        this.animate(phase);
+        this.pulse(PHASE_PATTERNS[phase.kind]);
+        this.countdown(phase.seconds);
+
+        this.timer = setTimeout(() => this.nextPhase(), phase.seconds * 1000);
+    }
+
+    // Turn and swell the dial across the phase; holds keep it where it is,
+    // and where motion is reduced it rests
+    animate(phase) {
+        if (this.app.reducedMotion) {
+            this.dial.style.transform = '';
+            return;
+        }
+        if (phase.kind === 'hold') return;
+
+        const full = phase.kind === 'inhale';
+        this.dial.style.transition = `transform ${phase.seconds}s ease-in-out`;
+        this.dial.style.transform = full ? `rotate(${INHALE_TURN}deg) scale(${INHALE_SCALE})` : 'rotate(0deg) scale(1)';
+    }
+
+    // Seconds left in the phase, counted down on the dial
+    countdown(seconds) {
+        this.count.textContent = seconds;
+        let left = seconds;
+        const tick = () => {
+            left--;
+            if (left > 0) {
+                this.count.textContent = left;
+                this.countTimer = setTimeout(tick, 1000);
+            }
+        };
+        clearTimeout(this.countTimer);
+        this.countTimer = setTimeout(tick, 1000);
+    }
+
+    // Phase change cue: a haptic pulse where it can play, otherwise a soft
+    // sound, and a visual flash unless motion is reduced
+    pulse(pattern) {
+        const { app } = this;
+        const gesture = app.gestureActive();
+        app.haptics.play(pattern, { activated: app.userActivated, gesture });
+
+        const heard = app.haptics.backends.some(backend => gesture || backend.freeRunning);
+        if (!heard && app.haptics.mode !== 'off') {
+            app.audio.play(FALLBACK_SOUND);
+        }
+
+        this.dial.classList.remove('pulse');
+        if (app.reducedMotion) return;
+        // Restart the flash animation
+        void this.dial.offsetWidth;
+        this.dial.classList.add('pulse');
+    }
+
+    drawRemaining() {
+        const seconds = Math.max(0, Math.ceil((this.endsAt - Date.now()) / 1000));
+        this.remaining.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} left`;
+    }
+
+    // Session over - a final cue, then close
+    finish() {
+        this.pulse('breatheDone');
+        this.phaseLabel.textContent = 'Done';
+        this.count.textContent = '';
+        clearTimeout(this.countTimer);
+        this.timer = setTimeout(() => this.stop(), 2000);
+    }
+
+    // Keep the screen on for a hands-off session where supported
+    async requestWakeLock() {
+        try {
+            const lock = await navigator.wakeLock?.request('screen');
+            if (this.active) {
+                this.wakeLock = lock || null;
+            } else {
+                // The session ended while the lock was being granted
+                lock?.release();
+            }
+        } catch (error) {
+            console.debug('Wake lock unavailable:', error.message);
+        }
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * Fidgit breathing patterns
+ * Each pattern is a cycle of phases repeated for the length of a session.
+ * Phase kinds are 'inhale', 'hold' and 'exhale'; seconds is how long each lasts.
+ */
+
+export const breathingPatterns = {
+    box: {
+        label: 'Box (4-4-4-4)',
+        phases: [
+            { kind: 'inhale', seconds: 4 },
+            { kind: 'hold', seconds: 4 },
+            { kind: 'exhale', seconds: 4 },
+            { kind: 'hold', seconds: 4 }
+        ]
+    },
+    relax: {
+        label: '4-7-8',
+        phases: [
+            { kind: 'inhale', seconds: 4 },
+            { kind: 'hold', seconds: 7 },
+            { kind: 'exhale', seconds: 8 }
+        ]
+    },
+    coherent: {
+        label: 'Even (5-5)',
+        phases: [
+            { kind: 'inhale', seconds: 5 },
+            { kind: 'exhale', seconds: 5 }
+        ]
+    }
+};
+
+// Session lengths offered, in minutes
+export const SESSION_MINUTES = [1, 2, 3, 5, 10];
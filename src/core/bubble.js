@@ -0,0 +1,129 @@
+/**
+ * Bubble model - a sheet of bubble wrap
+ * Every bubble pops on its own, under as many fingers as fit on the sheet. A
+ * quick tap pops a bubble as the finger lifts; holding a bubble squeezes it
+ * with a tick before it gives way.
+ *
+ * Inputs, each press keyed by an `id` of the finger or key holding it:
+ * - press { id, index }: press a bubble (-1 for none)
+ * - move { id, index }: slide to another bubble, letting the last one go unpopped
+ * - release { id, cancel }: lift, popping the bubble pressed - unless the
+ *   touch was cancelled, e.g. taken over by a scroll or a system gesture
+ * - refill: fetch a new sheet
+ */
+
+import { Model } from './model.js';
+
+export const COLUMNS = 4;
+export const ROWS = 3;
+export const COUNT = COLUMNS * ROWS;
+
+// Seconds a bubble is held before the squeeze tick, and before it pops
+export const SQUEEZE_TIME = 0.12;
+export const POP_TIME = 0.35;
+
+export class BubbleModel extends Model {
+    static inputs = ['press', 'move', 'release', 'refill'];
+    static inputFields = {
+        press: { index: 'number' },
+        move: { index: 'number' }
+    };
+
+    static defaultState() {
+        return { popped: new Array(COUNT).fill(false) };
+    }
+
+    // Sheets saved with another bubble count start over
+    static migrateState(state) {
+        if (!Array.isArray(state.popped) || state.popped.length !== COUNT) {
+            return { ...state, popped: new Array(COUNT).fill(false) };
+        }
+        return state;
+    }
+
+    constructor(state) {
+        super(state);
+        this.presses = new Map(); // Press id -> { index, held, squeezed }
+    }
+
+    get poppedCount() {
+        return this.state.popped.filter(Boolean).length;
+    }
+
+    get allPopped() {
+        return this.state.popped.every(Boolean);
+    }
+
+    // Index of the first unpopped bubble, or -1
+    get nextBubble() {
+        return this.state.popped.indexOf(false);
+    }
+
+    isPressed(index) {
+        return [...this.presses.values()].some(press => press.index === index);
+    }
+
+    press({ id, index }) {
+        if (index === -1 || this.state.popped[index] || this.isPressed(index)) {
+            this.presses.delete(id);
+        } else {
+            this.presses.set(id, { index, held: 0, squeezed: false });
+        }
+        this.changed();
+    }
+
+    move({ id, index }) {
+        if (index !== this.presses.get(id)?.index) {
+            this.press({ id, index });
+        }
+    }
+
+    release({ id, cancel = false }) {
+        const press = this.presses.get(id);
+        this.presses.delete(id);
+        if (press && !cancel) this.pop(press.index);
+        this.changed();
+    }
+
+    pop(index) {
+        if (this.state.popped[index]) return;
+
+        this.state.popped[index] = true;
+        this.feedback('pop');
+        this.changed();
+    }
+
+    refill() {
+        this.presses.clear();
+        this.state.popped = new Array(COUNT).fill(false);
+        this.feedback('refill');
+        this.changed();
+    }
+
+    // Squeeze and then pop bubbles held down long enough
+    step(dt) {
+        this.presses.forEach((press, id) => {
+            press.held += dt;
+
+            if (!press.squeezed && press.held >= SQUEEZE_TIME) {
+                press.squeezed = true;
+                this.feedback('squeeze');
+            }
+            if (press.held >= POP_TIME) {
+                // The finger stays down but this bubble is done
+                this.presses.delete(id);
+                this.pop(press.index);
+            }
+        });
+        return false;
+    }
+
+    // Forget every press, e.g. when the zone goes away
+    cancel() {
+        this.presses.clear();
+    }
+
+    restore() {
+        this.cancel();
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * Click model - a button that clicks down and back up
+ *
+ * Inputs:
+ * - press: push the button down, ignored while it is down
+ * - release: let it back up
+ */
+
+import { Model } from './model.js';
+
+export class ClickModel extends Model {
+    static inputs = ['press', 'release'];
+
+    static defaultState() {
+        return { pressed: false };
+    }
+
+    press() {
+        if (this.state.pressed) return;
+        this.state.pressed = true;
+        this.changed();
+        this.feedback('press');
+    }
+
+    release() {
+        if (!this.state.pressed) return;
+        this.state.pressed = false;
+        this.changed();
+        this.feedback('release');
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Dial model - a heavy knob with magnetic notches
+ *
+ * Inputs:
+ * - press { time, angle }, move { time, angle }: angle of the finger around
+ *   the centre in radians
+ * - release { time, coast = true }: let go, coasting unless coast is false,
+ *   then settling into the nearest notch
+ * - nudge { amount }: click round a whole number of notches
+ * - flick { direction, coast = true }: send it through several notches,
+ *   jumping straight there without coasting
+ */
+
+import { Model } from './model.js';
+import { RAD_TO_DEG, angleDelta } from '../utils/geometry.js';
+import { Body, notchIndex } from '../physics/index.js';
+
+// Degrees between notches
+export const NOTCH_DEGREES = 15;
+// Speed in degrees per second of a flick from the keyboard
+export const FLICK_SPEED = 400;
+// Notches a flick jumps when not coasting
+export const FLICK_NOTCHES = 6;
+
+export class DialModel extends Model {
+    static inputs = ['press', 'move', 'release', 'nudge', 'flick'];
+    static inputFields = {
+        press: { time: 'number', angle: 'number' },
+        move: { time: 'number', angle: 'number' },
+        release: { time: 'number' },
+        nudge: { amount: 'number' },
+        flick: { direction: 'number' }
+    };
+
+    static defaultState() {
+        return { rotation: 0 };
+    }
+
+    constructor(state) {
+        super(state);
+        // Heavier friction than the spinner, with magnetic notches that pull it to rest
+        this.body = new Body({
+            position: this.state.rotation,
+            friction: 5,
+            detents: { spacing: NOTCH_DEGREES, strength: 2500 },
+            restSpeed: 4
+        });
+        this.angle = null; // Finger angle while held
+    }
+
+    get held() {
+        return this.angle !== null;
+    }
+
+    // Index of the notch the dial is in, counting whole turns
+    get notch() {
+        return notchIndex(this.state.rotation, NOTCH_DEGREES);
+    }
+
+    // Degrees of the current notch within one turn, 0 to 360 - NOTCH_DEGREES
+    get degrees() {
+        return (((this.notch * NOTCH_DEGREES) % 360) + 360) % 360;
+    }
+
+    press({ time, angle }) {
+        this.angle = angle;
+        this.body.grab(time);
+        this.feedback('start');
+    }
+
+    move({ time, angle }) {
+        if (!this.held) return;
+        this.body.drag(this.body.position + angleDelta(angle, this.angle) * RAD_TO_DEG, time);
+        this.angle = angle;
+        this.sync(false);
+    }
+
+    release({ time, coast = true }) {
+        this.angle = null;
+        this.body.release(time, { coast });
+    }
+
+    nudge({ amount }) {
+        this.body.reset(this.body.restPosition + amount * NOTCH_DEGREES);
+        this.sync(false);
+    }
+
+    flick({ direction, coast = true }) {
+        if (!coast) {
+            this.nudge({ amount: direction * FLICK_NOTCHES });
+            return;
+        }
+        this.body.push(direction * FLICK_SPEED);
+        this.feedback('start');
+    }
+
+    // Copy the body into state, with a notch each time one is crossed
+    sync(coasting) {
+        const oldNotch = this.notch;
+        this.track('degrees', Math.abs(this.body.position - this.state.rotation));
+        this.state.rotation = this.body.position;
+        this.changed();
+
+        if (this.notch !== oldNotch) {
+            this.feedback('notch', { coasting });
+        }
+    }
+
+    // Coast after a flick and settle into the nearest notch
+    step(dt) {
+        if (!this.body.step(dt)) return false;
+        this.sync(true);
+        return true;
+    }
+
+    restore() {
+        this.angle = null;
+        this.body.reset(this.state.rotation);
+    }
+}
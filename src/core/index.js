@@ -0,0 +1,31 @@
+/**
+ * Fidgit interaction core
+ * Headless models of the built-in zones, usable without a browser.
+ */
+
+import { SpinnerModel } from './spinner.js';
+import { SliderModel } from './slider.js';
+import { ClickModel } from './click.js';
+import { DialModel } from './dial.js';
+import { ToggleModel } from './toggle.js';
+import { RollModel } from './roll.js';
+import { BubbleModel } from './bubble.js';
+import { JoystickModel } from './joystick.js';
+import { KeysModel } from './keys.js';
+
+// Model for each built-in zone type
+export const zoneModels = {
+    spinner: SpinnerModel,
+    slider: SliderModel,
+    click: ClickModel,
+    dial: DialModel,
+    toggle: ToggleModel,
+    roll: RollModel,
+    bubble: BubbleModel,
+    joystick: JoystickModel,
+    keys: KeysModel
+};
+
+export { Model, FRAME } from './model.js';
+export { SpinnerModel, SliderModel, ClickModel, DialModel, ToggleModel, RollModel, BubbleModel, JoystickModel, KeysModel };
+export { KEY_TRAVEL, SWITCH_PROFILE_IDS, switchProfiles } from './switch-profiles.js';
@@ -0,0 +1,131 @@
+/**
+ * Joystick model - spring-return thumbstick in a round gate
+ * The stick ticks through eight directional detents, bumps against the gate
+ * and clunks back to centre when let go. Positions are fractions of the
+ * stick's travel, -1 to 1 on each axis with y pointing down.
+ *
+ * Inputs:
+ * - press { time }: take hold of the stick
+ * - move { time, x, y }: hold it at a position, kept inside the gate
+ * - release { time }: let it spring home
+ */
+
+import { Model } from './model.js';
+import { Body } from '../physics/index.js';
+
+export const DIRECTIONS = 8;
+const SECTOR = 2 * Math.PI / DIRECTIONS;
+
+// Distances as fractions of the stick's travel: directions register outside
+// the dead zone, the gate bump re-arms once the stick backs off the edge and
+// the return clunk plays once the stick is this close to centre
+export const DEAD_ZONE = 0.35;
+export const EDGE_RELEASE = 0.9;
+export const CENTER = 0.12;
+
+// Slightly underdamped, so the stick overshoots a touch on its way home
+const SPRING = { target: 0, stiffness: 400, damping: 30 };
+
+export class JoystickModel extends Model {
+    static inputs = ['press', 'move', 'release'];
+    static inputFields = {
+        press: { time: 'number' },
+        move: { time: 'number', x: 'number', y: 'number' },
+        release: { time: 'number' }
+    };
+
+    static defaultState() {
+        return { x: 0, y: 0 };
+    }
+
+    constructor(state) {
+        super(state);
+        this.bodies = {
+            x: new Body({ position: this.state.x, spring: SPRING, restSpeed: 0.05 }),
+            y: new Body({ position: this.state.y, spring: SPRING, restSpeed: 0.05 })
+        };
+        this.held = false;
+        this.direction = null; // Sector index, or null inside the dead zone
+        this.atEdge = false;
+        this.returning = false;
+    }
+
+    press({ time }) {
+        this.held = true;
+        this.returning = false;
+        this.bodies.x.grab(time);
+        this.bodies.y.grab(time);
+        this.feedback('start');
+    }
+
+    move({ time, x, y }) {
+        const distance = Math.hypot(x, y);
+        if (distance > 1) {
+            x /= distance;
+            y /= distance;
+        }
+
+        this.bodies.x.drag(x, time);
+        this.bodies.y.drag(y, time);
+        this.sync(false);
+    }
+
+    release({ time }) {
+        this.held = false;
+        this.returning = true;
+        this.bodies.x.release(time);
+        this.bodies.y.release(time);
+    }
+
+    // Copy the bodies into state, with feedback for detents, the gate and centring
+    sync(coasting) {
+        this.state.x = this.bodies.x.position;
+        this.state.y = this.bodies.y.position;
+        this.changed();
+
+        const distance = Math.hypot(this.state.x, this.state.y);
+
+        if (this.returning) {
+            if (distance < CENTER) {
+                // Only a stick that was pushed somewhere clunks home
+                if (this.direction !== null) {
+                    this.feedback('center', { coasting });
+                }
+                this.returning = false;
+                this.direction = null;
+                this.atEdge = false;
+            }
+            return;
+        }
+
+        // Eight sectors centred on the compass directions, 0 pointing right
+        const direction = distance < DEAD_ZONE ? null :
+            (Math.round(Math.atan2(this.state.y, this.state.x) / SECTOR) + DIRECTIONS) % DIRECTIONS;
+        if (direction !== null && direction !== this.direction) {
+            this.feedback('direction', { coasting });
+        }
+        this.direction = direction;
+
+        if (!this.atEdge && distance >= 1) {
+            this.atEdge = true;
+            this.feedback('edge', { coasting });
+        } else if (this.atEdge && distance < EDGE_RELEASE) {
+            this.atEdge = false;
+        }
+    }
+
+    // Spring back to centre after release
+    step(dt) {
+        const movedX = this.bodies.x.step(dt);
+        const movedY = this.bodies.y.step(dt);
+        if (!movedX && !movedY) return false;
+        this.sync(true);
+        return true;
+    }
+
+    restore() {
+        this.held = false;
+        this.bodies.x.reset(this.state.x);
+        this.bodies.y.reset(this.state.y);
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Keys model - a cluster of mechanical keyboard switches
+ * Every key has its own switch profile and travels on its own, so several
+ * can be held or rolled across at once. Keys move at a fixed speed down
+ * while held and back up once let go, with feedback as they pass the bump,
+ * actuation and reset points of their profile.
+ *
+ * Inputs:
+ * - press { key, id }: hold key (an index) down with a finger or key id
+ * - release { key, id }: let it go; a key tapped and let go before it
+ *   actuated still travels down that far
+ * - cycle { key }: switch the key to the next switch profile
+ */
+
+import { Model } from './model.js';
+import { KEY_TRAVEL, SWITCH_PROFILE_IDS, switchProfiles } from './switch-profiles.js';
+
+export const KEY_COUNT = 4;
+
+// Key speed in millimetres per second going down and springing back up
+export const PRESS_SPEED = 60;
+export const RETURN_SPEED = 40;
+
+export class KeysModel extends Model {
+    static inputs = ['press', 'release', 'cycle'];
+    static inputFields = {
+        press: { key: 'number' },
+        release: { key: 'number' },
+        cycle: { key: 'number' }
+    };
+
+    static defaultState() {
+        return { profiles: ['linear', 'tactile', 'clicky', 'tactile'] };
+    }
+
+    // Each key's switch type is part of a profile
+    static config = ['profiles'];
+
+    static validateConfig({ profiles }) {
+        if (profiles === undefined) return [];
+        if (!Array.isArray(profiles) || profiles.length !== KEY_COUNT || !profiles.every(profile => switchProfiles[profile])) {
+            return [`"profiles" must list ${KEY_COUNT} switches, each ${SWITCH_PROFILE_IDS.join(', ')}`];
+        }
+        return [];
+    }
+
+    // Keep the key count and drop profiles that no longer exist
+    static migrateState(state) {
+        const profiles = Array.from({ length: KEY_COUNT }, (_, index) => {
+            const profile = state.profiles?.[index];
+            return switchProfiles[profile] ? profile : 'linear';
+        });
+        return { ...state, profiles };
+    }
+
+    constructor(state) {
+        super(state);
+        this.keys = Array.from({ length: KEY_COUNT }, (_, index) => ({
+            index,
+            holder: null, // Id of the finger or key holding it down
+            tap: false, // Released before it actuated, so it still travels that far
+            depth: 0, // Millimetres down
+            actuated: false
+        }));
+    }
+
+    profileOf(index) {
+        return switchProfiles[this.state.profiles[index]];
+    }
+
+    isHeld(index) {
+        return this.keys[index].holder !== null;
+    }
+
+    press({ key, id }) {
+        const held = this.keys[key];
+        if (held.holder !== null) return;
+        held.holder = id;
+        held.tap = false;
+    }
+
+    release({ key, id }) {
+        const held = this.keys[key];
+        if (held.holder === null || held.holder !== id) return;
+        held.holder = null;
+        held.tap = !held.actuated;
+    }
+
+    cycle({ key }) {
+        const next = (SWITCH_PROFILE_IDS.indexOf(this.state.profiles[key]) + 1) % SWITCH_PROFILE_IDS.length;
+        this.state.profiles[key] = SWITCH_PROFILE_IDS[next];
+        this.feedback('profile');
+        this.changed();
+    }
+
+    // Move a key towards the bottom while held or the top once let go,
+    // returns whether it moved
+    travel(key, dt) {
+        const profile = this.profileOf(key.index);
+        const id = this.state.profiles[key.index];
+        const down = key.holder !== null || key.tap;
+        const from = key.depth;
+
+        if (down) {
+            key.depth = Math.min(KEY_TRAVEL, key.depth + PRESS_SPEED * dt);
+        } else {
+            key.depth = Math.max(0, key.depth - RETURN_SPEED * dt);
+        }
+        if (key.depth === from) return false;
+
+        if (down) {
+            if (profile.bump !== null && from < profile.bump && key.depth >= profile.bump && !key.actuated) {
+                this.feedback(`${id}-bump`);
+            }
+            if (!key.actuated && key.depth >= profile.actuation) {
+                key.actuated = true;
+                key.tap = false;
+                this.feedback(`${id}-press`);
+            }
+        } else if (key.actuated && key.depth <= profile.reset) {
+            key.actuated = false;
+            this.feedback(`${id}-release`);
+        }
+        return true;
+    }
+
+    step(dt) {
+        let moved = false;
+        this.keys.forEach(key => {
+            moved = this.travel(key, dt) || moved;
+        });
+        if (moved) this.changed();
+        return moved;
+    }
+
+    // Let every key go, e.g. when the zone goes away
+    cancel() {
+        this.keys.forEach(key => {
+            key.holder = null;
+            key.tap = false;
+        });
+    }
+
+    restore() {
+        this.cancel();
+    }
+}
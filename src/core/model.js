@@ -0,0 +1,129 @@
+/**
+ * Fidgit zone model base class
+ * A model is the headless half of a zone: its state and everything about how
+ * it moves and feels - notches, snapping, ticks, momentum - with no DOM. It is
+ * driven by normalized input events and a clock, and reports back through
+ * three kinds of events:
+ * - change: the state changed and should be redrawn
+ * - feedback (event, { coasting }): a zone event that plays haptic feedback
+ * - track (metric, amount): an addition to a usage statistic
+ *
+ * Input events are plain objects with a `type` naming one of the model's
+ * `static inputs`, handled by the method of the same name. Pointer-like
+ * inputs ('press', 'move', 'release') carry `time` in seconds and positions
+ * in the model's own units (an angle, a fraction of travel, a bubble index),
+ * so zones only translate from the screen. `static inputFields` lists the
+ * fields each input can't do without, so input from outside the app (an
+ * imported recording) can be checked before a model is fed it.
+ */
+
+// Length in seconds of one frame when advancing a model without a display
+export const FRAME = 1 / 60;
+
+// Checks for the kinds of value an input field can need
+const FIELD_KINDS = {
+    number: value => Number.isFinite(value),
+    vector: value => Array.isArray(value) && value.length > 0 && value.every(Number.isFinite)
+};
+
+const FIELD_NAMES = {
+    number: 'a number',
+    vector: 'a list of numbers'
+};
+
+export class Model {
+    // Input event types the model accepts
+    static inputs = [];
+
+    // Fields each input needs, as { [input]: { [field]: 'number' | 'vector' } },
+    // a vector being a list of numbers such as a point in space
+    static inputFields = {};
+
+    // Problems with an input event, empty when the model can take it
+    static validateInput(input) {
+        if (!this.inputs.includes(input.type)) {
+            return [`the input must be one of ${this.inputs.join(', ')}`];
+        }
+        return Object.entries(this.inputFields[input.type] || {})
+            .filter(([field, kind]) => !FIELD_KINDS[kind](input[field]))
+            .map(([field, kind]) => `"${field}" must be ${FIELD_NAMES[kind]}`);
+    }
+
+    // Fresh state for a new model
+    static defaultState() {
+        return {};
+    }
+
+    // Upgrade state saved by an older version - override when the state
+    // shape changes
+    static migrateState(state) {
+        return state;
+    }
+
+    // State keys that configure the model, e.g. a key's switch type, rather
+    // than say how it was left; profiles carry these
+    static config = [];
+
+    // Problems with configuration taken from a profile, empty when it's fine -
+    // override to check the values of the config keys given
+    static validateConfig(config) {
+        return [];
+    }
+
+    constructor(state = this.constructor.defaultState()) {
+        this.state = state;
+        this.listeners = {};
+    }
+
+    // Be notified of 'change', 'feedback' or 'track' events, returns an
+    // unsubscribe function
+    on(type, callback) {
+        const listeners = this.listeners[type] ??= new Set();
+        listeners.add(callback);
+        return () => listeners.delete(callback);
+    }
+
+    emit(type, ...args) {
+        this.listeners[type]?.forEach(callback => callback(...args));
+    }
+
+    changed() {
+        this.emit('change');
+    }
+
+    feedback(event, options = {}) {
+        this.emit('feedback', event, options);
+    }
+
+    track(metric, amount) {
+        this.emit('track', metric, amount);
+    }
+
+    // Apply one input event, returns whether the model accepts its type
+    handle(event) {
+        if (!this.constructor.inputs.includes(event.type)) return false;
+        this[event.type](event);
+        return true;
+    }
+
+    // Advance the clock by dt seconds, returns whether anything moved -
+    // override for models that move on their own
+    step(dt) {
+        return false;
+    }
+
+    // Advance the clock by a number of seconds in frames, returns whether
+    // anything moved
+    advance(seconds, frame = FRAME) {
+        let moved = false;
+        for (let elapsed = 0; elapsed < seconds - 1e-9; elapsed += frame) {
+            moved = this.step(Math.min(frame, seconds - elapsed)) || moved;
+        }
+        return moved;
+    }
+
+    // Pick up state that was changed from outside the model (e.g. a reset or
+    // playback), letting go of anything held - override to resynchronise
+    // internal bodies
+    restore() {}
+}
@@ -0,0 +1,212 @@
+/**
+ * Roll model - trackball that rolls under the finger
+ * The ball's orientation is a quaternion updated arcball-style, so the point
+ * under the finger follows it without gimbal artifacts. Like a thumb resting
+ * on a real trackball, dimples and a seam on the sphere are felt at the spot
+ * where the finger pressed, pulsing as the surface streams past it. A flick
+ * keeps it spinning.
+ *
+ * Points on the ball are unit vectors in view coordinates: x right, y down
+ * and z towards the viewer.
+ *
+ * Inputs:
+ * - press { time, contact }, move { time, contact }: the point on the ball
+ *   under the finger
+ * - release { time, coast = true }: let go, rolling on unless coast is false
+ * - roll { x, y, coast = true }: set it rolling in a screen direction, felt
+ *   at its centre, or roll one step without coasting
+ * - tilt { x, y }: how far the device leans towards screen right and down,
+ *   each from -1 to 1 - the ball rolls that way until it is level again
+ * - stop: bring it to rest
+ */
+
+import { Model } from './model.js';
+import { Body } from '../physics/index.js';
+import * as quat from '../utils/quaternion.js';
+
+// Number of dimples spread over the sphere
+export const DIMPLE_COUNT = 26;
+// Dots marking the seam
+export const SEAM_DOTS = 40;
+// Angular radius (radians) of the area under the finger that feels features
+export const CONTACT_RADIUS = 0.22;
+// Seam great circle, as the unit normal of its plane in ball coordinates
+export const SEAM_NORMAL = quat.normalizeVector([1, 0.35, 0]);
+// Roll speed in radians per second of a roll input
+export const ROLL_SPEED = 4;
+// Radians a roll input turns the ball when not coasting
+export const ROLL_STEP = 0.4;
+// Roll speed in radians per second gained each second at full tilt
+export const TILT_ACCELERATION = 12;
+
+// Evenly spread points on a unit sphere (Fibonacci lattice)
+export function spherePoints(count) {
+    const golden = Math.PI * (3 - Math.sqrt(5));
+    return Array.from({ length: count }, (_, i) => {
+        const y = 1 - (2 * (i + 0.5)) / count;
+        const radius = Math.sqrt(1 - y * y);
+        const theta = golden * i;
+        return [Math.cos(theta) * radius, y, Math.sin(theta) * radius];
+    });
+}
+
+// Points around the seam's great circle
+export function seamPoints(count) {
+    const u = quat.normalizeVector(quat.cross(SEAM_NORMAL, [0, 0, 1]));
+    const v = quat.cross(SEAM_NORMAL, u);
+    return Array.from({ length: count }, (_, i) => {
+        const angle = (2 * Math.PI * i) / count;
+        return u.map((component, axis) => component * Math.cos(angle) + v[axis] * Math.sin(angle));
+    });
+}
+
+export class RollModel extends Model {
+    static inputs = ['press', 'move', 'release', 'roll', 'tilt', 'stop'];
+    static inputFields = {
+        press: { time: 'number', contact: 'vector' },
+        move: { time: 'number', contact: 'vector' },
+        release: { time: 'number' },
+        roll: { x: 'number', y: 'number' },
+        tilt: { x: 'number', y: 'number' }
+    };
+
+    static defaultState() {
+        return { orientation: quat.identity() };
+    }
+
+    constructor(state) {
+        super(state);
+        // Surface features in ball coordinates, noting which are under the sensed spot
+        this.dimples = spherePoints(DIMPLE_COUNT).map(direction => ({ direction, under: false }));
+        this.seam = seamPoints(SEAM_DOTS).map(direction => ({ direction }));
+
+        // Scalar speed along the rolling direction, with the axis kept alongside
+        this.spin = new Body({ friction: 1.8, restSpeed: 0.05 });
+        this.axis = [0, 1, 0];
+        // Point on the ball under the finger
+        this.contact = null;
+        // Where the finger pressed - features are felt passing this spot,
+        // which stays put after release so coasting keeps pulsing
+        this.sensor = [0, 0, 1];
+        this.seamSide = null;
+        // Lean of the device, [x, y] from -1 to 1
+        this.slope = [0, 0];
+    }
+
+    get held() {
+        return this.contact !== null;
+    }
+
+    press({ time, contact }) {
+        this.contact = contact;
+        this.sensor = contact;
+        this.seamSide = null;
+        this.spin.grab(time);
+        this.feedback('start');
+        // Note what is under the finger now, so only new arrivals pulse
+        this.feel(false, true);
+    }
+
+    move({ time, contact }) {
+        if (!this.held) return;
+        const rotation = quat.fromUnitVectors(this.contact, contact);
+        const { axis, angle } = quat.toAxisAngle(rotation);
+
+        if (angle > 0) {
+            this.axis = axis;
+        }
+        this.spin.drag(this.spin.position + angle, time);
+        this.contact = contact;
+        this.rotate(rotation, false);
+    }
+
+    release({ time, coast = true }) {
+        this.contact = null;
+        this.spin.release(time, { coast });
+    }
+
+    roll({ x, y, coast = true }) {
+        this.sensor = [0, 0, 1];
+        this.axis = quat.normalizeVector([-y, x, 0]);
+        this.spin.reset(this.spin.position);
+        if (coast) {
+            this.spin.push(ROLL_SPEED);
+        } else {
+            this.rotate(quat.fromAxisAngle(this.axis, ROLL_STEP), false);
+        }
+    }
+
+    tilt({ x, y }) {
+        this.slope = [x, y];
+        if (!this.held && (x || y)) {
+            this.sensor = [0, 0, 1];
+        }
+    }
+
+    stop() {
+        this.spin.reset(this.spin.position);
+    }
+
+    // Speed the ball up downhill, turning its rolling direction towards the slope
+    gravity(dt) {
+        const [x, y] = this.slope;
+        if (this.held || (!x && !y)) return;
+        // Screen direction it rolls in now, the inverse of roll()'s axis
+        const speed = this.spin.velocity;
+        const dx = this.axis[1] * speed + x * TILT_ACCELERATION * dt;
+        const dy = -this.axis[0] * speed + y * TILT_ACCELERATION * dt;
+        const next = Math.hypot(dx, dy);
+        if (next === 0) return;
+        this.axis = [-dy / next, dx / next, 0];
+        this.spin.velocity = next;
+    }
+
+    // Apply a rotation in view space to the ball
+    rotate(rotation, coasting) {
+        this.state.orientation = quat.normalize(quat.multiply(rotation, this.state.orientation));
+        this.changed();
+        this.feel(coasting);
+    }
+
+    // Pulse for dimples entering the sensed area and for seam crossings
+    feel(coasting, silent = false) {
+        const threshold = Math.cos(CONTACT_RADIUS);
+        const orientation = this.state.orientation;
+
+        let dimple = false;
+        this.dimples.forEach(feature => {
+            const direction = quat.rotateVector(orientation, feature.direction);
+            const under = quat.dot(direction, this.sensor) > threshold;
+            if (under && !feature.under) dimple = true;
+            feature.under = under;
+        });
+
+        // The seam passes when the sensed spot changes side of its plane
+        const distance = quat.dot(quat.rotateVector(orientation, SEAM_NORMAL), this.sensor);
+        const side = distance < 0 ? -1 : 1;
+        const crossed = this.seamSide !== null && side !== this.seamSide && Math.abs(distance) < Math.sin(CONTACT_RADIUS);
+        this.seamSide = side;
+
+        if (silent) return;
+        if (crossed) {
+            this.feedback('seam', { coasting });
+        } else if (dimple) {
+            this.feedback('roll', { coasting });
+        }
+    }
+
+    // Keep rolling after a flick or down a slope
+    step(dt) {
+        this.gravity(dt);
+        const before = this.spin.position;
+        if (!this.spin.step(dt)) return false;
+        this.rotate(quat.fromAxisAngle(this.axis, this.spin.position - before), true);
+        return true;
+    }
+
+    restore() {
+        this.contact = null;
+        this.slope = [0, 0];
+        this.spin.reset(0);
+    }
+}
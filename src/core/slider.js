@@ -0,0 +1,138 @@
+/**
+ * Slider model - a knob on a notched track that snaps when let go
+ * Tilting the device rolls the knob along the track like a marble in a
+ * groove: a gentle lean leaves it resting in its notch, a steeper one rolls
+ * it over the notches until it hits the end or settles again.
+ *
+ * Positions are percent of the track, the knob travelling from MIN to MAX.
+ *
+ * Inputs:
+ * - press { position }: take hold, jumping to position if given (pressing
+ *   the track rather than the knob)
+ * - move { position }: drag the knob
+ * - release: let go, snapping to the nearest notch
+ * - nudge { amount }: move a whole number of notches from the nearest one
+ * - set { position }: move straight to a position
+ * - tilt { x }: how far the device leans towards the right end of the
+ *   track, from -1 to 1
+ */
+
+import { Model } from './model.js';
+import { Body } from '../physics/index.js';
+
+// Knob travel in percent of the track, with a notch every NOTCH percent
+export const MIN = 10;
+export const MAX = 90;
+export const NOTCH = 10;
+// Percent per second the rolling knob gains each second at full tilt, and
+// how strongly notches hold it - leans under a third of the way stay put
+export const TILT_ACCELERATION = 400;
+export const TILT_DETENT = 120;
+
+export class SliderModel extends Model {
+    static inputs = ['press', 'move', 'release', 'nudge', 'set', 'tilt'];
+    static inputFields = {
+        press: { position: 'number' },
+        move: { position: 'number' },
+        nudge: { amount: 'number' },
+        set: { position: 'number' },
+        tilt: { x: 'number' }
+    };
+
+    static defaultState() {
+        return { position: MIN };
+    }
+
+    constructor(state) {
+        super(state);
+        this.held = false;
+        // The knob rolling under tilt, pulled into notches as it goes
+        this.body = new Body({
+            position: this.state.position,
+            friction: 5,
+            detents: { spacing: NOTCH, strength: TILT_DETENT },
+            restSpeed: 2
+        });
+        this.slope = 0;
+    }
+
+    // Position as a whole percentage of the knob's travel
+    get percent() {
+        return Math.round((this.state.position - MIN) / (MAX - MIN) * 100);
+    }
+
+    press({ position }) {
+        this.held = true;
+        this.feedback('start');
+        if (position !== undefined) {
+            this.slideTo(position);
+        }
+    }
+
+    move({ position }) {
+        this.slideTo(position);
+    }
+
+    release() {
+        this.held = false;
+        this.snap();
+    }
+
+    nudge({ amount }) {
+        this.slideTo(Math.round(this.state.position / NOTCH) * NOTCH + amount * NOTCH);
+    }
+
+    set({ position }) {
+        this.slideTo(position);
+    }
+
+    tilt({ x }) {
+        this.slope = x;
+    }
+
+    // Move the knob to a position, ticking at each notch; a knob moved by
+    // hand or key stops rolling
+    slideTo(position, coasting = false) {
+        const clamped = Math.max(MIN, Math.min(MAX, position));
+        const oldNotch = Math.round(this.state.position / NOTCH);
+
+        this.state.position = clamped;
+        this.changed();
+        if (!coasting) {
+            this.body.reset(clamped);
+        }
+
+        if (Math.round(clamped / NOTCH) !== oldNotch) {
+            this.feedback('notch', { coasting });
+        }
+    }
+
+    // Settle on the nearest notch
+    snap() {
+        this.slideTo(Math.round(this.state.position / NOTCH) * NOTCH);
+        this.feedback('snap');
+    }
+
+    // Roll down the tilted track, stopping dead at either end
+    step(dt) {
+        if (this.held || (!this.slope && !this.body.moving)) return false;
+        this.body.push(this.slope * TILT_ACCELERATION * dt);
+        this.body.step(dt);
+
+        const position = Math.max(MIN, Math.min(MAX, this.body.position));
+        if (position !== this.body.position) {
+            this.body.reset(position);
+        }
+        // Leaning on the side of a notch the knob only creeps - until it settles
+        if (this.body.moving && Math.abs(position - this.state.position) < 0.01) return false;
+        if (position === this.state.position) return false;
+        this.slideTo(position, true);
+        return true;
+    }
+
+    restore() {
+        this.held = false;
+        this.slope = 0;
+        this.body.reset(this.state.position);
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * Spinner model - a free wheel that ticks as it turns and coasts on a flick
+ *
+ * Inputs:
+ * - press { time, angle }, move { time, angle }: angle of the finger around
+ *   the centre in radians
+ * - release { time, coast = true }: let go, coasting unless coast is false
+ * - nudge { amount }: turn a whole number of ticks
+ * - flick { direction, speed = FLICK_SPEED, coast = true }: set it spinning,
+ *   adding speed in degrees per second (e.g. a shake of the device), or a
+ *   whole turn at once without coasting
+ * - stop: bring it to rest where it is
+ */
+
+import { Model } from './model.js';
+import { RAD_TO_DEG, angleDelta } from '../utils/geometry.js';
+import { Body } from '../physics/index.js';
+
+// Momentum decay per second (about 0.98 per frame at 60fps)
+export const FRICTION = 1.2;
+// Degrees between spin ticks
+export const TICK_DEGREES = 30;
+// Speed in degrees per second of a flick from the keyboard
+export const FLICK_SPEED = 720;
+
+export class SpinnerModel extends Model {
+    static inputs = ['press', 'move', 'release', 'nudge', 'flick', 'stop'];
+    static inputFields = {
+        press: { time: 'number', angle: 'number' },
+        move: { time: 'number', angle: 'number' },
+        release: { time: 'number' },
+        nudge: { amount: 'number' },
+        flick: { direction: 'number' }
+    };
+
+    static defaultState() {
+        return { rotation: 0, velocity: 0 };
+    }
+
+    constructor(state) {
+        super(state);
+        this.body = new Body({ position: this.state.rotation, friction: FRICTION });
+        this.body.push(this.state.velocity);
+        this.angle = null; // Finger angle while held
+    }
+
+    get held() {
+        return this.angle !== null;
+    }
+
+    // Rotation normalized to 0-359 whole degrees
+    get degrees() {
+        return ((Math.round(this.state.rotation) % 360) + 360) % 360;
+    }
+
+    press({ time, angle }) {
+        this.angle = angle;
+        this.body.grab(time);
+        this.state.velocity = 0;
+        this.feedback('start');
+    }
+
+    move({ time, angle }) {
+        if (!this.held) return;
+        const delta = angleDelta(angle, this.angle) * RAD_TO_DEG;
+        this.body.drag(this.body.position + delta, time);
+        this.angle = angle;
+        this.sync(false);
+    }
+
+    release({ time, coast = true }) {
+        this.angle = null;
+        this.body.release(time, { coast });
+    }
+
+    nudge({ amount }) {
+        this.body.reset(this.body.position + amount * TICK_DEGREES);
+        this.sync(false);
+    }
+
+    flick({ direction, speed = FLICK_SPEED, coast = true }) {
+        if (!coast) {
+            this.body.reset(this.body.position + direction * 360);
+            this.sync(false);
+            return;
+        }
+        this.body.push(direction * speed);
+        this.feedback('start');
+    }
+
+    stop() {
+        this.body.reset(this.body.position);
+        this.state.velocity = 0;
+    }
+
+    // Copy the body into state, ticking every TICK_DEGREES
+    sync(coasting) {
+        const oldTicks = Math.floor(this.state.rotation / TICK_DEGREES);
+        this.track('revolutions', Math.abs(this.body.position - this.state.rotation) / 360);
+        this.state.rotation = this.body.position;
+        this.state.velocity = this.body.velocity;
+        this.changed();
+
+        if (Math.floor(this.state.rotation / TICK_DEGREES) !== oldTicks) {
+            this.feedback('tick', { coasting });
+        }
+    }
+
+    // Coast with momentum, ticking as it goes
+    step(dt) {
+        if (!this.body.step(dt)) return false;
+        this.sync(true);
+        return true;
+    }
+
+    restore() {
+        this.angle = null;
+        this.body.reset(this.state.rotation);
+        this.body.push(this.state.velocity);
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Fidgit switch profiles
+ * How each kind of keyboard switch feels on the way down and back up. Depths
+ * are in millimetres of key travel.
+ *
+ * Profile fields:
+ * - actuation: depth at which the key registers
+ * - bump: depth of a tactile bump felt before actuation, or null
+ * - reset: depth the key must rise above before it registers again
+ * - haptics: pattern per switch event ('bump' | 'press' | 'release')
+ */
+
+// Full key travel in millimetres
+export const KEY_TRAVEL = 4;
+
+export const switchProfiles = {
+    // Smooth all the way down, only the bottom-out is felt
+    linear: {
+        label: 'Linear',
+        legend: 'L',
+        actuation: 2,
+        bump: null,
+        reset: 1.8,
+        haptics: {
+            press: 'thock',
+            release: 'keyReturn'
+        }
+    },
+
+    // A bump just before the key registers
+    tactile: {
+        label: 'Tactile',
+        legend: 'T',
+        actuation: 2,
+        bump: 1.3,
+        reset: 1.6,
+        haptics: {
+            bump: 'keyBump',
+            press: 'thock',
+            release: 'keyReturn'
+        }
+    },
+
+    // A click jacket that snaps on the way down and ticks on the way up
+    clicky: {
+        label: 'Clicky',
+        legend: 'C',
+        actuation: 2.2,
+        bump: 1.8,
+        reset: 1.4,
+        haptics: {
+            bump: 'keyBump',
+            press: 'keyClick',
+            release: 'tick'
+        }
+    }
+};
+
+export const SWITCH_PROFILE_IDS = Object.keys(switchProfiles);
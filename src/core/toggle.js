@@ -0,0 +1,31 @@
+/**
+ * Toggle model - an on/off switch
+ *
+ * Inputs:
+ * - press: flip the switch
+ * - set { on }: switch to a side, with feedback only if it moves
+ */
+
+import { Model } from './model.js';
+
+export class ToggleModel extends Model {
+    static inputs = ['press', 'set'];
+
+    static defaultState() {
+        return { on: false };
+    }
+
+    press() {
+        this.flip();
+    }
+
+    set({ on }) {
+        if (Boolean(on) !== this.state.on) this.flip();
+    }
+
+    flip() {
+        this.state.on = !this.state.on;
+        this.changed();
+        this.feedback(this.state.on ? 'on' : 'off');
+    }
+}
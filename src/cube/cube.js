@@ -0,0 +1,320 @@
+/**
+ * Fidgit cube
+ * Renders the six faces of the layout and turns between them. Turning is
+ * done by swiping in from a screen edge or with a two-finger twist, animated
+ * as a 3D cube rotation that ends with a "thunk" as the face locks in. In
+ * reduced motion the new face replaces the old one without the rotation.
+ */
+
+import { FACE_IDS, NEIGHBORS } from './layout.js';
+
+// Width in px of the screen-edge strip that starts a swipe
+const EDGE_SIZE = 16;
+// Distance in px an edge swipe must travel inwards to turn the cube
+const SWIPE_DISTANCE = 60;
+// Two fingers landing within this many ms of each other may start a twist
+const TWIST_WINDOW = 150;
+// Rotation in degrees that completes a twist
+const TWIST_ANGLE = 40;
+// How long the face name stays on screen after a turn, in ms
+const LABEL_MS = 1200;
+
+// Direction to turn for a swipe starting at each edge
+const EDGE_DIRECTIONS = { left: 'left', right: 'right', top: 'up', bottom: 'down' };
+
+// Direction to turn for Alt + each arrow key
+const KEY_DIRECTIONS = { ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down' };
+
+export class Cube {
+    constructor(app, container, layout) {
+        this.app = app;
+        this.container = container;
+        this.layout = layout;
+        this.faces = {}; // Face id -> face element
+        this.current = null;
+        this.turning = false;
+        this.unsubscribers = [];
+    }
+
+    // Build the faces and their zone placeholders; zones are mounted by the app
+    render() {
+        this.container.innerHTML = '';
+
+        this.cube = document.createElement('div');
+        this.cube.className = 'cube';
+        this.container.appendChild(this.cube);
+
+        this.layout.faces.forEach(face => {
+            const element = document.createElement('div');
+            element.className = 'cube-face';
+            element.dataset.face = face.id;
+            element.setAttribute('role', 'region');
+            element.setAttribute('aria-label', face.name);
+
+            face.zones.forEach(zone => element.appendChild(Cube.createZoneElement(zone)));
+
+            this.cube.appendChild(element);
+            this.faces[face.id] = element;
+        });
+
+        this.label = document.createElement('div');
+        this.label.className = 'cube-label';
+        this.label.setAttribute('aria-live', 'polite');
+        this.container.appendChild(this.label);
+    }
+
+    // Placeholder element for a zone in the layout, mounted later by the app
+    static createZoneElement({ id, type, cols = 1, rows = 1 }) {
+        const element = document.createElement('div');
+        element.className = 'fidgit-zone';
+        element.dataset.zone = type;
+        element.dataset.zoneId = id;
+        Cube.setSpan(element, cols, rows);
+        return element;
+    }
+
+    // Make a zone element span grid columns and rows, as laid out in
+    // portrait; the stylesheet swaps them round in landscape
+    static setSpan(element, cols, rows) {
+        element.dataset.cols = cols;
+        element.dataset.rows = rows;
+        element.style.setProperty('--cols', cols);
+        element.style.setProperty('--rows', rows);
+    }
+
+    // Read a face's zones back from its elements, after they were rearranged
+    syncFace(faceId) {
+        const face = this.layout.faces.find(candidate => candidate.id === faceId);
+        face.zones = [...this.faces[faceId].querySelectorAll('.fidgit-zone')].map(element => ({
+            id: element.dataset.zoneId,
+            type: element.dataset.zone,
+            cols: Number(element.dataset.cols) || 1,
+            rows: Number(element.dataset.rows) || 1
+        }));
+    }
+
+    // Show a face immediately, without animating
+    show(faceId) {
+        if (!this.faces[faceId]) {
+            faceId = FACE_IDS.find(id => this.faces[id]) || Object.keys(this.faces)[0];
+        }
+
+        Object.entries(this.faces).forEach(([id, element]) => {
+            element.classList.toggle('current', id === faceId);
+            element.style.transform = '';
+        });
+        this.current = faceId;
+        this.layoutZones(faceId);
+    }
+
+    // Tell zones on a face that they are visible, so they can measure themselves
+    layoutZones(faceId) {
+        this.faces[faceId].querySelectorAll('.fidgit-zone').forEach(element => {
+            element.fidgitZone?.layout();
+        });
+    }
+
+    faceName(faceId) {
+        return this.layout.faces.find(face => face.id === faceId)?.name || faceId;
+    }
+
+    // Turn to the neighbouring face in a direction ('left' | 'right' | 'up' | 'down')
+    // Resolves with the new face id, or null if the cube is already turning.
+    turn(direction) {
+        const target = NEIGHBORS[this.current]?.[direction];
+        if (!target || !this.faces[target] || this.turning) {
+            return Promise.resolve(null);
+        }
+
+        if (this.app.reducedMotion) {
+            this.show(target);
+            this.lockIn(target);
+            return Promise.resolve(target);
+        }
+
+        this.turning = true;
+        const from = this.faces[this.current];
+        const to = this.faces[target];
+
+        // Faces sit on a box as deep as the screen is wide (or tall, turning
+        // vertically); the target face waits on the side it turns in from
+        const horizontal = direction === 'left' || direction === 'right';
+        const axis = horizontal ? 'Y' : 'X';
+        const depth = (horizontal ? this.container.clientWidth : this.container.clientHeight) / 2;
+        const angle = direction === 'right' || direction === 'up' ? 90 : -90;
+
+        from.style.transform = `translateZ(${depth}px)`;
+        to.style.transform = `rotate${axis}(${angle}deg) translateZ(${depth}px)`;
+        to.classList.add('turning-in');
+        this.layoutZones(target);
+
+        this.cube.style.transition = 'none';
+        this.cube.style.transform = `translateZ(${-depth}px)`;
+        this.cube.getBoundingClientRect(); // Commit the start position before animating
+        this.cube.style.transition = '';
+        this.cube.style.transform = `translateZ(${-depth}px) rotate${axis}(${-angle}deg)`;
+
+        return new Promise(resolve => {
+            let fallback = null;
+            const finish = () => {
+                clearTimeout(fallback);
+                this.cube.removeEventListener('transitionend', finish);
+
+                this.cube.style.transition = 'none';
+                this.cube.style.transform = '';
+                to.classList.remove('turning-in');
+                this.show(target);
+                this.turning = false;
+
+                this.lockIn(target);
+                resolve(target);
+            };
+
+            this.cube.addEventListener('transitionend', finish);
+            // transitionend never fires when animations are disabled
+            fallback = setTimeout(finish, 700);
+        });
+    }
+
+    // A face has come into view: thunk, name it and tell the app
+    lockIn(faceId) {
+        this.app.vibrate('thunk');
+        this.showLabel(faceId);
+        this.app.faceChanged(faceId);
+    }
+
+    // Briefly show the name of the face that just locked in
+    showLabel(faceId) {
+        this.label.textContent = this.faceName(faceId);
+        this.label.classList.add('visible');
+        clearTimeout(this.labelTimer);
+        this.labelTimer = setTimeout(() => this.label.classList.remove('visible'), LABEL_MS);
+    }
+
+    // Edge swipes and two-finger twists turn the cube, as do Alt + arrow keys
+    setupGestures(input) {
+        this.unsubscribers.push(input.intercept((pointer, event) => this.claimEdgeSwipe(pointer, event)));
+        this.unsubscribers.push(this.watchTwist(input));
+
+        const onKey = (event) => this.handleKey(event);
+        document.addEventListener('keydown', onKey);
+        this.unsubscribers.push(() => document.removeEventListener('keydown', onKey));
+    }
+
+    handleKey(event) {
+        const direction = KEY_DIRECTIONS[event.key];
+        if (!direction || !event.altKey || event.ctrlKey || event.metaKey) return;
+
+        event.preventDefault();
+        const from = this.faces[this.current];
+        const hadFocus = from.contains(document.activeElement);
+        this.turn(direction).then(faceId => {
+            // Keep keyboard focus on the face in view
+            if (faceId && hadFocus) {
+                this.faces[faceId].querySelector('[tabindex="0"]')?.focus();
+            }
+        });
+    }
+
+    // Claim pointers that land on a screen edge of the cube for a swipe
+    claimEdgeSwipe(pointer, event) {
+        if (!this.container.contains(event.target)) return null;
+
+        const rect = this.container.getBoundingClientRect();
+        const distances = {
+            left: pointer.x - rect.left,
+            right: rect.right - pointer.x,
+            top: pointer.y - rect.top,
+            bottom: rect.bottom - pointer.y
+        };
+        const edge = Object.keys(distances).find(key => distances[key] < EDGE_SIZE);
+        if (!edge) return null;
+
+        let turned = false;
+        return {
+            move: (current) => {
+                if (turned) return;
+
+                const inward = {
+                    left: current.x - pointer.startX,
+                    right: pointer.startX - current.x,
+                    top: current.y - pointer.startY,
+                    bottom: pointer.startY - current.y
+                }[edge];
+
+                if (inward > SWIPE_DISTANCE) {
+                    turned = true;
+                    this.app.markUserActivation();
+                    this.turn(EDGE_DIRECTIONS[edge]);
+                }
+            }
+        };
+    }
+
+    // Two fingers landing together and rotating around their midpoint turn
+    // the cube left or right. Kept strict (steady spread, steady midpoint) so
+    // two-handed use of separate zones doesn't set it off.
+    watchTwist(input) {
+        const fingers = new Map();
+        let twist = null;
+
+        const geometry = () => {
+            const [a, b] = [...fingers.values()];
+            return {
+                angle: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI,
+                spread: Math.hypot(b.x - a.x, b.y - a.y),
+                midX: (a.x + b.x) / 2,
+                midY: (a.y + b.y) / 2
+            };
+        };
+
+        return input.observe((phase, pointer) => {
+            if (phase === 'start') {
+                fingers.set(pointer.id, { x: pointer.x, y: pointer.y, time: pointer.time });
+                const times = [...fingers.values()].map(finger => finger.time);
+                twist = fingers.size === 2 && Math.abs(times[0] - times[1]) < TWIST_WINDOW
+                    ? { start: geometry(), done: false }
+                    : null;
+                return;
+            }
+
+            if (!fingers.has(pointer.id)) return;
+
+            if (phase !== 'move') {
+                fingers.delete(pointer.id);
+                twist = null;
+                return;
+            }
+
+            fingers.set(pointer.id, { ...fingers.get(pointer.id), x: pointer.x, y: pointer.y });
+            if (!twist || twist.done) return;
+
+            const now = geometry();
+            let rotation = now.angle - twist.start.angle;
+            if (rotation > 180) rotation -= 360;
+            if (rotation < -180) rotation += 360;
+
+            const spreadRatio = now.spread / (twist.start.spread || 1);
+            const drift = Math.hypot(now.midX - twist.start.midX, now.midY - twist.start.midY);
+            if (spreadRatio < 0.75 || spreadRatio > 1.33 || drift > 50) {
+                twist = null;
+                return;
+            }
+
+            if (Math.abs(rotation) > TWIST_ANGLE) {
+                twist.done = true;
+                // The twist takes over both fingers from the zones they started on
+                fingers.forEach((finger, id) => input.release(id));
+                this.app.markUserActivation();
+                // Clockwise brings in the right-hand face
+                this.turn(rotation > 0 ? 'right' : 'left');
+            }
+        });
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        clearTimeout(this.labelTimer);
+    }
+}
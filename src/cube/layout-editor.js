@@ -0,0 +1,236 @@
+/**
+ * Fidgit layout editor
+ * Edit mode for the cube: drag zones to reorder them, remove or duplicate
+ * them, resize them across grid cells and add new ones. Changes are saved to
+ * this device's layout as they happen.
+ */
+
+import { Cube } from './cube.js';
+import { defaultLayout } from './layout-store.js';
+import { getZoneType, getZoneTypes } from '../zones/registry.js';
+
+// Size steps a zone cycles through, as [cols, rows]
+const SIZES = [[1, 1], [2, 1], [1, 2], [2, 2]];
+
+export class LayoutEditor {
+    constructor(app) {
+        this.app = app;
+        this.active = false;
+        this.unbinders = [];
+        this.bar = null;
+        // Zone element -> its focus and role attributes while covered
+        this.covered = new Map();
+    }
+
+    toggle() {
+        if (this.active) {
+            this.exit();
+        } else {
+            this.enter();
+        }
+    }
+
+    enter() {
+        this.active = true;
+        this.app.cube.container.classList.add('editing');
+        this.decorateAll();
+        this.showBar();
+    }
+
+    exit() {
+        this.active = false;
+        this.app.cube.container.classList.remove('editing');
+        this.undecorateAll();
+        this.bar?.remove();
+        this.bar = null;
+        this.save();
+    }
+
+    decorateAll() {
+        this.app.cube.container.querySelectorAll('.fidgit-zone').forEach(element => this.decorate(element));
+    }
+
+    undecorateAll() {
+        this.unbinders.forEach(unbind => unbind());
+        this.unbinders = [];
+        this.app.cube.container.querySelectorAll('.zone-edit').forEach(overlay => overlay.remove());
+        this.covered.forEach((attributes, element) => this.uncover(element, attributes));
+        this.covered.clear();
+    }
+
+    // Cover a zone with edit controls; the cover also keeps the zone from
+    // receiving input while editing
+    decorate(element) {
+        this.cover(element);
+        const overlay = document.createElement('div');
+        overlay.className = 'zone-edit';
+        overlay.innerHTML = `
+            <span class="zone-edit-name"></span>
+            <div class="zone-edit-actions">
+                <button type="button" data-action="resize" aria-label="Resize">⤢</button>
+                <button type="button" data-action="duplicate" aria-label="Duplicate">⧉</button>
+                <button type="button" data-action="remove" aria-label="Remove">×</button>
+            </div>
+        `;
+        overlay.querySelector('.zone-edit-name').textContent = element.dataset.zone;
+        overlay.querySelector('.zone-edit-actions').addEventListener('click', (e) => {
+            const action = e.target.closest('button')?.dataset.action;
+            if (action) this[action](element);
+        });
+        element.appendChild(overlay);
+
+        // Dragging the cover reorders the zone among its face's zones
+        this.unbinders.push(this.app.input.bind(overlay, {
+            start: (pointer) => {
+                if (pointer.target.closest('button')) return false;
+                element.classList.add('dragging');
+            },
+            move: (pointer) => this.dragOver(element, pointer),
+            end: () => {
+                element.classList.remove('dragging');
+                this.save();
+            }
+        }));
+    }
+
+    // Put a zone's parts out of reach of focus, keys and screen readers, so
+    // only the cover's controls can be used until editing ends
+    cover(element) {
+        [...element.children].forEach(child => {
+            child.inert = true;
+        });
+        const attributes = {};
+        ['tabindex', 'role'].forEach(name => {
+            attributes[name] = element.getAttribute(name);
+            element.removeAttribute(name);
+        });
+        this.covered.set(element, attributes);
+    }
+
+    uncover(element, attributes) {
+        [...element.children].forEach(child => {
+            child.inert = false;
+        });
+        Object.entries(attributes)
+            .filter(([, value]) => value !== null)
+            .forEach(([name, value]) => element.setAttribute(name, value));
+    }
+
+    // Move a dragged zone to where the pointer is over another zone of its face
+    dragOver(element, pointer) {
+        const target = document.elementFromPoint(pointer.x, pointer.y)?.closest('.fidgit-zone');
+        if (!target || target === element || target.parentNode !== element.parentNode) return;
+
+        const zones = [...element.parentNode.children];
+        if (zones.indexOf(target) > zones.indexOf(element)) {
+            target.after(element);
+        } else {
+            target.before(element);
+        }
+        this.app.vibrate('tick');
+    }
+
+    remove(element) {
+        this.app.unmountZone(element.dataset.zoneId);
+        this.app.forgetZone(element.dataset.zoneId);
+        this.covered.delete(element);
+        element.remove();
+        this.app.vibrate('tap');
+        this.save();
+    }
+
+    // Add a copy of a zone right after it, starting from the same state
+    duplicate(element) {
+        const source = element.fidgitZone;
+        const copy = this.createZone(element.dataset.zone, {
+            cols: Number(element.dataset.cols) || 1,
+            rows: Number(element.dataset.rows) || 1
+        });
+        element.after(copy);
+        this.mount(copy, source);
+        this.app.vibrate('click');
+        this.save();
+    }
+
+    // Cycle a zone through the size steps
+    resize(element) {
+        const current = SIZES.findIndex(([cols, rows]) =>
+            cols === (Number(element.dataset.cols) || 1) && rows === (Number(element.dataset.rows) || 1));
+        const [cols, rows] = SIZES[(current + 1) % SIZES.length];
+        Cube.setSpan(element, cols, rows);
+        element.fidgitZone?.layout();
+        this.app.vibrate('tick');
+        this.save();
+    }
+
+    // Add a zone of a type to the end of the current face
+    add(type) {
+        const element = this.createZone(type);
+        this.app.cube.faces[this.app.cube.current].appendChild(element);
+        this.mount(element, null);
+        this.app.vibrate('click');
+        this.save();
+    }
+
+    createZone(type, size = {}) {
+        const id = `${this.app.cube.current}-${type}-${Date.now().toString(36)}`;
+        return Cube.createZoneElement({ id, type, ...size });
+    }
+
+    // Mount a new zone element, optionally copying another zone's state
+    mount(element, source) {
+        const ZoneClass = getZoneType(element.dataset.zone);
+        if (ZoneClass) {
+            if (source) {
+                this.app.state[element.dataset.zoneId] = {
+                    ...ZoneClass.defaultState(),
+                    ...JSON.parse(JSON.stringify(ZoneClass.persistedState(source.state)))
+                };
+            }
+            this.app.mountZone(element, ZoneClass);
+        }
+        this.decorate(element);
+    }
+
+    resetLayout() {
+        if (!window.confirm('Put every face back to its original zones?')) return;
+
+        this.undecorateAll();
+        this.app.applyLayout(defaultLayout());
+        this.decorateAll();
+        this.app.vibrate('heavy');
+    }
+
+    save() {
+        const { cube } = this.app;
+        Object.keys(cube.faces).forEach(faceId => cube.syncFace(faceId));
+        this.app.layoutStore.save(this.app.layout);
+    }
+
+    // Floating bar with the editor's global actions
+    showBar() {
+        this.bar = document.createElement('div');
+        this.bar.className = 'layout-editbar';
+
+        const add = document.createElement('select');
+        add.add(new Option('Add zone…', ''));
+        getZoneTypes().forEach(type => add.add(new Option(type, type)));
+        add.addEventListener('change', () => {
+            if (add.value) this.add(add.value);
+            add.value = '';
+        });
+
+        const reset = document.createElement('button');
+        reset.type = 'button';
+        reset.textContent = 'Reset layout';
+        reset.addEventListener('click', () => this.resetLayout());
+
+        const done = document.createElement('button');
+        done.type = 'button';
+        done.textContent = 'Done';
+        done.addEventListener('click', () => this.exit());
+
+        this.bar.append(add, reset, done);
+        document.body.appendChild(this.bar);
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Fidgit layout store
+ * Persists this device's cube layout to localStorage.
+ *
+ * Schema (version 4):
+ * {
+ *     version: 4,
+ *     faces: [{ id, name, zones: [{ id, type, cols: 1 | 2, rows: 1 | 2 }] }]
+ * }
+ */
+
+import { DEFAULT_LAYOUT, zoneIds } from './layout.js';
+
+const STORAGE_KEY = 'fidgit-layout';
+
+export const LAYOUT_VERSION = 4;
+
+// Migration adding a zone of the default layout to a saved one, at the end
+// of its face, unless the saved layout already has a zone of that type
+const addDefaultZone = (version, id) => (data) => {
+    const [face, zone] = DEFAULT_LAYOUT.faces
+        .flatMap(candidate => candidate.zones.map(zone => [candidate.id, zone]))
+        .find(([, zone]) => zone.id === id);
+    const has = data.faces.some(candidate => candidate.zones.some(({ type }) => type === zone.type));
+    const target = data.faces.find(candidate => candidate.id === face);
+    if (target && !has && !zoneIds(data).has(id)) {
+        target.zones.push({ ...zone });
+    }
+    return { ...data, version };
+};
+
+// Upgrades keyed by the version they upgrade from, each returning the next
+// version's data. Add an entry here whenever LAYOUT_VERSION is bumped, e.g.
+// when a zone type joins the default layout.
+const migrations = {
+    1: addDefaultZone(2, 'bottom-bubble-6'),
+    2: addDefaultZone(3, 'top-joystick-6'),
+    3: addDefaultZone(4, 'right-keys-6')
+};
+
+// Bring a saved layout up to the current version
+// Returns null for data that can't be migrated (e.g. written by a newer app).
+export function migrateLayout(data) {
+    if (!isValidLayout(data)) return null;
+
+    let version = data.version;
+    if (!Number.isInteger(version) || version > LAYOUT_VERSION) return null;
+
+    while (version < LAYOUT_VERSION) {
+        if (!migrations[version]) return null;
+        data = migrations[version](data);
+        version = data.version;
+    }
+    return data;
+}
+
+// Deep copy of the default layout
+export function defaultLayout() {
+    return JSON.parse(JSON.stringify(DEFAULT_LAYOUT));
+}
+
+// Whether data has the shape of a layout
+export function isValidLayout(layout) {
+    return Boolean(layout) && Array.isArray(layout.faces) && layout.faces.every(face =>
+        typeof face.id === 'string' &&
+        Array.isArray(face.zones) &&
+        face.zones.every(zone => typeof zone.id === 'string' && typeof zone.type === 'string')
+    );
+}
+
+export class LayoutStore {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    // The saved layout, or the default one
+    load() {
+        try {
+            const data = migrateLayout(JSON.parse(this.storage?.getItem(STORAGE_KEY)));
+            if (data) {
+                return { faces: data.faces };
+            }
+        } catch (error) {
+            console.debug('Layout not restored:', error.message);
+        }
+        return defaultLayout();
+    }
+
+    save(layout) {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify({ version: LAYOUT_VERSION, faces: layout.faces }));
+        } catch (error) {
+            console.debug('Layout not saved:', error.message);
+        }
+    }
+
+    clear() {
+        try {
+            this.storage?.removeItem(STORAGE_KEY);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Fidgit cube layout
+ * Which zones sit on each of the cube's six faces. Zone ids must be unique
+ * across the cube since zone state is kept per id; the front face keeps the
+ * bare type names used before the cube existed, so saved state carries over.
+ */
+
+export const FACE_IDS = ['front', 'right', 'back', 'left', 'top', 'bottom'];
+
+// Face reached by turning the cube in each direction
+export const NEIGHBORS = {
+    front: { left: 'left', right: 'right', up: 'top', down: 'bottom' },
+    right: { left: 'front', right: 'back', up: 'top', down: 'bottom' },
+    back: { left: 'right', right: 'left', up: 'top', down: 'bottom' },
+    left: { left: 'back', right: 'front', up: 'top', down: 'bottom' },
+    top: { left: 'left', right: 'right', up: 'back', down: 'front' },
+    bottom: { left: 'left', right: 'right', up: 'front', down: 'back' }
+};
+
+// Build a face whose zone ids are prefixed with the face id. Zones added to
+// a face after layouts became editable come after its original six, so
+// those keep their ids and saved state; see the layout store's migrations.
+const face = (id, name, types, added = []) => ({
+    id,
+    name,
+    zones: [
+        ...types.map((type, index) => ({ id: `${id}-${type}-${index}`, type })),
+        ...added
+    ]
+});
+
+export const DEFAULT_LAYOUT = {
+    faces: [
+        {
+            id: 'front',
+            name: 'Classic',
+            zones: ['spinner', 'slider', 'click', 'dial', 'toggle', 'roll'].map(type => ({ id: type, type }))
+        },
+        face('right', 'Switchboard', ['toggle', 'toggle', 'click', 'click', 'toggle', 'toggle'], [
+            { id: 'right-keys-6', type: 'keys', cols: 2, rows: 1 }
+        ]),
+        face('back', 'Rotary', ['dial', 'dial', 'spinner', 'spinner', 'dial', 'dial']),
+        face('left', 'Sliders', ['slider', 'slider', 'slider', 'slider', 'slider', 'slider']),
+        face('top', 'Rollers', ['roll', 'spinner', 'spinner', 'roll', 'roll', 'roll'], [
+            { id: 'top-joystick-6', type: 'joystick', cols: 2, rows: 1 }
+        ]),
+        face('bottom', 'Mixed', ['click', 'dial', 'roll', 'toggle', 'slider', 'spinner'], [
+            { id: 'bottom-bubble-6', type: 'bubble', cols: 2, rows: 1 }
+        ])
+    ]
+};
+
+// Ids of every zone in a layout
+export function zoneIds(layout) {
+    return new Set(layout.faces.flatMap(face => face.zones.map(zone => zone.id)));
+}
@@ -0,0 +1,48 @@
+/**
+ * Audio haptics backend
+ * Plays patterns as synthesized sounds through the audio feedback engine, for
+ * devices where vibration is unavailable. Named patterns use their matching
+ * pack sound; other patterns play one sound per step at the step's offset.
+ */
+
+import { AudioFeedback } from '../../audio/audio-feedback.js';
+import { patternSounds, soundForStep } from '../../audio/sound-packs.js';
+
+export class AudioBackend {
+    static isAvailable() {
+        return AudioFeedback.isAvailable();
+    }
+
+    name = 'audio';
+    requiresActivation = true;
+    // Once unlocked, audio can play at any time
+    freeRunning = true;
+
+    constructor(feedback = new AudioFeedback()) {
+        this.feedback = feedback;
+    }
+
+    // Translate steps into sounds with start offsets in seconds
+    translate(steps, name = null) {
+        const sound = patternSounds[name];
+        if (sound && this.feedback.hasSound(sound)) {
+            return [{ sound, at: 0 }];
+        }
+
+        const notes = [];
+        let offset = 0;
+        steps.forEach(step => {
+            if (step.type !== 'pause') {
+                notes.push({ sound: soundForStep(step), at: offset });
+            }
+            offset += (step.ms || 0) / 1000;
+        });
+        return notes;
+    }
+
+    play(steps, name = null) {
+        this.translate(steps, name).forEach(({ sound, at }) => this.feedback.play(sound, { at }));
+    }
+
+    cancel() {}
+}
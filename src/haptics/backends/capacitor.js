@@ -0,0 +1,136 @@
+/**
+ * Capacitor haptics backend
+ * Plays each step through the native Haptics plugin: impacts map to impact
+ * styles, detent ticks to the selection feedback generator and notification
+ * steps to notification feedback. Steps are scheduled with their durations so
+ * multi-step patterns keep their two-stage feel, and long pulses (as drawn in
+ * custom patterns) become a run of impacts that feels like a buzz.
+ */
+
+import { Capacitor } from '@capacitor/core';
+import { Haptics, ImpactStyle, NotificationType } from '@capacitor/haptics';
+
+const IMPACT_STYLES = {
+    light: ImpactStyle.Light,
+    medium: ImpactStyle.Medium,
+    heavy: ImpactStyle.Heavy
+};
+
+const NOTIFICATION_TYPES = {
+    success: NotificationType.Success,
+    warning: NotificationType.Warning,
+    error: NotificationType.Error
+};
+
+// Milliseconds between the impacts that stand in for one long pulse
+const BUZZ_INTERVAL = 40;
+
+// How long a selection session stays prepared after the last tick
+const SELECTION_IDLE_MS = 500;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CapacitorBackend {
+    // Native haptics only work inside a native shell with the plugin installed.
+    // On the web the plugin just wraps navigator.vibrate with fixed durations,
+    // so the Vibration backend translates patterns more faithfully there.
+    static async isAvailable() {
+        try {
+            if (!Capacitor.isNativePlatform() || !Capacitor.isPluginAvailable('Haptics')) {
+                return false;
+            }
+            // Probe with a call that has no perceptible effect
+            await Haptics.selectionStart();
+            await Haptics.selectionEnd();
+            return true;
+        } catch (error) {
+            console.debug('Capacitor Haptics unavailable:', error.message);
+            return false;
+        }
+    }
+
+    name = 'capacitor';
+    requiresActivation = false;
+    // Native haptics can play at any time, e.g. while a flick coasts
+    freeRunning = true;
+
+    constructor() {
+        this.queue = Promise.resolve();
+        // Bumped by cancel() so sequences already queued stop between steps
+        this.generation = 0;
+        this.selectionActive = false;
+        this.selectionTimer = null;
+    }
+
+    // Translate steps into a list of native calls with delays after each
+    translate(steps) {
+        return steps.flatMap(step => {
+            switch (step.type) {
+                case 'impact': {
+                    const options = { style: IMPACT_STYLES[step.style] || ImpactStyle.Medium };
+                    const count = Math.max(1, Math.round((step.ms || 0) / BUZZ_INTERVAL));
+                    return Array.from({ length: count }, () => ({ call: 'impact', options, ms: step.ms / count }));
+                }
+                case 'selection':
+                    return { call: 'selectionChanged', ms: step.ms };
+                case 'notification':
+                    return { call: 'notification', options: { type: NOTIFICATION_TYPES[step.kind] || NotificationType.Success }, ms: step.ms };
+                default:
+                    return { call: null, ms: step.ms };
+            }
+        });
+    }
+
+    play(steps) {
+        const calls = this.translate(steps);
+        const generation = this.generation;
+        // Sequence patterns so overlapping ones don't interleave their steps
+        this.queue = this.queue
+            .then(() => this.run(calls, generation))
+            .catch(error => console.debug('Capacitor Haptics failed:', error.message));
+        return this.queue;
+    }
+
+    async run(calls, generation = this.generation) {
+        for (let i = 0; i < calls.length; i++) {
+            if (generation !== this.generation) return;
+            const { call, options, ms } = calls[i];
+            if (call === 'selectionChanged') {
+                await this.prepareSelection();
+                await Haptics.selectionChanged();
+            } else if (call) {
+                await Haptics[call](options);
+            }
+            // Only wait between steps, the last one needn't block the queue
+            if (ms && i < calls.length - 1) {
+                await wait(ms);
+            }
+        }
+    }
+
+    // Keep the selection generator prepared while ticks keep coming
+    async prepareSelection() {
+        clearTimeout(this.selectionTimer);
+        this.selectionTimer = setTimeout(() => {
+            this.selectionActive = false;
+            Haptics.selectionEnd().catch(() => {});
+        }, SELECTION_IDLE_MS);
+
+        if (!this.selectionActive) {
+            this.selectionActive = true;
+            await Haptics.selectionStart();
+        }
+    }
+
+    // Stop queued and playing sequences and release the selection generator
+    cancel() {
+        this.generation++;
+        this.queue = Promise.resolve();
+        clearTimeout(this.selectionTimer);
+        this.selectionTimer = null;
+        if (this.selectionActive) {
+            this.selectionActive = false;
+            Haptics.selectionEnd().catch(() => {});
+        }
+    }
+}
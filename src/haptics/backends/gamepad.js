@@ -0,0 +1,122 @@
+/**
+ * Gamepad haptics backend
+ * Plays steps as rumble on connected game controllers through their
+ * vibrationActuator. Controllers have two motors: a heavy, slow one
+ * (strong) and a light, quick one (weak), so light impacts and ticks use
+ * the weak motor alone and heavier ones bring in the strong. A new pattern
+ * cuts off the rest of the one playing, as with navigator.vibrate().
+ */
+
+// Motor magnitudes per step
+const RUMBLE = {
+    light: { strongMagnitude: 0, weakMagnitude: 0.6 },
+    medium: { strongMagnitude: 0.5, weakMagnitude: 0.7 },
+    heavy: { strongMagnitude: 1, weakMagnitude: 0.8 },
+    selection: { strongMagnitude: 0, weakMagnitude: 0.4 },
+    notification: { strongMagnitude: 0.6, weakMagnitude: 0.6 }
+};
+
+// Pulses for notification steps without an explicit duration
+const NOTIFICATION_PULSES = {
+    success: 1,
+    warning: 2,
+    error: 3
+};
+const NOTIFICATION_MS = 30;
+const NOTIFICATION_GAP = 60;
+
+// Shortest rumble in milliseconds - the motors barely start in less
+export const MIN_RUMBLE = 20;
+
+export class GamepadBackend {
+    // Whether a connected controller can rumble
+    static isAvailable(getGamepads = () => globalThis.navigator?.getGamepads?.() ?? []) {
+        return [...getGamepads()].some(pad => pad?.connected && pad.vibrationActuator);
+    }
+
+    name = 'gamepad';
+    // Controllers rumble whenever asked, without a gesture on the page
+    requiresActivation = false;
+    freeRunning = true;
+
+    constructor(getGamepads = () => globalThis.navigator?.getGamepads?.() ?? []) {
+        this.getGamepads = getGamepads;
+        this.timers = [];
+    }
+
+    // Translate steps into rumbles: { at, duration, strongMagnitude, weakMagnitude }
+    // with times in milliseconds
+    translate(steps) {
+        const rumbles = [];
+        let at = 0;
+        const rumble = (kind, ms) => {
+            rumbles.push({ at, duration: Math.max(MIN_RUMBLE, ms), ...RUMBLE[kind] });
+        };
+
+        steps.forEach(step => {
+            switch (step.type) {
+                case 'pause':
+                    break;
+                case 'impact':
+                    rumble(RUMBLE[step.style] ? step.style : 'medium', step.ms || 0);
+                    break;
+                case 'notification':
+                    if (step.ms) {
+                        rumble('notification', step.ms);
+                        break;
+                    }
+                    // Unknown kinds play as a success rather than not at all
+                    for (let pulse = 0; pulse < (NOTIFICATION_PULSES[step.kind] || NOTIFICATION_PULSES.success); pulse++) {
+                        rumble('notification', NOTIFICATION_MS);
+                        at += NOTIFICATION_MS + NOTIFICATION_GAP;
+                    }
+                    at -= NOTIFICATION_GAP;
+                    break;
+                default:
+                    rumble(step.type, step.ms || 0);
+            }
+            at += step.ms || 0;
+        });
+        return rumbles;
+    }
+
+    // Actuators of the connected controllers that can rumble
+    actuators() {
+        return [...this.getGamepads()]
+            .filter(pad => pad?.connected && pad.vibrationActuator)
+            .map(pad => pad.vibrationActuator);
+    }
+
+    play(steps) {
+        this.stop();
+        const actuators = this.actuators();
+        if (!actuators.length) return;
+
+        this.translate(steps).forEach(({ at, ...effect }) => {
+            const start = () => actuators.forEach(actuator => {
+                // Also rejects when cut short by the next rumble, which is harmless
+                Promise.resolve()
+                    .then(() => actuator.playEffect('dual-rumble', { startDelay: 0, ...effect }))
+                    .catch(error => console.debug('Controller rumble failed:', error.message));
+            });
+            if (at > 0) {
+                this.timers.push(setTimeout(start, at));
+            } else {
+                start();
+            }
+        });
+    }
+
+    // Drop rumbles still to come
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+    }
+
+    cancel() {
+        this.stop();
+        this.actuators().forEach(actuator => {
+            Promise.resolve().then(() => actuator.reset?.()).catch(() => {});
+        });
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * Recording haptics backend
+ * Test double that stores every played pattern instead of producing feedback.
+ */
+
+export class RecordingBackend {
+    static isAvailable() {
+        return true;
+    }
+
+    name = 'recording';
+    requiresActivation = false;
+    freeRunning = true;
+
+    constructor() {
+        this.played = [];
+    }
+
+    play(steps, name = null) {
+        this.played.push({ name, steps, time: Date.now() });
+    }
+
+    // Names of the patterns played so far, in order
+    get names() {
+        return this.played.map(entry => entry.name);
+    }
+
+    clear() {
+        this.played = [];
+    }
+
+    cancel() {}
+}
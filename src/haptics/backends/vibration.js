@@ -0,0 +1,83 @@
+/**
+ * Vibration API haptics backend
+ * Flattens steps into a single navigator.vibrate() on/off timeline, so
+ * multi-step patterns keep their rhythm.
+ */
+
+// Default timelines for notification steps without an explicit duration
+const NOTIFICATION_PULSES = {
+    success: [20, 60, 20],
+    warning: [30, 80, 30],
+    error: [40, 60, 40, 60, 40]
+};
+
+export class VibrationBackend {
+    static isAvailable() {
+        return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+    }
+
+    name = 'vibration';
+    requiresActivation = true;
+    // Browsers only reliably vibrate during or just after a gesture
+    freeRunning = false;
+
+    // Translate steps into a Vibration API pattern ([on, off, on, ...])
+    translate(steps) {
+        const timeline = [];
+
+        const push = (on, ms) => {
+            const lastIsOn = timeline.length % 2 === 1;
+            if (!on && !timeline.length) return; // Leading pause is meaningless
+            if (on === lastIsOn) {
+                // Back-to-back pulses or pauses merge into one segment
+                timeline[timeline.length - 1] += ms;
+            } else {
+                timeline.push(ms);
+            }
+        };
+
+        steps.forEach(step => {
+            switch (step.type) {
+                case 'pause':
+                    push(false, step.ms);
+                    break;
+                case 'notification':
+                    if (step.ms) {
+                        push(true, step.ms);
+                    } else {
+                        NOTIFICATION_PULSES[step.kind || 'success'].forEach((ms, index) => push(index % 2 === 0, ms));
+                    }
+                    break;
+                default:
+                    push(true, step.ms || 0);
+            }
+        });
+
+        // A trailing pause does nothing for vibrate()
+        if (timeline.length % 2 === 0) timeline.pop();
+        return timeline;
+    }
+
+    play(steps) {
+        const pattern = this.translate(steps);
+        if (!pattern.length) return;
+
+        try {
+            const result = navigator.vibrate(pattern);
+            if (!result) {
+                // Vibration was rejected - could be due to browser permissions,
+                // device limitations, or silent/DND mode
+                console.debug('Vibration rejected - check browser permissions and device settings');
+            }
+        } catch (error) {
+            // Vibration API may not be available in some contexts (e.g., insecure origins)
+            console.debug('Vibration not available:', error.message);
+        }
+    }
+
+    cancel() {
+        if (VibrationBackend.isAvailable()) {
+            navigator.vibrate(0);
+        }
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Fidgit haptics engine
+ * Resolves named patterns and plays them through one or more pluggable
+ * backends (Capacitor, Vibration API, game controller rumble, audio,
+ * recording). With no backends the engine is silent.
+ *
+ * Feedback modes choose which backends are active:
+ * - auto: tactile feedback if the device has it, otherwise audio
+ * - haptics: tactile feedback only
+ * - audio: audio only, instead of vibration
+ * - both: tactile and audio together
+ * - off: silent
+ *
+ * A connected game controller's rumble counts as tactile feedback alongside
+ * the device's own. Tactile backends play patterns scaled by the engine's
+ * intensity; the audio backend has its own volume.
+ */
+
+import { hapticPatterns, resolvePattern, scaleIntensity } from './patterns.js';
+import { CapacitorBackend } from './backends/capacitor.js';
+import { VibrationBackend } from './backends/vibration.js';
+import { GamepadBackend } from './backends/gamepad.js';
+import { AudioBackend } from './backends/audio.js';
+import { RecordingBackend } from './backends/recording.js';
+
+export const backendTypes = {
+    capacitor: CapacitorBackend,
+    vibration: VibrationBackend,
+    gamepad: GamepadBackend,
+    audio: AudioBackend,
+    recording: RecordingBackend
+};
+
+export const feedbackModes = ['auto', 'haptics', 'audio', 'both', 'off'];
+
+export class HapticsEngine {
+    constructor({ patterns = hapticPatterns, backends = [], audio = null, mode = 'auto', intensity = 1 } = {}) {
+        this.patterns = { ...patterns };
+        this.backends = backends;
+        this.tactile = null; // Detected tactile backend
+        this.controller = null; // Rumble of a connected game controller
+        this.audio = audio; // Optional AudioBackend for audio feedback modes
+        this.mode = mode;
+        this.intensity = intensity;
+    }
+
+    // Pick the best available tactile backend: native haptics if they really
+    // work, otherwise the Vibration API, otherwise none - then apply the mode
+    async detect() {
+        if (await CapacitorBackend.isAvailable()) {
+            this.tactile = new CapacitorBackend();
+        } else if (VibrationBackend.isAvailable()) {
+            this.tactile = new VibrationBackend();
+        } else {
+            this.tactile = null;
+        }
+        this.setMode(this.mode);
+        console.log(`Haptics backend: ${this.backendNames.join(', ') || 'silent'}`);
+        return this.backends;
+    }
+
+    // Switch feedback mode, see feedbackModes
+    setMode(mode) {
+        if (!feedbackModes.includes(mode)) {
+            throw new Error(`Unknown feedback mode: ${mode}`);
+        }
+        this.mode = mode;
+
+        const tactile = [this.tactile, this.controller].filter(Boolean);
+        const audio = this.audio ? [this.audio] : [];
+        const backends = {
+            auto: tactile.length ? tactile : audio,
+            haptics: tactile,
+            audio,
+            both: [...tactile, ...audio],
+            off: []
+        };
+        this.setBackends(backends[mode]);
+    }
+
+    // Add a game controller's rumble to the tactile backends, or pass null
+    // once no controller can rumble
+    setController(backend) {
+        this.controller = backend;
+        this.setMode(this.mode);
+    }
+
+    // Scale the strength of tactile feedback, 1 plays patterns as written
+    setIntensity(intensity) {
+        this.intensity = intensity;
+    }
+
+    // Whether the audio backend is currently among the active backends
+    get audioActive() {
+        return Boolean(this.audio) && this.backends.includes(this.audio);
+    }
+
+    get backendNames() {
+        return this.backends.map(backend => backend.name);
+    }
+
+    // Replace the active backends, pass an empty list for silent mode
+    setBackends(backends) {
+        this.backends.forEach(backend => backend.cancel());
+        this.backends = backends;
+    }
+
+    addBackend(backend) {
+        this.backends = [...this.backends, backend];
+    }
+
+    removeBackend(name) {
+        this.backends = this.backends.filter(backend => backend.name !== name);
+    }
+
+    // Add or replace a named pattern
+    definePattern(name, steps) {
+        this.patterns[name] = resolvePattern(steps, this.patterns);
+    }
+
+    removePattern(name) {
+        delete this.patterns[name];
+    }
+
+    // Play a pattern name, step list or vibration array on every backend
+    // Backends that need user activation are skipped until it is available,
+    // and backends that can't run free of a gesture are skipped outside one.
+    // `muted` ('haptics' | 'audio' | 'both') skips tactile or audio backends.
+    play(pattern, { activated = true, gesture = true, muted = null } = {}) {
+        const steps = resolvePattern(pattern, this.patterns);
+        if (!steps || !steps.length) return;
+
+        const name = typeof pattern === 'string' ? pattern : null;
+        const scaled = scaleIntensity(steps, this.intensity);
+        this.backends.forEach(backend => {
+            if (backend.requiresActivation && !activated) return;
+            if (!backend.freeRunning && !gesture) return;
+
+            const isAudio = backend === this.audio;
+            if (muted === 'both' || muted === (isAudio ? 'audio' : 'haptics')) return;
+            try {
+                backend.play(isAudio ? steps : scaled, name);
+            } catch (error) {
+                console.debug(`Haptics backend ${backend.name} failed:`, error.message);
+            }
+        });
+    }
+
+    cancel() {
+        this.backends.forEach(backend => backend.cancel());
+    }
+}
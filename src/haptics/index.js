@@ -0,0 +1,11 @@
+/**
+ * Fidgit haptics
+ */
+
+export { HapticsEngine, backendTypes, feedbackModes } from './engine.js';
+export { hapticPatterns, impact, selection, notification, pause, resolvePattern, fromVibration, patternDuration, PATTERN_LIMITS, validatePattern, parseTimeline, formatTimeline, IMPACT_STYLES, NOTIFICATION_KINDS, scaleIntensity } from './patterns.js';
+export { CapacitorBackend } from './backends/capacitor.js';
+export { VibrationBackend } from './backends/vibration.js';
+export { GamepadBackend } from './backends/gamepad.js';
+export { AudioBackend } from './backends/audio.js';
+export { RecordingBackend } from './backends/recording.js';
@@ -0,0 +1,51 @@
+/**
+ * Fidgit pattern store
+ * Persists custom haptic patterns and which pattern plays for each zone event
+ * to localStorage.
+ *
+ * Schema (version 1):
+ * {
+ *     version: 1,
+ *     patterns: { [name]: [step, ...] },
+ *     assignments: { ['zoneType.event']: patternName }
+ * }
+ */
+
+import { validatePattern } from './patterns.js';
+
+const STORAGE_KEY = 'fidgit-patterns';
+
+export const PATTERNS_VERSION = 1;
+
+// Key of a zone event in the assignments map
+export const eventKey = (type, event) => `${type}.${event}`;
+
+export class PatternStore {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    // Saved patterns and assignments, skipping patterns that aren't playable
+    load() {
+        const empty = { patterns: {}, assignments: {} };
+        try {
+            const data = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+            if (!data || data.version !== PATTERNS_VERSION) return empty;
+
+            const patterns = Object.fromEntries(Object.entries(data.patterns || {})
+                .filter(([, steps]) => !validatePattern(steps).length));
+            return { patterns, assignments: { ...data.assignments } };
+        } catch (error) {
+            console.debug('Patterns not restored:', error.message);
+            return empty;
+        }
+    }
+
+    save({ patterns, assignments }) {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify({ version: PATTERNS_VERSION, patterns, assignments }));
+        } catch (error) {
+            console.debug('Patterns not saved:', error.message);
+        }
+    }
+}
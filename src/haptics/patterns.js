@@ -0,0 +1,195 @@
+/**
+ * Fidgit haptic patterns
+ * Each named pattern is described once as a sequence of steps. Backends
+ * translate the steps into whatever their platform supports.
+ *
+ * Step types:
+ * - impact: a physical knock, style 'light' | 'medium' | 'heavy'
+ * - selection: a detent/selection tick, as felt when scrolling a picker
+ * - notification: a system notification feel, kind 'success' | 'warning' | 'error'
+ * - pause: silence between steps
+ *
+ * `ms` is the step's duration - the motor on-time for the Vibration API and
+ * the time before the next step for backends with fixed-length effects.
+ */
+
+export const impact = (style, ms) => ({ type: 'impact', style, ms });
+export const selection = (ms) => ({ type: 'selection', ms });
+export const notification = (kind, ms) => ({ type: 'notification', kind, ms });
+export const pause = (ms) => ({ type: 'pause', ms });
+
+// Different haptic patterns for different interactions
+export const hapticPatterns = {
+    // Quick tap - single short pulse
+    tap: [impact('light', 15)],
+    // Click - satisfying click feel, a firm press followed by a lighter release
+    click: [impact('medium', 10), pause(30), impact('light', 20)],
+    // Slide tick - selection tick for slider notches
+    tick: [selection(5)],
+    // Toggle - two-stage feedback
+    toggle: [impact('medium', 20), pause(50), impact('heavy', 30)],
+    // Spin tick - rapid light selection ticks
+    spinTick: [selection(3)],
+    // Dial notch - detent knock
+    dialNotch: [impact('light', 12)],
+    // Roll - continuous light vibration
+    roll: [impact('light', 8)],
+    // Heavy press
+    heavy: [impact('heavy', 50)],
+    // Thunk - a cube face locking into place
+    thunk: [impact('heavy', 30), pause(40), impact('medium', 15)],
+    // Squeeze - a bubble giving under the finger
+    squeeze: [selection(4)],
+    // Pop - a short, sharp burst
+    pop: [impact('heavy', 12)],
+    // Bump - running into a hard stop
+    bump: [impact('medium', 20)],
+    // Clunk - a stick springing home
+    clunk: [impact('heavy', 25), pause(30), impact('light', 10)],
+    // Key switches - bottoming out, a tactile bump, a click jacket and the return stroke
+    thock: [impact('medium', 14)],
+    keyBump: [impact('light', 10)],
+    keyClick: [impact('heavy', 8), pause(15), impact('light', 8)],
+    keyReturn: [impact('light', 6)],
+    // Breathing pacer - soft cues at each phase change and a close at the end
+    breatheIn: [impact('light', 15), pause(120), impact('light', 15)],
+    breatheHold: [impact('light', 10)],
+    breatheOut: [impact('light', 30)],
+    breatheDone: [impact('medium', 20), pause(150), impact('light', 20), pause(150), impact('light', 20)]
+};
+
+// Impact styles from softest to firmest
+export const IMPACT_STYLES = ['light', 'medium', 'heavy'];
+
+// Notification kinds
+export const NOTIFICATION_KINDS = ['success', 'warning', 'error'];
+
+// Scale a step list's strength: pulse lengths are multiplied (pauses keep
+// their timing) and well away from 1 impacts move a style softer or firmer,
+// for backends whose effects have a fixed length
+export function scaleIntensity(steps, intensity) {
+    if (intensity === 1) return steps;
+
+    const shift = intensity >= 1.5 ? 1 : intensity <= 0.6 ? -1 : 0;
+    return steps.map(step => {
+        if (step.type === 'pause') return step;
+
+        const scaled = { ...step, ms: Math.max(1, Math.round(step.ms * intensity)) };
+        if (step.type === 'impact' && shift) {
+            const index = IMPACT_STYLES.indexOf(step.style) + shift;
+            scaled.style = IMPACT_STYLES[Math.min(Math.max(index, 0), IMPACT_STYLES.length - 1)];
+        }
+        return scaled;
+    });
+}
+
+// Impact style for a raw vibration pulse, based on its length
+function styleForDuration(ms) {
+    if (ms >= 40) return 'heavy';
+    if (ms >= 10) return 'medium';
+    return 'light';
+}
+
+// Convert a Vibration API array ([on, off, on, ...]) into steps
+export function fromVibration(pattern) {
+    const durations = Array.isArray(pattern) ? pattern : [pattern];
+    return durations
+        .map((ms, index) => index % 2 === 0 ? impact(styleForDuration(ms), ms) : pause(ms))
+        .filter(step => step.ms > 0);
+}
+
+// Resolve a pattern name, step list or vibration array into steps
+// Returns null when the pattern is unknown.
+export function resolvePattern(pattern, patterns = hapticPatterns) {
+    if (typeof pattern === 'string') {
+        return patterns[pattern] || null;
+    }
+    if (typeof pattern === 'number') {
+        return fromVibration(pattern);
+    }
+    if (Array.isArray(pattern)) {
+        return pattern.every(step => typeof step === 'number') ? fromVibration(pattern) : pattern;
+    }
+    return null;
+}
+
+// Total duration of a step list in milliseconds
+export function patternDuration(steps) {
+    return steps.reduce((total, step) => total + (step.ms || 0), 0);
+}
+
+// Limits a custom pattern must stay within to play the same everywhere:
+// browsers drop overly long vibrate() patterns and native impact generators
+// need a few milliseconds per pulse
+export const PATTERN_LIMITS = {
+    maxDuration: 2000,
+    maxPulses: 20,
+    minPulse: 5,
+    maxStep: 1000
+};
+
+// Problems with a step list as messages, empty when it is playable
+export function validatePattern(steps, limits = PATTERN_LIMITS) {
+    if (!Array.isArray(steps) || !steps.length) {
+        return ['Add at least one pulse'];
+    }
+
+    const errors = [];
+    const pulses = steps.filter(step => step.type !== 'pause');
+    if (!pulses.length) {
+        errors.push('Add at least one pulse');
+    }
+    if (pulses.length > limits.maxPulses) {
+        errors.push(`At most ${limits.maxPulses} pulses`);
+    }
+    if (steps.some(step => !Number.isFinite(step.ms) || step.ms < 0 || step.ms > limits.maxStep)) {
+        errors.push(`Each step must be 0 to ${limits.maxStep} ms`);
+    }
+    if (pulses.some(step => step.ms < limits.minPulse)) {
+        errors.push(`Pulses must be at least ${limits.minPulse} ms`);
+    }
+    if (patternDuration(steps) > limits.maxDuration) {
+        errors.push(`At most ${limits.maxDuration} ms in total`);
+    }
+    return errors;
+}
+
+const STYLE_SUFFIXES = { l: 'light', m: 'medium', h: 'heavy' };
+
+// Parse a typed timeline into steps: alternating on and off times in ms as
+// for vibrate(), where a pulse may end in l, m or h to choose its strength,
+// e.g. "20h 40 15". Throws on anything else.
+export function parseTimeline(text) {
+    const tokens = text.split(/[\s,]+/).filter(Boolean);
+    return tokens.map((token, index) => {
+        const match = /^(\d+)([lmh])?$/i.exec(token);
+        const isPulse = index % 2 === 0;
+        if (!match || (!isPulse && match[2])) {
+            throw new Error(`Can't read "${token}"`);
+        }
+        const ms = Number(match[1]);
+        if (!isPulse) return pause(ms);
+        const style = match[2] ? STYLE_SUFFIXES[match[2].toLowerCase()] : styleForDuration(ms);
+        return impact(style, ms);
+    }).filter(step => step.type !== 'pause' || step.ms > 0);
+}
+
+// Write steps as a typed timeline, the inverse of parseTimeline()
+export function formatTimeline(steps) {
+    const tokens = [];
+    steps.forEach(step => {
+        const isPause = step.type === 'pause';
+        // Alternate on and off, with zero-length gaps between back-to-back pulses
+        if (isPause === (tokens.length % 2 === 0)) {
+            tokens.push('0');
+        }
+        if (isPause) {
+            tokens.push(String(step.ms));
+        } else {
+            const style = step.type === 'impact' ? step.style : 'light';
+            const suffix = style === styleForDuration(step.ms) ? '' : style[0];
+            tokens.push(`${step.ms}${suffix}`);
+        }
+    });
+    return tokens.join(' ');
+}
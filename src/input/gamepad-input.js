@@ -0,0 +1,260 @@
+/**
+ * Fidgit gamepad input
+ * Reads a game controller through the Gamepad API and turns its sticks,
+ * triggers and buttons into the same input events the zones' models take
+ * from a finger, so notches, detents, snapping and flicks feel the same.
+ * The Gamepad API has no input events: poll() reads the controller, once
+ * per animation frame.
+ *
+ * Each control drives the zones of one type on the face in view, set by a
+ * mapping of control -> zone type ('none' leaves it unused):
+ * - sticks: 'dial' and 'spinner' turn with the angle the stick points at,
+ *   as a finger circling the centre - let go while circling to flick;
+ *   'joystick' follows the stick; 'roll' and 'slider' lean with it
+ * - triggers: 'slider' leans the knob towards that trigger's end of the
+ *   track by how far it is pulled, or any button target below
+ * - buttons: 'click' presses and releases, 'toggle' flips, 'dial' and
+ *   'slider' move a notch and 'spinner' flicks - anticlockwise or left for
+ *   the buttons on the left (X, left bumper, left trigger)
+ * The d-pad turns the cube.
+ *
+ * Controls are numbered as in the browser's "standard" gamepad layout.
+ */
+
+import { angleDelta } from '../utils/geometry.js';
+
+const STICK_TARGETS = ['dial', 'spinner', 'joystick', 'roll', 'slider', 'none'];
+const BUTTON_TARGETS = ['click', 'toggle', 'dial', 'spinner', 'slider', 'none'];
+
+// Controls that can be mapped: sticks by their axes, the rest by button index
+export const GAMEPAD_CONTROLS = {
+    leftStick: { label: 'Left stick', axes: [0, 1], targets: STICK_TARGETS },
+    rightStick: { label: 'Right stick', axes: [2, 3], targets: STICK_TARGETS },
+    leftTrigger: { label: 'Left trigger', button: 6, analog: true, direction: -1, targets: BUTTON_TARGETS },
+    rightTrigger: { label: 'Right trigger', button: 7, analog: true, direction: 1, targets: BUTTON_TARGETS },
+    a: { label: 'A', button: 0, direction: 1, targets: BUTTON_TARGETS },
+    b: { label: 'B', button: 1, direction: 1, targets: BUTTON_TARGETS },
+    x: { label: 'X', button: 2, direction: -1, targets: BUTTON_TARGETS },
+    y: { label: 'Y', button: 3, direction: 1, targets: BUTTON_TARGETS },
+    leftBumper: { label: 'Left bumper', button: 4, direction: -1, targets: BUTTON_TARGETS },
+    rightBumper: { label: 'Right bumper', button: 5, direction: 1, targets: BUTTON_TARGETS }
+};
+
+export const DEFAULT_MAPPING = {
+    leftStick: 'roll',
+    rightStick: 'dial',
+    leftTrigger: 'slider',
+    rightTrigger: 'slider',
+    a: 'click',
+    b: 'toggle',
+    x: 'none',
+    y: 'none',
+    leftBumper: 'spinner',
+    rightBumper: 'spinner'
+};
+
+// D-pad button index -> direction to turn the cube
+const DPAD = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+
+// Stick and trigger travel ignored around rest
+export const DEADZONE = 0.15;
+// A stick takes hold of a dial or spinner once pushed this far out, and
+// lets go once back inside STICK_RELEASE
+export const STICK_PRESS = 0.5;
+export const STICK_RELEASE = 0.3;
+// Radians a stick must turn before a held dial or spinner follows
+const MIN_TURN = 0.01;
+// Smallest change in lean or joystick position that is passed on
+const MIN_CHANGE = 0.02;
+// Pull at which a trigger mapped to a button target presses it
+const TRIGGER_PRESS = 0.5;
+
+// Travel beyond the deadzone, rescaled so it still starts from 0
+function analog(value) {
+    const magnitude = Math.max(0, Math.abs(value) - DEADZONE) / (1 - DEADZONE);
+    return magnitude === 0 ? 0 : Math.sign(value) * Math.min(1, magnitude);
+}
+
+export class GamepadInput {
+    constructor({
+        getGamepads = () => globalThis.navigator?.getGamepads?.() ?? [],
+        onInput = () => {},
+        onTurn = () => {},
+        now = () => performance.now()
+    } = {}) {
+        this.getGamepads = getGamepads;
+        this.onInput = onInput; // (zoneType, inputEvent)
+        this.onTurn = onTurn; // (direction)
+        this.now = now;
+
+        this.mapping = { ...DEFAULT_MAPPING };
+        this.controller = null; // Id of the controller read last
+        this.held = {}; // Control -> { target, ... } while it holds a zone
+        this.leans = {}; // Zone type -> last { x, y } lean passed on
+        this.dpad = new Set(); // D-pad buttons down
+    }
+
+    // Use a mapping, controls left out keep their default
+    setMapping(overrides = {}) {
+        this.mapping = { ...DEFAULT_MAPPING, ...overrides };
+    }
+
+    // The first connected controller, or null
+    pad() {
+        return [...this.getGamepads()].find(pad => pad?.connected) ?? null;
+    }
+
+    // Read the controller and pass on what changed since the last poll
+    poll() {
+        const pad = this.pad();
+        this.controller = pad?.id ?? null;
+        if (!pad) {
+            this.letGo();
+            return;
+        }
+
+        const time = this.now() / 1000;
+        const leans = {};
+        const lean = (target, x, y) => {
+            const total = leans[target] ??= { x: 0, y: 0 };
+            total.x += x;
+            total.y += y;
+        };
+
+        Object.entries(GAMEPAD_CONTROLS).forEach(([control, spec]) => {
+            const target = this.mapping[control];
+            if (spec.axes) {
+                const [x = 0, y = 0] = spec.axes.map(axis => pad.axes[axis]);
+                this.stick(control, target, x, y, time, lean);
+                return;
+            }
+            const button = pad.buttons[spec.button];
+            const value = button?.value ?? 0;
+            if (spec.analog && target === 'slider') {
+                lean(target, spec.direction * analog(value), 0);
+                return;
+            }
+            const down = spec.analog ? value >= TRIGGER_PRESS : Boolean(button?.pressed);
+            this.button(control, target, down, spec.direction);
+        });
+        this.lean(leans);
+
+        Object.entries(DPAD).forEach(([index, direction]) => {
+            const down = Boolean(pad.buttons[index]?.pressed);
+            if (down && !this.dpad.has(direction)) this.onTurn(direction);
+            if (down) {
+                this.dpad.add(direction);
+            } else {
+                this.dpad.delete(direction);
+            }
+        });
+    }
+
+    // Turn, steer or lean with a stick
+    stick(control, target, x, y, time, lean) {
+        const distance = Math.hypot(x, y);
+        const held = this.held[control];
+        if (held) {
+            const inside = held.target === 'joystick' ? distance < DEADZONE : distance < STICK_RELEASE;
+            if (inside || held.target !== target) {
+                this.onInput(held.target, { type: 'release', time, coast: true });
+                delete this.held[control];
+            }
+        }
+
+        switch (target) {
+            case 'dial':
+            case 'spinner': {
+                const angle = Math.atan2(y, x);
+                if (!this.held[control]) {
+                    if (distance < STICK_PRESS) return;
+                    this.held[control] = { target, angle };
+                    this.onInput(target, { type: 'press', time, angle });
+                } else if (Math.abs(angleDelta(angle, this.held[control].angle)) >= MIN_TURN) {
+                    this.held[control].angle = angle;
+                    this.onInput(target, { type: 'move', time, angle });
+                }
+                break;
+            }
+            case 'joystick': {
+                if (!this.held[control]) {
+                    if (distance < DEADZONE) return;
+                    this.held[control] = { target, x: 0, y: 0 };
+                    this.onInput(target, { type: 'press', time });
+                }
+                const current = this.held[control];
+                if (Math.abs(x - current.x) >= MIN_CHANGE || Math.abs(y - current.y) >= MIN_CHANGE) {
+                    Object.assign(current, { x, y });
+                    this.onInput(target, { type: 'move', time, x, y });
+                }
+                break;
+            }
+            case 'roll':
+                lean(target, analog(x), analog(y));
+                break;
+            case 'slider':
+                lean(target, analog(x), 0);
+                break;
+        }
+    }
+
+    // Act on a button going down, and let a click back up as it is let go
+    button(control, target, down, direction) {
+        const held = this.held[control];
+        if (!down) {
+            if (held?.target === 'click') this.onInput('click', { type: 'release' });
+            delete this.held[control];
+            return;
+        }
+        if (held) return;
+
+        this.held[control] = { target };
+        switch (target) {
+            case 'click':
+            case 'toggle':
+                this.onInput(target, { type: 'press' });
+                break;
+            case 'dial':
+            case 'slider':
+                this.onInput(target, { type: 'nudge', amount: direction });
+                break;
+            case 'spinner':
+                this.onInput(target, { type: 'flick', direction, coast: true });
+                break;
+        }
+    }
+
+    // Pass on the lean of each zone type that changed enough, or levelled
+    lean(leans) {
+        const targets = new Set([...Object.keys(leans), ...Object.keys(this.leans)]);
+        targets.forEach(target => {
+            const clamp = (value) => Math.max(-1, Math.min(1, value)) || 0;
+            const next = { x: clamp(leans[target]?.x ?? 0), y: clamp(leans[target]?.y ?? 0) };
+            const last = this.leans[target] ?? { x: 0, y: 0 };
+            const level = next.x === 0 && next.y === 0;
+            const moved = Math.abs(next.x - last.x) >= MIN_CHANGE || Math.abs(next.y - last.y) >= MIN_CHANGE;
+            if (!moved && !(level && (last.x || last.y))) return;
+
+            this.onInput(target, { type: 'tilt', ...next });
+            if (level) {
+                delete this.leans[target];
+            } else {
+                this.leans[target] = next;
+            }
+        });
+    }
+
+    // Release everything held and level every lean, e.g. when the
+    // controller disconnects
+    letGo() {
+        const time = this.now() / 1000;
+        Object.entries(this.held).forEach(([control, { target }]) => {
+            if (GAMEPAD_CONTROLS[control].axes || target === 'click') {
+                this.onInput(target, target === 'click' ? { type: 'release' } : { type: 'release', time, coast: true });
+            }
+        });
+        this.held = {};
+        this.lean({});
+        this.dpad.clear();
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * Fidgit motion input
+ * Turns the device's orientation and motion sensors into two kinds of input:
+ * - tilt { x, y }: how far the device leans towards screen right and down,
+ *   each from -1 to 1, measured from a calibrated neutral hold
+ * - shake { direction, strength }: a sharp shake or twist of the device, the
+ *   direction (1 or -1) a wheel on the screen would be flung by the twist
+ *   and the strength from 1 at the threshold up to MAX_SHAKE
+ *
+ * Listens to deviceorientation and devicemotion events on its target, so it
+ * can be driven by synthetic events. Browsers that ask before sharing the
+ * sensors (iOS Safari) only do so from a tap - see requestPermission().
+ */
+
+// Degrees of lean that count as full tilt at sensitivity 1
+export const FULL_TILT = 30;
+// Tilt closer to level than this counts as level
+export const DEADZONE = 0.05;
+// Smallest change in tilt that is passed on
+export const TILT_STEP = 0.02;
+// Acceleration in m/s² (gravity left out) and twist in degrees per second
+// that make a shake at sensitivity 1
+export const SHAKE_ACCELERATION = 15;
+export const SHAKE_ROTATION = 360;
+// Milliseconds after a shake before the next one counts
+export const SHAKE_COOLDOWN = 300;
+// Strongest shake reported
+export const MAX_SHAKE = 3;
+
+// Angle difference wrapped into -180 to 180 degrees
+const wrap = (degrees) => ((degrees + 540) % 360) - 180;
+
+// Lean beyond the deadzone, rescaled so tilt still starts from 0
+function lean(degrees, sensitivity) {
+    const amount = Math.max(-1, Math.min(1, degrees * sensitivity / FULL_TILT));
+    const magnitude = Math.max(0, Math.abs(amount) - DEADZONE) / (1 - DEADZONE);
+    return Math.sign(amount) * magnitude;
+}
+
+// Tilt in screen directions from an orientation reading: gamma leans the
+// device's right edge down, beta its bottom edge, turned with the screen
+export function screenTilt({ beta, gamma }, { neutral = { beta: 0, gamma: 0 }, sensitivity = 1, angle = 0 } = {}) {
+    const x = lean(wrap(gamma - neutral.gamma), sensitivity);
+    const y = lean(wrap(beta - neutral.beta), sensitivity);
+    const turned = {
+        90: [y, -x],
+        180: [-x, -y],
+        270: [-y, x]
+    }[((angle % 360) + 360) % 360] ?? [x, y];
+    // Level is 0, never -0
+    return { x: turned[0] || 0, y: turned[1] || 0 };
+}
+
+export class MotionInput {
+    // Whether the browser has orientation sensors to offer
+    static get supported() {
+        return typeof globalThis.DeviceOrientationEvent !== 'undefined';
+    }
+
+    // Whether the sensors need permission asked for from a tap first
+    static get needsPermission() {
+        return typeof globalThis.DeviceOrientationEvent?.requestPermission === 'function';
+    }
+
+    // Ask for the sensors where the browser requires it, resolving to whether
+    // they may be used. Must be called from a tap or click.
+    static async requestPermission() {
+        if (!this.needsPermission) return this.supported;
+        try {
+            // Both asked for at once, while the tap still counts
+            const answers = await Promise.all([
+                globalThis.DeviceOrientationEvent.requestPermission(),
+                globalThis.DeviceMotionEvent?.requestPermission?.() ?? 'granted'
+            ]);
+            return answers.every(answer => answer === 'granted');
+        } catch (error) {
+            console.debug('Motion sensors not allowed:', error.message);
+            return false;
+        }
+    }
+
+    constructor({
+        target = globalThis.window,
+        onTilt = () => {},
+        onShake = () => {},
+        now = () => performance.now(),
+        // Older iOS only has window.orientation, which may be -90
+        screenAngle = () => globalThis.screen?.orientation?.angle ?? globalThis.orientation ?? 0
+    } = {}) {
+        this.target = target;
+        this.onTilt = onTilt;
+        this.onShake = onShake;
+        this.now = now;
+        this.screenAngle = screenAngle;
+
+        this.sensitivity = 1;
+        // Orientation held as level, see calibrate()
+        this.neutral = { beta: 0, gamma: 0 };
+        this.reading = null; // Latest { beta, gamma }
+        this.tilt = { x: 0, y: 0 };
+        this.lastShake = -Infinity;
+        this.running = false;
+
+        this.handleOrientation = this.handleOrientation.bind(this);
+        this.handleMotion = this.handleMotion.bind(this);
+    }
+
+    // Whether a sensor reading has arrived since starting
+    get receiving() {
+        return this.reading !== null;
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.target.addEventListener('deviceorientation', this.handleOrientation);
+        this.target.addEventListener('devicemotion', this.handleMotion);
+    }
+
+    // Stop listening, levelling the tilt passed on
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        this.reading = null;
+        this.target.removeEventListener('deviceorientation', this.handleOrientation);
+        this.target.removeEventListener('devicemotion', this.handleMotion);
+        this.emitTilt({ x: 0, y: 0 });
+    }
+
+    // Take the way the device is held now as level, returns the neutral
+    // orientation or null before any reading
+    calibrate() {
+        if (!this.reading) return null;
+        this.neutral = { ...this.reading };
+        this.update();
+        return this.neutral;
+    }
+
+    handleOrientation(event) {
+        // Browsers without the sensor send a single event with no angles
+        if (event.beta == null || event.gamma == null) return;
+        this.reading = { beta: event.beta, gamma: event.gamma };
+        this.update();
+    }
+
+    // Work out the tilt from the latest reading
+    update() {
+        if (!this.reading) return;
+        this.emitTilt(screenTilt(this.reading, {
+            neutral: this.neutral,
+            sensitivity: this.sensitivity,
+            angle: this.screenAngle()
+        }));
+    }
+
+    // Pass a tilt on if it differs enough from the last, or has just levelled
+    emitTilt(tilt) {
+        const level = tilt.x === 0 && tilt.y === 0;
+        const moved = Math.abs(tilt.x - this.tilt.x) >= TILT_STEP || Math.abs(tilt.y - this.tilt.y) >= TILT_STEP;
+        const levelled = level && (this.tilt.x !== 0 || this.tilt.y !== 0);
+        if (!moved && !levelled) return;
+        this.tilt = tilt;
+        this.onTilt(tilt);
+    }
+
+    handleMotion(event) {
+        const { x, y, z } = event.acceleration ?? {};
+        const twist = event.rotationRate?.alpha ?? 0;
+        const strength = Math.max(
+            Math.hypot(x ?? 0, y ?? 0, z ?? 0) / SHAKE_ACCELERATION,
+            Math.abs(twist) / SHAKE_ROTATION
+        ) * this.sensitivity;
+        if (strength < 1) return;
+
+        const time = this.now();
+        if (time - this.lastShake < SHAKE_COOLDOWN) return;
+        this.lastShake = time;
+        // A wheel keeps still as the device twists under it, so it turns the
+        // opposite way on screen: clockwise for an anticlockwise twist
+        this.onShake({ direction: twist < 0 ? -1 : 1, strength: Math.min(strength, MAX_SHAKE) });
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Fidgit pointer dispatcher
+ * One set of document-level Pointer Events listeners shared by every zone.
+ * Each pointer is captured by the element it went down on and routed only to
+ * that element's handlers, so several zones can be operated at once.
+ */
+
+export class PointerDispatcher {
+    constructor(root = document) {
+        this.root = root;
+        this.targets = new Map(); // Bound element -> handlers
+        this.pointers = new Map(); // pointerId -> active pointer session
+        this.observers = new Set(); // Callbacks that see every pointer event
+        this.interceptors = new Set(); // Callbacks that may claim a pointer before any element
+
+        this.handleDown = this.handleDown.bind(this);
+        this.handleMove = this.handleMove.bind(this);
+        this.handleUp = this.handleUp.bind(this);
+        this.handleCancel = this.handleCancel.bind(this);
+
+        root.addEventListener('pointerdown', this.handleDown, { passive: false });
+        root.addEventListener('pointermove', this.handleMove, { passive: false });
+        root.addEventListener('pointerup', this.handleUp);
+        root.addEventListener('pointercancel', this.handleCancel);
+    }
+
+    // Route pointers that go down on an element to its handlers
+    // handlers.start(pointer, event) may return false to decline the pointer;
+    // handlers.move and handlers.end are then called for that pointer only.
+    // Returns a function that unbinds the element.
+    bind(element, handlers) {
+        this.targets.set(element, handlers);
+        return () => {
+            this.targets.delete(element);
+            this.pointers.forEach((session, pointerId) => {
+                if (session.element === element) {
+                    this.pointers.delete(pointerId);
+                }
+            });
+        };
+    }
+
+    // Be notified of every pointer event as ('start' | 'move' | 'end' | 'cancel', pointer, event)
+    // Returns an unsubscribe function.
+    observe(callback) {
+        this.observers.add(callback);
+        return () => this.observers.delete(callback);
+    }
+
+    // Offer every new pointer to a callback before the bound elements
+    // callback(pointer, event) returns handlers to claim the pointer (e.g. for
+    // a screen-edge swipe) or nothing to let it through. Returns an unsubscribe function.
+    intercept(callback) {
+        this.interceptors.add(callback);
+        return () => this.interceptors.delete(callback);
+    }
+
+    // Number of pointers currently claimed by a bound element
+    get activeCount() {
+        return this.pointers.size;
+    }
+
+    // Find the nearest bound element at or above the event target
+    findTarget(node) {
+        while (node && node !== this.root) {
+            if (this.targets.has(node)) return node;
+            node = node.parentNode;
+        }
+        return null;
+    }
+
+    // Normalised pointer passed to handlers
+    createPointer(event, element) {
+        return {
+            id: event.pointerId,
+            type: event.pointerType,
+            element,
+            target: event.target,
+            x: event.clientX,
+            y: event.clientY,
+            startX: event.clientX,
+            startY: event.clientY,
+            time: event.timeStamp
+        };
+    }
+
+    notify(phase, pointer, event) {
+        this.observers.forEach(callback => callback(phase, pointer, event));
+    }
+
+    handleDown(event) {
+        for (const interceptor of this.interceptors) {
+            const pointer = this.createPointer(event, null);
+            const handlers = interceptor(pointer, event);
+            if (handlers) {
+                event.preventDefault();
+                handlers.start?.(pointer, event);
+                this.pointers.set(event.pointerId, { element: null, handlers, pointer });
+                this.notify('start', pointer, event);
+                return;
+            }
+        }
+
+        const element = this.findTarget(event.target);
+        const pointer = this.createPointer(event, element);
+
+        if (element) {
+            const handlers = this.targets.get(element);
+            if (handlers.start && handlers.start(pointer, event) !== false) {
+                event.preventDefault();
+                this.pointers.set(event.pointerId, { element, handlers, pointer });
+
+                try {
+                    element.setPointerCapture(event.pointerId);
+                } catch (error) {
+                    // Pointer may already be gone (e.g. synthetic events)
+                }
+            }
+        }
+
+        this.notify('start', pointer, event);
+    }
+
+    handleMove(event) {
+        const session = this.pointers.get(event.pointerId);
+        if (!session) {
+            this.notify('move', this.createPointer(event, null), event);
+            return;
+        }
+
+        event.preventDefault();
+        this.updatePointer(session.pointer, event);
+        session.handlers.move?.(session.pointer, event);
+        this.notify('move', session.pointer, event);
+    }
+
+    handleUp(event) {
+        this.finish(event, 'end');
+    }
+
+    handleCancel(event) {
+        this.finish(event, 'cancel');
+    }
+
+    // End a pointer session, telling its handlers whether it was cancelled
+    finish(event, phase) {
+        const session = this.pointers.get(event.pointerId);
+        if (!session) {
+            this.notify(phase, this.createPointer(event, null), event);
+            return;
+        }
+
+        this.pointers.delete(event.pointerId);
+        this.updatePointer(session.pointer, event);
+        session.pointer.cancelled = phase === 'cancel';
+        session.handlers.end?.(session.pointer, event);
+        this.notify(phase, session.pointer, event);
+    }
+
+    // Release a pointer early, e.g. when a gesture takes it over
+    release(pointerId) {
+        const session = this.pointers.get(pointerId);
+        if (!session) return;
+
+        this.pointers.delete(pointerId);
+        session.pointer.cancelled = true;
+        session.handlers.end?.(session.pointer, null);
+    }
+
+    updatePointer(pointer, event) {
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        pointer.time = event.timeStamp;
+    }
+
+    // Remove all listeners
+    destroy() {
+        this.root.removeEventListener('pointerdown', this.handleDown);
+        this.root.removeEventListener('pointermove', this.handleMove);
+        this.root.removeEventListener('pointerup', this.handleUp);
+        this.root.removeEventListener('pointercancel', this.handleCancel);
+        this.targets.clear();
+        this.pointers.clear();
+        this.observers.clear();
+    }
+}
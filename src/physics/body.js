@@ -0,0 +1,149 @@
+/**
+ * Fidgit physics body
+ * A one-dimensional body with momentum - an angle in degrees for rotating
+ * zones or a distance in pixels for rolling/sliding ones. While held it
+ * follows the finger and measures flick velocity; once released it coasts
+ * under friction, optionally pulled into magnetic detents or back to a
+ * spring's rest position.
+ *
+ * Units: position in the zone's own unit, velocity in units per second,
+ * friction as an exponential decay rate per second (0.98 per 60fps frame is
+ * about 1.2), detent strength and spring stiffness as accelerations.
+ */
+
+// Largest integration step in seconds, smaller substeps keep stiff detents and springs stable
+const MAX_STEP = 1 / 120;
+
+// Releasing a finger that has rested this long (seconds) imparts no flick
+const FLICK_TIMEOUT = 0.1;
+
+export class Body {
+    constructor({
+        position = 0,
+        velocity = 0,
+        friction = 0,
+        detents = null,
+        spring = null,
+        restSpeed = 1
+    } = {}) {
+        this.position = position;
+        this.velocity = velocity;
+        this.friction = friction;
+        // Magnetic notches: { spacing, strength, offset = 0 }
+        this.detents = detents;
+        // Spring-back: { target, stiffness, damping = 0 }
+        this.spring = spring;
+        // Speed below which a body at its rest position stops
+        this.restSpeed = restSpeed;
+        this.held = false;
+        this.lastTime = null;
+    }
+
+    // Whether the body is coasting
+    get moving() {
+        return !this.held && this.velocity !== 0;
+    }
+
+    // Take hold of the body, stopping it
+    grab(time) {
+        this.held = true;
+        this.velocity = 0;
+        this.lastTime = time;
+    }
+
+    // Move a held body to a new position, measuring velocity for the flick
+    drag(position, time) {
+        const dt = time - this.lastTime;
+        if (dt > 0) {
+            const instant = (position - this.position) / dt;
+            // Smooth out jittery input samples
+            this.velocity = this.velocity * 0.3 + instant * 0.7;
+            this.lastTime = time;
+        }
+        this.position = position;
+    }
+
+    // Let go, coasting with the measured flick velocity unless coast is false
+    release(time = this.lastTime, { coast = true } = {}) {
+        this.held = false;
+        if (!coast || time - this.lastTime > FLICK_TIMEOUT) {
+            this.velocity = 0;
+        }
+    }
+
+    // Add velocity, e.g. from a shake or an analog stick
+    push(velocity) {
+        this.velocity += velocity;
+    }
+
+    // Place the body at rest at a position
+    reset(position = 0) {
+        this.position = position;
+        this.velocity = 0;
+    }
+
+    // Position the body settles at from where it is now
+    get restPosition() {
+        if (this.spring) {
+            return this.spring.target;
+        }
+        if (this.detents) {
+            const { spacing, offset = 0 } = this.detents;
+            return Math.round((this.position - offset) / spacing) * spacing + offset;
+        }
+        return this.position;
+    }
+
+    acceleration() {
+        let acceleration = 0;
+
+        if (this.detents) {
+            // Periodic pull towards the nearest notch, zero on and between notches
+            const { spacing, strength, offset = 0 } = this.detents;
+            acceleration -= strength * Math.sin(2 * Math.PI * (this.position - offset) / spacing);
+        }
+
+        if (this.spring) {
+            const { target, stiffness, damping = 0 } = this.spring;
+            acceleration -= stiffness * (this.position - target) + damping * this.velocity;
+        }
+
+        return acceleration;
+    }
+
+    // Advance a released body by dt seconds, returns whether it moved
+    step(dt) {
+        if (this.held) return false;
+
+        const start = this.position;
+        let remaining = dt;
+
+        while (remaining > 0) {
+            const h = Math.min(remaining, MAX_STEP);
+            this.velocity += this.acceleration() * h;
+            this.velocity *= Math.exp(-this.friction * h);
+            this.position += this.velocity * h;
+            remaining -= h;
+        }
+
+        // Come to rest once slow enough - at the rest position if there is one
+        if (Math.abs(this.velocity) < this.restSpeed) {
+            const rest = this.restPosition;
+            const settled = !(this.detents || this.spring) ||
+                Math.abs(this.position - rest) < this.restSpeed * 0.05;
+            if (settled) {
+                this.position = rest;
+                this.velocity = 0;
+            }
+        }
+
+        return this.position !== start;
+    }
+}
+
+// Index of the notch a position falls in, for counting crossings
+// Boundaries sit halfway between notches so a body settling in a notch
+// doesn't register a crossing.
+export function notchIndex(position, spacing, offset = 0) {
+    return Math.round((position - offset) / spacing);
+}
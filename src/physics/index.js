@@ -0,0 +1,5 @@
+/**
+ * Fidgit physics
+ */
+
+export { Body, notchIndex } from './body.js';
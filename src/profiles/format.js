@@ -0,0 +1,230 @@
+/**
+ * Fidgit profile format
+ * A profile is a whole Fidgit setup as plain JSON: the cube layout and how
+ * each zone in it is configured (e.g. the switch on each key), custom haptic
+ * patterns and the pattern chosen for each zone event, and every setting -
+ * skin included. Zone positions and other fidget state aren't part of it.
+ *
+ * Format (version 1):
+ * {
+ *     format: 'fidgit-profile',
+ *     version: 1,
+ *     name: <string>,
+ *     created: <ISO date>,
+ *     layout: { faces: [{ id, name, zones: [{ id, type, cols, rows }] }] },
+ *     zones: { [zoneId]: { [configKey]: value } },
+ *     patterns: { [name]: [step, ...] },
+ *     assignments: { ['zoneType.event']: patternName },
+ *     settings: { [key]: value }
+ * }
+ *
+ * Layouts are as in src/cube/layout-store.js, zone configuration as each
+ * model's `static config` in src/core/, patterns as in
+ * src/haptics/patterns.js and settings as in src/settings.js. Settings and
+ * zone configuration this version doesn't know are ignored, so are those left
+ * out of a profile: they keep their current values. Profiles saved before
+ * zone configuration was added have no `zones`.
+ */
+
+import { FACE_IDS } from '../cube/layout.js';
+import { isValidLayout } from '../cube/layout-store.js';
+import { hapticPatterns, validatePattern, IMPACT_STYLES, NOTIFICATION_KINDS } from '../haptics/patterns.js';
+import { feedbackModes } from '../haptics/engine.js';
+import { soundPacks } from '../audio/sound-packs.js';
+import { breathingPatterns, SESSION_MINUTES } from '../breathing/patterns.js';
+import { skins } from '../themes/skins.js';
+import { GAMEPAD_CONTROLS } from '../input/gamepad-input.js';
+import { zoneModels } from '../core/index.js';
+import { defaultSettings } from '../settings.js';
+
+export const PROFILE_FORMAT = 'fidgit-profile';
+
+export const PROFILE_VERSION = 1;
+
+export const PROFILE_LIMITS = {
+    maxName: 40
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const STEP_TYPES = ['impact', 'selection', 'notification', 'pause'];
+
+// Values a setting may take, for settings with a fixed set of choices
+const SETTING_CHOICES = {
+    feedbackMode: feedbackModes,
+    soundPack: Object.keys(soundPacks),
+    breathingPattern: Object.keys(breathingPatterns),
+    breathingMinutes: SESSION_MINUTES,
+    motion: ['system', 'reduce', 'full'],
+    skin: Object.keys(skins),
+    playbackSpeed: [1, 2, 4]
+};
+
+// [min, max] of numeric settings without fixed choices
+const SETTING_RANGES = {
+    volume: [0, 1],
+    hapticIntensity: [0.25, 2],
+    motionSensitivity: [0.5, 2]
+};
+
+const ZONE_MUTES = ['haptics', 'audio', 'both'];
+
+function validateLayout(layout) {
+    if (!isValidLayout(layout)) {
+        return ['Layout must list faces, each with zones that have an id and a type'];
+    }
+    const ids = layout.faces.map(face => face.id);
+    if (ids.length !== FACE_IDS.length || !FACE_IDS.every(id => ids.includes(id))) {
+        return [`Layout must have the faces ${FACE_IDS.join(', ')}`];
+    }
+
+    const problems = [];
+    const seen = new Set();
+    layout.faces.flatMap(face => face.zones).forEach(zone => {
+        if (seen.has(zone.id)) problems.push(`Zone id "${zone.id}" is used twice`);
+        seen.add(zone.id);
+        if ([zone.cols, zone.rows].some(span => span !== undefined && span !== 1 && span !== 2)) {
+            problems.push(`Zone "${zone.id}" must span 1 or 2 columns and rows`);
+        }
+    });
+    return problems;
+}
+
+// Zone id -> type of every zone in a valid layout
+function zoneTypes(layout) {
+    if (!isValidLayout(layout)) return {};
+    return Object.fromEntries(layout.faces.flatMap(face => face.zones.map(zone => [zone.id, zone.type])));
+}
+
+// Zone types without a built-in model can't be checked beyond being in the layout
+function validateZones(zones, layout) {
+    if (zones === undefined) return [];
+    if (!isObject(zones) || !Object.values(zones).every(isObject)) {
+        return ['Zones must be an object of zone ids and their configuration'];
+    }
+    const types = zoneTypes(layout);
+    return Object.entries(zones).flatMap(([id, config]) => {
+        if (!types[id]) return [`Zone "${id}" is configured but not in the layout`];
+        const problems = zoneModels[types[id]]?.validateConfig(config) ?? [];
+        return problems.length ? [`Zone "${id}": ${problems[0]}`] : [];
+    });
+}
+
+function validatePatterns(patterns) {
+    if (!isObject(patterns)) return ['Patterns must be an object of named step lists'];
+    return Object.entries(patterns).flatMap(([name, steps]) => {
+        if (hapticPatterns[name]) return [`Pattern "${name}" has the name of a built-in pattern`];
+        if (Array.isArray(steps) && !steps.every(step => isObject(step) && STEP_TYPES.includes(step.type))) {
+            return [`Pattern "${name}" has a step that isn't an impact, selection, notification or pause`];
+        }
+        if (Array.isArray(steps) && steps.some(step => step.type === 'impact' && !IMPACT_STYLES.includes(step.style))) {
+            return [`Pattern "${name}" has an impact that isn't ${IMPACT_STYLES.join(', ')}`];
+        }
+        if (Array.isArray(steps) && steps.some(step => step.type === 'notification' && !NOTIFICATION_KINDS.includes(step.kind))) {
+            return [`Pattern "${name}" has a notification that isn't ${NOTIFICATION_KINDS.join(', ')}`];
+        }
+        const problems = validatePattern(steps);
+        return problems.length ? [`Pattern "${name}": ${problems[0]}`] : [];
+    });
+}
+
+function validateAssignments(assignments, patterns) {
+    if (!isObject(assignments)) return ['Assignments must be an object of zone events and pattern names'];
+    return Object.entries(assignments)
+        .filter(([, name]) => !hapticPatterns[name] && !(isObject(patterns) && patterns[name]))
+        .map(([key, name]) => `Event "${key}" is assigned an unknown pattern "${name}"`);
+}
+
+function validateSetting(key, value) {
+    const expected = isObject(defaultSettings[key]) ? 'object' : typeof defaultSettings[key];
+    if ((expected === 'object' && !isObject(value)) || (expected !== 'object' && typeof value !== expected)) {
+        return `Setting "${key}" must be a ${expected === 'boolean' ? 'true or false' : expected}`;
+    }
+    if (SETTING_CHOICES[key] && !SETTING_CHOICES[key].includes(value)) {
+        return `Setting "${key}" must be one of ${SETTING_CHOICES[key].join(', ')}`;
+    }
+    if (SETTING_RANGES[key]) {
+        const [min, max] = SETTING_RANGES[key];
+        if (!(value >= min && value <= max)) return `Setting "${key}" must be from ${min} to ${max}`;
+    }
+    if (key === 'zoneMutes' && !Object.values(value).every(mute => ZONE_MUTES.includes(mute))) {
+        return `Setting "zoneMutes" must mute ${ZONE_MUTES.join(', ')} per zone type`;
+    }
+    if (key === 'motionCalibration' && !['beta', 'gamma'].every(angle => Number.isFinite(value[angle]))) {
+        return 'Setting "motionCalibration" must give beta and gamma angles';
+    }
+    if (key === 'gamepadMapping' && !Object.entries(value).every(([control, target]) => GAMEPAD_CONTROLS[control]?.targets.includes(target))) {
+        return 'Setting "gamepadMapping" must map controller controls to zone types they can drive';
+    }
+    return null;
+}
+
+function validateSettings(settings) {
+    if (!isObject(settings)) return ['Settings must be an object'];
+    return Object.entries(settings)
+        .filter(([key]) => Object.hasOwn(defaultSettings, key))
+        .map(([key, value]) => validateSetting(key, value))
+        .filter(Boolean);
+}
+
+// Problems that keep a profile from being used, empty when it's fine
+export function validateProfile(data) {
+    if (!isObject(data) || data.format !== PROFILE_FORMAT) {
+        return ['Not a Fidgit profile'];
+    }
+    if (Number.isInteger(data.version) && data.version > PROFILE_VERSION) {
+        return [`This profile is from a newer version of Fidgit (profile version ${data.version}) - update Fidgit to use it`];
+    }
+    if (data.version !== PROFILE_VERSION) {
+        return [`Profile version ${data.version} is not supported`];
+    }
+
+    const problems = [];
+    if (typeof data.name !== 'string' || !data.name.trim()) problems.push('Profile has no name');
+    problems.push(
+        ...validateLayout(data.layout),
+        ...validateZones(data.zones, data.layout),
+        ...validatePatterns(data.patterns),
+        ...validateAssignments(data.assignments, data.patterns),
+        ...validateSettings(data.settings)
+    );
+    return problems;
+}
+
+// A profile from parsed JSON, throwing on the first problem. Settings and
+// zone configuration this version doesn't know are dropped.
+export function readProfile(data) {
+    const problems = validateProfile(data);
+    if (problems.length) {
+        throw new Error(problems[0]);
+    }
+    const settings = Object.fromEntries(Object.entries(data.settings)
+        .filter(([key]) => Object.hasOwn(defaultSettings, key)));
+    const types = zoneTypes(data.layout);
+    const zones = Object.fromEntries(Object.entries(data.zones ?? {}).map(([id, config]) => {
+        const model = zoneModels[types[id]];
+        return [id, model ? Object.fromEntries(Object.entries(config).filter(([key]) => model.config.includes(key))) : config];
+    }));
+    return {
+        ...data,
+        name: data.name.trim().slice(0, PROFILE_LIMITS.maxName),
+        zones,
+        settings
+    };
+}
+
+// Read a profile from JSON text, throwing on the first problem
+export function parseProfile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a JSON file');
+    }
+    return readProfile(data);
+}
+
+// JSON text of a profile as exported, without local fields such as its id
+export function formatProfile({ id, ...profile }) {
+    return JSON.stringify(profile, null, 2);
+}
@@ -0,0 +1,14 @@
+/**
+ * Fidgit profiles
+ */
+
+export {
+    PROFILE_FORMAT,
+    PROFILE_VERSION,
+    PROFILE_LIMITS,
+    validateProfile,
+    readProfile,
+    parseProfile,
+    formatProfile
+} from './format.js';
+export { SHARE_PARAM, encodeProfile, decodeProfile, sharedProfileData, shareLink } from './share.js';
@@ -0,0 +1,68 @@
+/**
+ * Fidgit profile links
+ * A shared profile travels in the URL fragment, which never reaches a
+ * server: #profile=<data>. The data is the profile's JSON compressed with
+ * deflate and base64url encoded behind "z.", or, where the browser can't
+ * compress, the JSON itself encoded behind "j.".
+ */
+
+import { readProfile } from './format.js';
+
+// Fragment parameter holding a shared profile
+export const SHARE_PARAM = 'profile';
+
+function toBase64url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Bytes run through a compression or decompression stream
+async function transform(bytes, stream) {
+    const output = new Response(bytes).body.pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+// Fragment data for a profile, without local fields such as its id
+export async function encodeProfile({ id, ...profile }) {
+    const json = new TextEncoder().encode(JSON.stringify(profile));
+    if (typeof CompressionStream === 'undefined') {
+        return `j.${toBase64url(json)}`;
+    }
+    return `z.${toBase64url(await transform(json, new CompressionStream('deflate-raw')))}`;
+}
+
+// Profile from fragment data, throwing when the data is damaged or the
+// profile isn't valid
+export async function decodeProfile(data) {
+    let parsed;
+    try {
+        let bytes = fromBase64url(data.slice(2));
+        if (data.startsWith('z.')) {
+            bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+        } else if (!data.startsWith('j.')) {
+            throw new Error('Unknown encoding');
+        }
+        parsed = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes));
+    } catch (error) {
+        throw new Error('The profile link is incomplete or damaged');
+    }
+    return readProfile(parsed);
+}
+
+// Shared profile data in a URL fragment, null when there is none
+export function sharedProfileData(hash) {
+    return new URLSearchParams(hash.replace(/^#/, '')).get(SHARE_PARAM);
+}
+
+// Link to this app that shares a profile
+export async function shareLink(profile, location = globalThis.location) {
+    return `${location.origin}${location.pathname}#${SHARE_PARAM}=${await encodeProfile(profile)}`;
+}
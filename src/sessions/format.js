@@ -0,0 +1,134 @@
+/**
+ * Fidgit recording format
+ * A recording is a fidget session as plain JSON: the state of every zone
+ * when it started, the timestamped input events that followed and the
+ * states they ended in. Input events are the normalized events zone models
+ * accept (see src/core/), so a recording replays the same on any screen.
+ *
+ * Format (version 1):
+ * {
+ *     format: 'fidgit-recording',
+ *     version: 1,
+ *     name: <string>,
+ *     created: <ISO date>,
+ *     duration: <ms>,
+ *     face: <face id in view at the start>,
+ *     zones: { [zoneId]: { type: <zone type>, state: {...} } },
+ *     events: [
+ *         { t: <ms since start>, zone: <zone id>, input: { type, ... } },
+ *         { t: <ms since start>, face: <face id turned to> }
+ *     ],
+ *     end: { [zoneId]: { type: <zone type>, state: {...} } }
+ * }
+ *
+ * Events are in time order. Input times (`time`, in seconds) count from the
+ * start of the recording. Inputs to zones with a model must be ones the
+ * model takes, with the fields it needs.
+ */
+
+import { zoneModels } from '../core/index.js';
+
+export const RECORDING_FORMAT = 'fidgit-recording';
+
+export const RECORDING_VERSION = 1;
+
+// Recordings keep the first five minutes and at most this many events
+export const RECORDING_LIMITS = {
+    maxDuration: 5 * 60 * 1000,
+    maxEvents: 20000,
+    maxName: 40
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isTime = (value) => Number.isFinite(value) && value >= 0;
+
+// Round numbers in an input event (and arrays in it, e.g. contact points) so
+// recordings stay small: times to the millisecond, the rest to 4 decimals
+export function roundInput(input) {
+    const round = (value, places) => {
+        if (typeof value === 'number') return Number(value.toFixed(places));
+        if (Array.isArray(value)) return value.map(item => round(item, places));
+        return value;
+    };
+    return Object.fromEntries(Object.entries(input).map(([key, value]) => [key, round(value, key === 'time' ? 3 : 4)]));
+}
+
+// Zone id -> { type, state } map problems, prefixed with where they are
+function validateZones(zones, where) {
+    if (!isObject(zones)) return [`${where} must be an object of zone states`];
+    return Object.entries(zones)
+        .filter(([, zone]) => !isObject(zone) || typeof zone.type !== 'string' || !isObject(zone.state))
+        .map(([id]) => `${where} "${id}" needs a type and a state`);
+}
+
+// Problems that keep a recording from being played, empty when it's fine
+export function validateRecording(data) {
+    if (!isObject(data) || data.format !== RECORDING_FORMAT) {
+        return ['Not a Fidgit recording'];
+    }
+    if (data.version !== RECORDING_VERSION) {
+        return [`Recording version ${data.version} is not supported`];
+    }
+
+    const problems = [];
+    if (typeof data.name !== 'string') problems.push('Recording has no name');
+    if (!isTime(data.duration)) problems.push('Duration must be a number of milliseconds');
+    if (data.face !== undefined && typeof data.face !== 'string') problems.push('Face must be a face id');
+    problems.push(...validateZones(data.zones, 'Zone'));
+    if (data.end !== undefined) problems.push(...validateZones(data.end, 'End zone'));
+
+    if (!Array.isArray(data.events)) {
+        problems.push('Events must be a list');
+        return problems;
+    }
+    if (data.events.length > RECORDING_LIMITS.maxEvents) {
+        problems.push(`Recordings hold at most ${RECORDING_LIMITS.maxEvents} events`);
+        return problems;
+    }
+
+    let last = 0;
+    const bad = data.events.findIndex(event => {
+        if (!isObject(event) || !isTime(event.t) || event.t < last) return true;
+        last = event.t;
+        if (typeof event.face === 'string') return false;
+        return typeof event.zone !== 'string' || !isObject(event.input) || typeof event.input.type !== 'string';
+    });
+    if (bad !== -1) {
+        problems.push(`Event ${bad + 1} is not a timed zone input or face change in order`);
+        return problems;
+    }
+
+    for (const [index, { zone, input }] of data.events.entries()) {
+        const type = data.zones?.[zone]?.type;
+        const problem = input && zoneModels[type]?.validateInput(input)[0];
+        if (problem) {
+            problems.push(`Event ${index + 1} (${type} ${input.type}): ${problem}`);
+            break;
+        }
+    }
+    return problems;
+}
+
+// Read a recording from JSON text, throwing on the first problem
+export function parseRecording(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not a JSON file');
+    }
+    const problems = validateRecording(data);
+    if (problems.length) {
+        throw new Error(problems[0]);
+    }
+    return {
+        ...data,
+        name: data.name.slice(0, RECORDING_LIMITS.maxName),
+        end: data.end || {}
+    };
+}
+
+// JSON text of a recording as exported, without local fields such as its id
+export function formatRecording({ id, ...recording }) {
+    return JSON.stringify(recording, null, 2);
+}
@@ -0,0 +1,16 @@
+/**
+ * Fidgit session recording and playback
+ */
+
+export { SessionRecorder } from './recorder.js';
+export { SessionPlayer } from './player.js';
+export { simulate } from './simulate.js';
+export {
+    RECORDING_FORMAT,
+    RECORDING_VERSION,
+    RECORDING_LIMITS,
+    roundInput,
+    validateRecording,
+    parseRecording,
+    formatRecording
+} from './format.js';
@@ -0,0 +1,130 @@
+/**
+ * Fidgit session player
+ * Plays a recording back on the live cube: the zones are put in the state
+ * the recording started from and its input events are fed to their models
+ * on the app's animation clock, at real speed or faster. The cube can't be
+ * touched meanwhile, and when playback ends or is stopped every zone goes
+ * back to how it was before.
+ *
+ * Haptics are optional. Playback never adds to usage stats and never saves
+ * the zone states it passes through.
+ */
+
+export class SessionPlayer {
+    constructor(app) {
+        this.app = app;
+        this.recording = null;
+        this.speed = 1;
+        this.haptics = true;
+        this.element = null;
+        this.onEnd = null;
+    }
+
+    get playing() {
+        return this.recording !== null;
+    }
+
+    // Play a recording; onEnd is called once it finishes or is stopped
+    play(recording, { speed = 1, haptics = true, onEnd = null } = {}) {
+        this.stop();
+        const { app } = this;
+
+        // Keep the user's own state safe before the recording replaces it
+        app.saveState();
+        this.before = app.snapshot();
+
+        this.recording = recording;
+        this.speed = speed;
+        this.haptics = haptics;
+        this.onEnd = onEnd;
+        this.elapsed = 0; // Milliseconds of the recording played
+        this.index = 0; // Next event to dispatch
+
+        app.applySnapshot({ face: recording.face, zones: recording.zones });
+        // Hands off the cube and toolbar until playback ends
+        app.cube.container.inert = true;
+        document.body.classList.add('playback');
+        this.render();
+    }
+
+    // Stop and put the cube back as it was before playback
+    stop() {
+        if (!this.playing) return;
+        const { app } = this;
+
+        this.recording = null;
+        this.element?.remove();
+        this.element = null;
+        app.cube.container.inert = false;
+        document.body.classList.remove('playback');
+        app.applySnapshot(this.before);
+        this.before = null;
+
+        const onEnd = this.onEnd;
+        this.onEnd = null;
+        onEnd?.();
+    }
+
+    render() {
+        this.element = document.createElement('div');
+        this.element.className = 'playback-bar';
+        this.element.setAttribute('role', 'status');
+        this.element.innerHTML = `
+            <span class="playback-name"></span>
+            <span class="playback-time"></span>
+            <button type="button" class="playback-stop">Stop</button>
+        `;
+        const speed = this.speed === 1 ? '' : ` · ${this.speed}×`;
+        this.element.querySelector('.playback-name').textContent = `▶ ${this.recording.name}${speed}`;
+        this.time = this.element.querySelector('.playback-time');
+        this.element.querySelector('.playback-stop').addEventListener('click', () => this.stop());
+        this.element.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.stop();
+        });
+        document.body.appendChild(this.element);
+        this.element.querySelector('.playback-stop').focus();
+        this.drawTime();
+    }
+
+    drawTime() {
+        const seconds = Math.max(0, Math.ceil((this.recording.duration - this.elapsed) / 1000));
+        this.time.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // Advance playback by dt seconds of real time, dispatching the events
+    // that fall due - called by the app each frame before zones update
+    update(dt) {
+        if (!this.playing) return;
+        const { events, duration } = this.recording;
+        this.elapsed += dt * 1000 * this.speed;
+
+        while (this.index < events.length && events[this.index].t <= this.elapsed) {
+            this.dispatch(events[this.index++]);
+            // A dispatched event may have stopped playback
+            if (!this.playing) return;
+        }
+
+        if (this.index >= events.length && this.elapsed >= duration) {
+            this.stop();
+        } else {
+            this.drawTime();
+        }
+    }
+
+    dispatch(event) {
+        const { app } = this;
+        if (event.face) {
+            if (event.face !== app.cube.current) {
+                app.cube.show(event.face);
+                app.cube.showLabel(event.face);
+            }
+            return;
+        }
+        // Straight to the model, so playback isn't recorded again; zones now
+        // of another type than when recorded are left alone
+        const zone = app.zones[event.zone];
+        if (zone?.model && zone.type === this.recording.zones[event.zone]?.type) {
+            zone.model.handle(event.input);
+        }
+    }
+}
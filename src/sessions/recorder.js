@@ -0,0 +1,79 @@
+/**
+ * Fidgit session recorder
+ * Captures the input events zones accept and the faces turned to, stamped
+ * with the time since recording started. See format.js for what a finished
+ * recording holds.
+ */
+
+import { RECORDING_FORMAT, RECORDING_VERSION, RECORDING_LIMITS, roundInput } from './format.js';
+
+export class SessionRecorder {
+    constructor({ now = () => performance.now() } = {}) {
+        this.now = now;
+        this.recording = null;
+        this.startTime = 0;
+    }
+
+    get active() {
+        return this.recording !== null;
+    }
+
+    // Whether the recording hit its length or event limit and stopped taking events
+    get full() {
+        return this.active && (this.recording.events.length >= RECORDING_LIMITS.maxEvents ||
+            this.elapsed() > RECORDING_LIMITS.maxDuration);
+    }
+
+    // Milliseconds since recording started
+    elapsed() {
+        return Math.round(this.now() - this.startTime);
+    }
+
+    // Start recording from a snapshot of the cube: { face, zones }
+    start({ face, zones }) {
+        this.startTime = this.now();
+        this.recording = { face, zones: structuredClone(zones), events: [] };
+    }
+
+    // A zone accepted an input event
+    capture(zoneId, input) {
+        if (!this.active || this.full) return;
+        const event = { ...input };
+        if (typeof event.time === 'number') {
+            event.time -= this.startTime / 1000;
+        }
+        this.recording.events.push({ t: this.elapsed(), zone: zoneId, input: roundInput(event) });
+    }
+
+    // The cube turned to another face
+    face(faceId) {
+        if (!this.active || this.full) return;
+        this.recording.events.push({ t: this.elapsed(), face: faceId });
+    }
+
+    // Finish with the zone states at the end, returns the recording - one
+    // cut short by its limits has no end states, as later input is missing
+    stop({ zones }, name = 'Session') {
+        if (!this.active) return null;
+        const { face, zones: start, events } = this.recording;
+        const complete = !this.full;
+        const duration = Math.min(this.elapsed(), RECORDING_LIMITS.maxDuration);
+        this.recording = null;
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            name,
+            created: new Date().toISOString(),
+            duration,
+            face,
+            zones: start,
+            events,
+            end: complete ? structuredClone(zones) : {}
+        };
+    }
+
+    // Drop the recording in progress
+    discard() {
+        this.recording = null;
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * Headless replay of a recording
+ * Runs a recording's input events through fresh zone models on a fixed frame
+ * clock, without a browser. Handy for reproducing a gesture bug from a
+ * recording in a test, or checking a recording ends where it says it does.
+ */
+
+import { zoneModels, FRAME } from '../core/index.js';
+
+// Replay a recording, returns the zone states it ends in as
+// { [zoneId]: { type, state } } and the feedback fired along the way as
+// [{ t, zone, event, coasting }]. Zones without a model are left out.
+export function simulate(recording, { models = zoneModels, frame = FRAME } = {}) {
+    const running = {};
+    const feedback = [];
+    let clock = 0; // Seconds
+
+    Object.entries(recording.zones).forEach(([id, { type, state }]) => {
+        const Model = models[type];
+        if (!Model) return;
+
+        const model = new Model({ ...Model.defaultState(), ...Model.migrateState(structuredClone(state)) });
+        model.restore();
+        model.on('feedback', (event, { coasting = false } = {}) => {
+            feedback.push({ t: Math.round(clock * 1000), zone: id, event, coasting });
+        });
+        running[id] = { type, model };
+    });
+
+    // Step every model together up to a time in milliseconds
+    const advanceTo = (ms) => {
+        const target = ms / 1000;
+        while (clock < target - 1e-9) {
+            const dt = Math.min(frame, target - clock);
+            clock += dt;
+            Object.values(running).forEach(({ model }) => model.step(dt));
+        }
+    };
+
+    recording.events.forEach(event => {
+        advanceTo(event.t);
+        if (event.input) {
+            running[event.zone]?.model.handle(event.input);
+        }
+    });
+    advanceTo(recording.duration);
+
+    const zones = Object.fromEntries(Object.entries(running)
+        .map(([id, { type, model }]) => [id, { type, state: model.state }]));
+    return { zones, feedback };
+}
@@ -0,0 +1,88 @@
+/**
+ * Fidgit settings
+ * Small persisted key/value store for user preferences.
+ */
+
+const STORAGE_KEY = 'fidgit-settings';
+
+export const defaultSettings = {
+    // Feedback mode, see feedbackModes in src/haptics/engine.js
+    feedbackMode: 'auto',
+    // Sound pack key from src/audio/sound-packs.js
+    soundPack: 'mechanical',
+    // Audio volume from 0 to 1
+    volume: 0.6,
+    // Breathing pacer pattern key from src/breathing/patterns.js
+    breathingPattern: 'box',
+    // Breathing session length in minutes
+    breathingMinutes: 3,
+    // Haptic strength multiplier, see scaleIntensity in src/haptics/patterns.js
+    hapticIntensity: 1,
+    // Zone type -> 'haptics' | 'audio' | 'both', the feedback muted for that zone
+    zoneMutes: {},
+    // Silent meeting mode - zones keep moving but never vibrate or make a sound
+    meetingMode: false,
+    // 'system' follows prefers-reduced-motion, 'reduce' and 'full' override it
+    motion: 'system',
+    // Skin key from src/themes/skins.js
+    skin: 'graphite',
+    // Changing skin also switches to the sound pack and haptic intensity it pairs with
+    skinPairing: false,
+    // Tilting and shaking the device moves the ball, slider and spinner
+    motionInput: false,
+    // Motion sensor sensitivity multiplier, see src/input/motion-input.js
+    motionSensitivity: 1,
+    // Device orientation in degrees held as level for tilting
+    motionCalibration: { beta: 0, gamma: 0 },
+    // Game controller control -> zone type it drives, for controls moved off
+    // their default - see GAMEPAD_CONTROLS in src/input/gamepad-input.js
+    gamepadMapping: {},
+    // Double-tapping the screen asks for fullscreen
+    doubleTapFullscreen: true,
+    // Recorded sessions play back at this many times real speed
+    playbackSpeed: 1,
+    // Recorded sessions play their haptic feedback back too
+    playbackHaptics: true
+};
+
+export class Settings {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.subscribers = new Set();
+        this.values = { ...defaultSettings, ...this.load() };
+    }
+
+    load() {
+        try {
+            return JSON.parse(this.storage?.getItem(STORAGE_KEY)) || {};
+        } catch (error) {
+            // Corrupt or inaccessible storage (e.g. private browsing) - use defaults
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.values));
+        } catch (error) {
+            console.debug('Settings not saved:', error.message);
+        }
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        if (this.values[key] === value) return;
+        this.values[key] = value;
+        this.save();
+        this.subscribers.forEach(callback => callback(key, value));
+    }
+
+    // Be notified as (key, value) when a setting changes, returns an unsubscribe function
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        return () => this.subscribers.delete(callback);
+    }
+}
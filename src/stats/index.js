@@ -0,0 +1,5 @@
+/**
+ * Fidgit usage statistics
+ */
+
+export { UsageStats, dayKey } from './usage-stats.js';
@@ -0,0 +1,186 @@
+/**
+ * Fidgit usage statistics
+ * Counts zone events, touches and time per zone type per day, plus fidget
+ * sessions: runs of activity without a long pause.
+ */
+
+import { StatsStore, STATS_VERSION } from '../storage/stats-store.js';
+
+// Seconds without any touch that end a session
+export const SESSION_GAP = 120;
+
+// Days of history kept
+export const KEEP_DAYS = 400;
+
+// Local calendar day of a timestamp as 'YYYY-MM-DD'
+export function dayKey(time) {
+    const date = new Date(time);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const emptyZone = () => ({ touches: 0, time: 0, events: {}, metrics: {} });
+
+export class UsageStats {
+    constructor({ store = new StatsStore(), now = () => Date.now() } = {}) {
+        this.store = store;
+        this.now = now;
+        this.days = store.load().days;
+        this.touching = new Map(); // Zone type -> { count, since }
+        this.session = null; // { start, last }
+    }
+
+    day(time = this.now()) {
+        const key = dayKey(time);
+        if (!this.days[key]) {
+            this.days[key] = { sessions: [], zones: {} };
+        }
+        return this.days[key];
+    }
+
+    zone(type, time) {
+        const zones = this.day(time).zones;
+        if (!zones[type]) zones[type] = emptyZone();
+        return zones[type];
+    }
+
+    // A zone fired a feedback event
+    recordEvent(type, event) {
+        const events = this.zone(type).events;
+        events[event] = (events[event] || 0) + 1;
+        this.requestSave();
+    }
+
+    // Add to a zone's running measurement, e.g. revolutions turned
+    add(type, metric, amount) {
+        if (!amount) return;
+        const metrics = this.zone(type).metrics;
+        metrics[metric] = (metrics[metric] || 0) + amount;
+        this.requestSave();
+    }
+
+    // A finger went down on a zone - time counts while any finger is on it
+    touchStart(type) {
+        const now = this.now();
+        this.activity(now);
+        this.zone(type, now).touches++;
+
+        const touch = this.touching.get(type) || { count: 0, since: now };
+        if (touch.count === 0) touch.since = now;
+        touch.count++;
+        this.touching.set(type, touch);
+    }
+
+    touchEnd(type) {
+        const touch = this.touching.get(type);
+        if (!touch || touch.count === 0) return;
+
+        const now = this.now();
+        this.activity(now);
+        touch.count--;
+        if (touch.count === 0) {
+            this.zone(type, touch.since).time += (now - touch.since) / 1000;
+        }
+        this.requestSave();
+    }
+
+    // Extend the current session, or close it and start a new one after a pause
+    activity(now) {
+        if (this.session && (now - this.session.last) / 1000 > SESSION_GAP) {
+            this.endSession();
+        }
+        if (!this.session) {
+            this.session = { start: now, last: now };
+        }
+        this.session.last = now;
+    }
+
+    // Record the current session, counted on the day it started
+    endSession() {
+        if (!this.session) return;
+        const { start, last } = this.session;
+        this.day(start).sessions.push(Math.round((last - start) / 1000));
+        this.session = null;
+    }
+
+    // Drop days older than the history kept
+    prune() {
+        const oldest = dayKey(this.now() - KEEP_DAYS * 86400000);
+        Object.keys(this.days).forEach(key => {
+            if (key < oldest) delete this.days[key];
+        });
+    }
+
+    // Close the session and save now, e.g. when the page is hidden
+    flush() {
+        this.touching.forEach((touch, type) => {
+            if (touch.count > 0) {
+                this.touchEnd(type);
+                touch.count = 0;
+            }
+        });
+        this.endSession();
+        this.save();
+    }
+
+    save() {
+        this.prune();
+        this.store.save({ days: this.days });
+    }
+
+    requestSave() {
+        this.store.scheduleSave(() => ({ days: this.days }));
+    }
+
+    clear() {
+        this.days = {};
+        this.touching.clear();
+        this.session = null;
+        this.store.clear();
+    }
+
+    // Everything recorded, as a JSON document in the store's schema
+    export() {
+        return JSON.stringify({ version: STATS_VERSION, exportedAt: new Date(this.now()).toISOString(), days: this.days }, null, 2);
+    }
+
+    // Totals over a list of day keys: touches, seconds, sessions and the
+    // longest session, plus per-zone-type totals
+    totals(keys) {
+        const totals = { touches: 0, time: 0, sessions: 0, longest: 0, zones: {} };
+        keys.forEach(key => {
+            const day = this.days[key];
+            if (!day) return;
+
+            totals.sessions += day.sessions.length;
+            totals.longest = Math.max(totals.longest, ...day.sessions);
+            Object.entries(day.zones).forEach(([type, zone]) => {
+                const total = totals.zones[type] || (totals.zones[type] = emptyZone());
+                total.touches += zone.touches;
+                total.time += zone.time;
+                Object.entries(zone.events).forEach(([event, count]) => {
+                    total.events[event] = (total.events[event] || 0) + count;
+                });
+                Object.entries(zone.metrics).forEach(([metric, amount]) => {
+                    total.metrics[metric] = (total.metrics[metric] || 0) + amount;
+                });
+                totals.touches += zone.touches;
+                totals.time += zone.time;
+            });
+        });
+
+        // Count the session in progress too
+        if (this.session && keys.includes(dayKey(this.session.start))) {
+            totals.sessions++;
+            totals.longest = Math.max(totals.longest, Math.round((this.session.last - this.session.start) / 1000));
+        }
+        return totals;
+    }
+
+    // Day keys for the last `count` days, oldest first
+    lastDays(count) {
+        const today = new Date(this.now());
+        return Array.from({ length: count }, (_, index) => dayKey(
+            new Date(today.getFullYear(), today.getMonth(), today.getDate() - (count - 1 - index))));
+    }
+}
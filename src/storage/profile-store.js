@@ -0,0 +1,52 @@
+/**
+ * Fidgit profile store
+ * Persists saved profiles to localStorage, and which one is in use.
+ *
+ * Schema (version 1):
+ * {
+ *     version: 1,
+ *     profiles: [{ id, ...profile }, ...],
+ *     active: <id of the profile last switched to> | null
+ * }
+ *
+ * Each profile is in the format described in src/profiles/format.js, with
+ * an id added to tell saved profiles apart.
+ */
+
+import { validateProfile } from '../profiles/format.js';
+
+const STORAGE_KEY = 'fidgit-profiles';
+
+export const PROFILES_VERSION = 1;
+
+export class ProfileStore {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    // Saved profiles, skipping any that can't be used, and the active one's id
+    load() {
+        const empty = { profiles: [], active: null };
+        try {
+            const data = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+            if (!data || data.version !== PROFILES_VERSION || !Array.isArray(data.profiles)) return empty;
+            const profiles = data.profiles.filter(profile => typeof profile.id === 'string' && !validateProfile(profile).length);
+            const active = profiles.some(profile => profile.id === data.active) ? data.active : null;
+            return { profiles, active };
+        } catch (error) {
+            console.debug('Profiles not restored:', error.message);
+            return empty;
+        }
+    }
+
+    // Save the profiles, returns false when they didn't fit
+    save({ profiles, active }) {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify({ version: PROFILES_VERSION, profiles, active }));
+            return true;
+        } catch (error) {
+            console.debug('Profiles not saved:', error.message);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * Fidgit recording store
+ * Persists recorded fidget sessions to localStorage, newest first.
+ *
+ * Schema (version 1):
+ * {
+ *     version: 1,
+ *     recordings: [{ id, ...recording }, ...]
+ * }
+ *
+ * Each recording is in the format described in src/sessions/format.js, with
+ * an id added to tell saved recordings apart.
+ */
+
+import { validateRecording } from '../sessions/format.js';
+
+const STORAGE_KEY = 'fidgit-recordings';
+
+export const RECORDINGS_VERSION = 1;
+
+export class RecordingStore {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+    }
+
+    // Saved recordings, skipping any that can't be played
+    load() {
+        try {
+            const data = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+            if (!data || data.version !== RECORDINGS_VERSION || !Array.isArray(data.recordings)) return [];
+            return data.recordings.filter(recording => typeof recording.id === 'string' && !validateRecording(recording).length);
+        } catch (error) {
+            console.debug('Recordings not restored:', error.message);
+            return [];
+        }
+    }
+
+    // Save the list of recordings, returns false when they didn't fit
+    save(recordings) {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify({ version: RECORDINGS_VERSION, recordings }));
+            return true;
+        } catch (error) {
+            console.debug('Recordings not saved:', error.message);
+            return false;
+        }
+    }
+}
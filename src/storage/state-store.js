@@ -0,0 +1,92 @@
+/**
+ * Fidgit zone state store
+ * Persists zone state to localStorage under a versioned schema. localStorage
+ * is synchronous, so state can be restored before the first render.
+ *
+ * Schema (version 2):
+ * {
+ *     version: 2,
+ *     savedAt: <ms timestamp>,
+ *     face: <id of the cube face last shown>,
+ *     zones: { [zoneId]: { type: <data-zone type>, state: { ... } } }
+ * }
+ */
+
+const STORAGE_KEY = 'fidgit-state';
+
+export const STATE_VERSION = 2;
+
+// Upgrades keyed by the version they upgrade from, each returning the next
+// version's data. Add an entry here whenever STATE_VERSION is bumped.
+const migrations = {
+    // Version 1 predates the cube - its zones all lived on the front face
+    1: (data) => ({ ...data, version: 2, face: 'front' })
+};
+
+// Bring stored data up to the current version
+// Returns null for data that can't be migrated (e.g. written by a newer app).
+export function migrate(data) {
+    if (!data || typeof data !== 'object') return null;
+
+    let version = data.version;
+    if (!Number.isInteger(version) || version > STATE_VERSION) return null;
+
+    while (version < STATE_VERSION) {
+        if (!migrations[version]) return null;
+        data = migrations[version](data);
+        version = data.version;
+    }
+    return data;
+}
+
+export class StateStore {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.saveTimer = null;
+    }
+
+    // Load saved state as { face, zones }, zones as { [zoneId]: { type, state } }
+    load() {
+        try {
+            const data = migrate(JSON.parse(this.storage?.getItem(STORAGE_KEY)));
+            return data ? { face: data.face, zones: data.zones } : { face: null, zones: {} };
+        } catch (error) {
+            // Corrupt or inaccessible storage - start from defaults
+            console.debug('Zone state not restored:', error.message);
+            return { face: null, zones: {} };
+        }
+    }
+
+    // Save state given as { face, zones }
+    save({ face, zones }) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify({
+                version: STATE_VERSION,
+                savedAt: Date.now(),
+                face,
+                zones
+            }));
+        } catch (error) {
+            console.debug('Zone state not saved:', error.message);
+        }
+    }
+
+    // Save after a short quiet period, collapsing bursts of changes into one write
+    scheduleSave(getState, delay = 500) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(getState()), delay);
+    }
+
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            this.storage?.removeItem(STORAGE_KEY);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+}
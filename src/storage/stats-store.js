@@ -0,0 +1,74 @@
+/**
+ * Fidgit stats store
+ * Persists usage statistics to localStorage. They never leave the device
+ * unless the user exports them.
+ *
+ * Schema (version 1):
+ * {
+ *     version: 1,
+ *     days: {
+ *         ['YYYY-MM-DD']: {
+ *             sessions: [<seconds>, ...],
+ *             zones: {
+ *                 [zoneType]: {
+ *                     touches: <count>,
+ *                     time: <seconds touched>,
+ *                     events: { [event]: <count> },
+ *                     metrics: { [metric]: <amount> }
+ *                 }
+ *             }
+ *         }
+ *     }
+ * }
+ */
+
+const STORAGE_KEY = 'fidgit-stats';
+
+export const STATS_VERSION = 1;
+
+export class StatsStore {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.saveTimer = null;
+    }
+
+    // Load saved stats as { days }
+    load() {
+        try {
+            const data = JSON.parse(this.storage?.getItem(STORAGE_KEY));
+            if (data && data.version === STATS_VERSION && data.days && typeof data.days === 'object') {
+                return { days: data.days };
+            }
+        } catch (error) {
+            console.debug('Stats not restored:', error.message);
+        }
+        return { days: {} };
+    }
+
+    save({ days }) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify({ version: STATS_VERSION, days }));
+        } catch (error) {
+            console.debug('Stats not saved:', error.message);
+        }
+    }
+
+    // Save after a quiet period, stats change with nearly every touch
+    scheduleSave(getStats, delay = 2000) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(getStats()), delay);
+    }
+
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            this.storage?.removeItem(STORAGE_KEY);
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+}
@@ -0,0 +1,5 @@
+/**
+ * Fidgit themes
+ */
+
+export { skins, DEFAULT_SKIN, skinKey, getSkin, pairedSettings } from './skins.js';
@@ -0,0 +1,65 @@
+/**
+ * Fidgit skins
+ * A skin is the look of the cube: the colors, textures and shadows of every
+ * zone and of the panels around it. Its styles live in styles.css as custom
+ * properties under html[data-skin="<key>"]; the default skin is the one
+ * defined on :root.
+ *
+ * Skin fields:
+ * - label: name shown in settings
+ * - themeColor: browser and status bar color, for the theme-color meta tag
+ * - pairing: settings that suit the material, applied with the skin when
+ *   "Match sound and vibration" is on - a soundPack key from
+ *   src/audio/sound-packs.js and a hapticIntensity
+ */
+
+export const DEFAULT_SKIN = 'graphite';
+
+export const skins = {
+    // Greyscale textures, the original look
+    graphite: {
+        label: 'Graphite',
+        themeColor: '#2a2a2a',
+        pairing: { soundPack: 'mechanical', hapticIntensity: 1 }
+    },
+    metal: {
+        label: 'Brushed metal',
+        themeColor: '#2b3034',
+        pairing: { soundPack: 'mechanical', hapticIntensity: 1.25 }
+    },
+    wood: {
+        label: 'Wood',
+        themeColor: '#2e2118',
+        pairing: { soundPack: 'wooden', hapticIntensity: 1 }
+    },
+    rubber: {
+        label: 'Matte rubber',
+        themeColor: '#18191b',
+        pairing: { soundPack: 'soft', hapticIntensity: 0.75 }
+    },
+    neon: {
+        label: 'Neon (high contrast)',
+        themeColor: '#000000',
+        pairing: null
+    },
+    light: {
+        label: 'Light',
+        themeColor: '#e4e4e4',
+        pairing: null
+    }
+};
+
+// The key of a known skin, the default for keys that aren't known (e.g. a
+// skin saved by a later version)
+export function skinKey(key) {
+    return Object.hasOwn(skins, key) ? key : DEFAULT_SKIN;
+}
+
+export function getSkin(key) {
+    return skins[skinKey(key)];
+}
+
+// The settings a skin brings along when paired, as { key: value }
+export function pairedSettings(key) {
+    return { ...getSkin(key).pairing };
+}
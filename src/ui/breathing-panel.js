@@ -0,0 +1,35 @@
+/**
+ * Breathing panel - choose a breathing pattern and session length, then start
+ */
+
+import { Panel } from './panel.js';
+import { breathingPatterns, SESSION_MINUTES } from '../breathing/index.js';
+
+export function createBreathingPanel(app) {
+    const { settings } = app;
+    // Controls show settings changed elsewhere since, e.g. by a profile
+    const panel = new Panel({
+        id: 'breathing-panel',
+        title: 'Breathe',
+        onOpen: () => {
+            pattern.value = settings.get('breathingPattern');
+            length.value = String(settings.get('breathingMinutes'));
+        }
+    });
+
+    const patternOptions = Object.entries(breathingPatterns).map(([key, pattern]) => [key, pattern.label]);
+    const pattern = panel.addField('Pattern', Panel.select(patternOptions, settings.get('breathingPattern')));
+    pattern.addEventListener('change', () => settings.set('breathingPattern', pattern.value));
+
+    const lengthOptions = SESSION_MINUTES.map(minutes => [String(minutes), `${minutes} min`]);
+    const length = panel.addField('Length', Panel.select(lengthOptions, String(settings.get('breathingMinutes'))));
+    length.addEventListener('change', () => settings.set('breathingMinutes', Number(length.value)));
+
+    panel.body.appendChild(Panel.button('Start', () => {
+        app.markUserActivation();
+        panel.close();
+        app.pacer.start(settings.get('breathingPattern'), settings.get('breathingMinutes'));
+    }));
+
+    return panel;
+}
@@ -0,0 +1,122 @@
+/**
+ * Fidgit overlay panel
+ * A sheet shown over the cube with a title, close button and a body that
+ * callers fill with controls.
+ */
+
+export class Panel {
+    // onOpen is called each time the panel opens, e.g. to refresh its controls
+    constructor({ id, title, onOpen = null }) {
+        this.onOpen = onOpen;
+        this.element = document.createElement('section');
+        this.element.id = id;
+        this.element.className = 'fidgit-panel';
+        this.element.hidden = true;
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', title);
+        this.element.innerHTML = `
+            <header class="panel-header">
+                <h2 class="panel-title"></h2>
+                <button type="button" class="panel-close" aria-label="Close">&times;</button>
+            </header>
+            <div class="panel-body"></div>
+        `;
+        this.element.querySelector('.panel-title').textContent = title;
+        this.body = this.element.querySelector('.panel-body');
+        this.element.querySelector('.panel-close').addEventListener('click', () => this.close());
+
+        document.body.appendChild(this.element);
+    }
+
+    get isOpen() {
+        return !this.element.hidden;
+    }
+
+    open() {
+        this.onOpen?.();
+        this.element.hidden = false;
+    }
+
+    close() {
+        this.element.hidden = true;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // Add a labelled control row to the panel body (or another container in
+    // it), returns the control
+    addField(label, control, parent = this.body) {
+        const row = document.createElement('label');
+        row.className = 'panel-field';
+        const text = document.createElement('span');
+        text.textContent = label;
+        row.append(text, control);
+        parent.appendChild(row);
+        return control;
+    }
+
+    // Add a titled section to the panel body, returns its container
+    addSection(title) {
+        const section = document.createElement('div');
+        section.className = 'panel-section';
+        const heading = document.createElement('h3');
+        heading.className = 'panel-section-title';
+        heading.textContent = title;
+        section.appendChild(heading);
+        this.body.appendChild(section);
+        return section;
+    }
+
+    // Create a <select> from [value, label] pairs
+    static select(options, value) {
+        const select = document.createElement('select');
+        options.forEach(([optionValue, label]) => {
+            select.add(new Option(label, optionValue, false, optionValue === value));
+        });
+        return select;
+    }
+
+    // Create a range <input>
+    static range({ min, max, step, value }) {
+        const input = document.createElement('input');
+        input.type = 'range';
+        Object.assign(input, { min, max, step, value });
+        return input;
+    }
+
+    // Create a text <input>
+    static text({ value = '', placeholder = '', maxLength } = {}) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        Object.assign(input, { value, placeholder });
+        if (maxLength) input.maxLength = maxLength;
+        return input;
+    }
+
+    // Create a checkbox <input>
+    static checkbox(checked) {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = checked;
+        return input;
+    }
+
+    // Create a button
+    static button(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    destroy() {
+        this.element.remove();
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Pattern panel - custom haptic pattern editor and per-event assignments
+ * Patterns are recorded by tapping a rhythm on the pad or typed as a
+ * timeline; tapping a pulse in the timeline changes its strength.
+ */
+
+import { Panel } from './panel.js';
+import {
+    hapticPatterns,
+    fromVibration,
+    pause,
+    patternDuration,
+    validatePattern,
+    parseTimeline,
+    formatTimeline,
+    PATTERN_LIMITS
+} from '../haptics/index.js';
+import { eventKey } from '../haptics/pattern-store.js';
+import { getZoneType, getZoneTypes } from '../zones/registry.js';
+
+// A gap this long (ms) on the record pad starts a new recording
+const RECORD_TIMEOUT = 1500;
+
+const MAX_NAME_LENGTH = 24;
+
+const NEXT_STYLE = { light: 'medium', medium: 'heavy', heavy: 'light' };
+
+export function createPatternPanel(app) {
+    // Zone types can be registered after startup, so lists refresh on every open
+    const panel = new Panel({
+        id: 'pattern-panel',
+        title: 'Haptic patterns',
+        onOpen: () => {
+            drawSaved();
+            drawAssignments();
+        }
+    });
+    let steps = [];
+
+    // Editor
+    const editor = panel.addSection('Editor');
+    const name = panel.addField('Name', Panel.text({ placeholder: 'My pattern', maxLength: MAX_NAME_LENGTH }), editor);
+
+    const pad = document.createElement('div');
+    pad.className = 'pattern-pad';
+    pad.textContent = 'Hold to record a rhythm';
+    editor.appendChild(pad);
+
+    const timeline = document.createElement('div');
+    timeline.className = 'pattern-timeline';
+    editor.appendChild(timeline);
+
+    const text = panel.addField('Timeline', Panel.text({ placeholder: '20h 40 15' }), editor);
+
+    const errors = document.createElement('p');
+    errors.className = 'pattern-errors';
+    errors.setAttribute('aria-live', 'polite');
+    editor.appendChild(errors);
+
+    const actions = document.createElement('div');
+    actions.className = 'panel-actions';
+    actions.append(
+        Panel.button('Preview', () => preview()),
+        Panel.button('Save', () => save()),
+        Panel.button('Clear', () => setSteps([]))
+    );
+    editor.appendChild(actions);
+
+    const saved = panel.addSection('Saved patterns');
+    const list = document.createElement('ul');
+    list.className = 'pattern-list';
+    saved.appendChild(list);
+
+    const assignments = panel.addSection('Zone events');
+
+    const showErrors = (messages) => {
+        errors.textContent = messages.join('. ');
+    };
+
+    // Replace the pattern being edited, updating every view of it except
+    // the text field while it is being typed in
+    const setSteps = (next, { typed = false } = {}) => {
+        steps = next;
+        if (!typed) text.value = formatTimeline(steps);
+        drawTimeline();
+        showErrors(steps.length ? validatePattern(steps) : []);
+    };
+
+    const drawTimeline = () => {
+        timeline.innerHTML = '';
+        const total = Math.max(patternDuration(steps), 1);
+        steps.forEach((step, index) => {
+            const block = document.createElement('button');
+            block.type = 'button';
+            block.className = `pattern-step ${step.type === 'pause' ? 'pause' : step.style || 'light'}`;
+            block.style.flexGrow = step.ms / total;
+            block.title = step.type === 'pause' ? `${step.ms} ms pause` : `${step.ms} ms ${step.style}`;
+            if (step.type === 'impact') {
+                block.addEventListener('click', () => {
+                    const next = [...steps];
+                    next[index] = { ...step, style: NEXT_STYLE[step.style] };
+                    setSteps(next);
+                });
+            } else {
+                block.disabled = true;
+            }
+            timeline.appendChild(block);
+        });
+    };
+
+    text.addEventListener('input', () => {
+        try {
+            setSteps(parseTimeline(text.value), { typed: true });
+        } catch (error) {
+            showErrors([error.message]);
+        }
+    });
+
+    // Record pad: each press is a pulse as long as the finger stayed down
+    let pressedAt = null;
+    let releasedAt = null;
+    app.input.bind(pad, {
+        start: (pointer) => {
+            if (pressedAt !== null) return false;
+
+            app.markUserActivation();
+            pressedAt = pointer.time;
+            if (releasedAt === null || pointer.time - releasedAt > RECORD_TIMEOUT) {
+                steps = [];
+            } else {
+                steps = [...steps, pause(Math.round(pointer.time - releasedAt))];
+            }
+            pad.classList.add('recording');
+            app.vibrate('tap');
+        },
+
+        end: (pointer) => {
+            const ms = Math.min(Math.round(pointer.time - pressedAt), PATTERN_LIMITS.maxStep);
+            pressedAt = null;
+            releasedAt = pointer.time;
+            pad.classList.remove('recording');
+            setSteps([...steps, ...fromVibration([Math.max(ms, PATTERN_LIMITS.minPulse)])]);
+        }
+    });
+
+    const preview = () => {
+        const problems = validatePattern(steps);
+        if (problems.length) {
+            showErrors(problems);
+            return;
+        }
+        app.markUserActivation();
+        app.vibrate(steps);
+    };
+
+    const save = () => {
+        const patternName = name.value.trim();
+        const problems = validatePattern(steps);
+        if (!patternName) {
+            problems.unshift('Give the pattern a name');
+        } else if (hapticPatterns[patternName]) {
+            problems.unshift(`"${patternName}" is a built-in pattern`);
+        }
+        if (problems.length) {
+            showErrors(problems);
+            return;
+        }
+
+        app.savePattern(patternName, steps);
+        showErrors([]);
+        drawSaved();
+        drawAssignments();
+    };
+
+    const drawSaved = () => {
+        list.innerHTML = '';
+        const names = Object.keys(app.customPatterns);
+        if (!names.length) {
+            const empty = document.createElement('li');
+            empty.className = 'pattern-empty';
+            empty.textContent = 'No saved patterns yet';
+            list.appendChild(empty);
+        }
+        names.forEach(patternName => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = patternName;
+            item.append(
+                label,
+                Panel.button('Edit', () => {
+                    name.value = patternName;
+                    setSteps(app.customPatterns[patternName]);
+                }),
+                Panel.button('Delete', () => {
+                    app.deletePattern(patternName);
+                    drawSaved();
+                    drawAssignments();
+                })
+            );
+            list.appendChild(item);
+        });
+    };
+
+    // One select per zone event, offering every built-in and custom pattern
+    const drawAssignments = () => {
+        assignments.querySelectorAll('.panel-field').forEach(row => row.remove());
+        const names = Object.keys(app.haptics.patterns);
+
+        getZoneTypes().forEach(type => {
+            const ZoneClass = getZoneType(type);
+            Object.entries(ZoneClass.haptics).forEach(([event, pattern]) => {
+                const own = typeof pattern === 'string' ? pattern : 'custom';
+                const options = [['', `Default (${own})`], ...names.map(patternName => [patternName, patternName])];
+                const select = panel.addField(`${type} ${event}`, Panel.select(options, app.assignments[eventKey(type, event)] || ''), assignments);
+                select.addEventListener('change', () => {
+                    app.assignPattern(type, event, select.value || null);
+                    app.markUserActivation();
+                    app.vibrate(app.patternFor(ZoneClass, event));
+                });
+            });
+        });
+    };
+
+    return panel;
+}
@@ -0,0 +1,207 @@
+/**
+ * Profiles panel - save the whole setup as a named profile and switch
+ * between saved ones, export and import them as JSON files or share one as
+ * a link. Profiles opened from a link are offered here before being added.
+ */
+
+import { Panel } from './panel.js';
+import { parseProfile, formatProfile, shareLink, PROFILE_LIMITS } from '../profiles/index.js';
+
+// File name for an exported profile, from its name
+const fileName = (name) => {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `fidgit-profile-${slug || 'setup'}.json`;
+};
+
+export function createProfilesPanel(app) {
+    const panel = new Panel({ id: 'profiles-panel', title: 'Profiles', onOpen: () => drawSaved() });
+
+    // Profile shared as a link, waiting to be added
+    const shared = panel.addSection('Shared with you');
+    shared.hidden = true;
+    const sharedNote = document.createElement('p');
+    sharedNote.className = 'sessions-note';
+    const sharedActions = document.createElement('div');
+    sharedActions.className = 'panel-actions';
+    shared.append(sharedNote, sharedActions);
+    let offered = null;
+
+    // Saving the current setup
+    const save = panel.addSection('Save this setup');
+    const note = document.createElement('p');
+    note.className = 'sessions-note';
+    note.textContent = 'Keeps the layout, haptic patterns and settings, skin included';
+    const name = panel.addField('Name', Panel.text({ placeholder: 'e.g. Desk', maxLength: PROFILE_LIMITS.maxName }), save);
+    const saveActions = document.createElement('div');
+    saveActions.className = 'panel-actions';
+    saveActions.appendChild(Panel.button('Save', () => saveCurrent()));
+    save.append(note, saveActions);
+
+    // Saved profiles
+    const saved = panel.addSection('Saved profiles');
+    const list = document.createElement('ul');
+    list.className = 'pattern-list profiles-list';
+    saved.appendChild(list);
+
+    const errors = document.createElement('p');
+    errors.className = 'pattern-errors';
+    errors.setAttribute('aria-live', 'polite');
+    saved.appendChild(errors);
+
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = 'application/json,.json';
+    file.hidden = true;
+    const importActions = document.createElement('div');
+    importActions.className = 'panel-actions';
+    importActions.append(file, Panel.button('Import', () => file.click()));
+    saved.appendChild(importActions);
+
+    const keep = (ok) => {
+        errors.textContent = ok ? '' : 'Not enough room to keep it on this device - export it to keep it';
+    };
+
+    // Save the setup under the name given, replacing a profile of that name
+    const saveCurrent = () => {
+        const profileName = name.value.trim();
+        if (!profileName) {
+            errors.textContent = 'Give the profile a name';
+            name.focus();
+            return;
+        }
+        const existing = app.profiles.find(profile => profile.name === profileName);
+        if (existing && !window.confirm(`Replace the profile "${profileName}" with this setup?`)) return;
+
+        const profile = app.captureProfile(profileName);
+        if (existing) {
+            profile.id = existing.id;
+            app.profiles[app.profiles.indexOf(existing)] = profile;
+        } else {
+            app.profiles.unshift(app.identify(profile));
+        }
+        app.activeProfile = profile.id;
+        name.value = '';
+        keep(app.saveProfiles());
+        drawSaved();
+    };
+
+    const use = (profile) => {
+        app.applyProfile(profile);
+        app.markUserActivation();
+        app.vibrate('thunk');
+        drawSaved();
+    };
+
+    const add = (profile) => {
+        app.profiles.unshift(app.identify(profile));
+        keep(app.saveProfiles());
+        drawSaved();
+        return profile;
+    };
+
+    const exportProfile = (profile) => {
+        const blob = new Blob([formatProfile(profile)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName(profile.name);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+
+    // Hand the link to the system share sheet, or copy it
+    const share = async (profile) => {
+        const url = await shareLink(profile);
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: `Fidgit profile: ${profile.name}`, url });
+                return;
+            }
+            await navigator.clipboard.writeText(url);
+            errors.textContent = `Link to "${profile.name}" copied`;
+        } catch (error) {
+            // Dismissing the share sheet isn't a problem
+            if (error.name !== 'AbortError') {
+                errors.textContent = 'The link could not be shared';
+            }
+        }
+    };
+
+    const drawSaved = () => {
+        list.innerHTML = '';
+        if (!app.profiles.length) {
+            const empty = document.createElement('li');
+            empty.className = 'pattern-empty';
+            empty.textContent = 'No saved profiles yet';
+            list.appendChild(empty);
+        }
+        app.profiles.forEach(profile => {
+            const item = document.createElement('li');
+            const active = profile.id === app.activeProfile;
+            item.classList.toggle('active', active);
+            const profileName = Panel.text({ value: profile.name, maxLength: PROFILE_LIMITS.maxName });
+            profileName.setAttribute('aria-label', active ? 'Name, in use' : 'Name');
+            profileName.addEventListener('change', () => {
+                profile.name = profileName.value.trim() || profile.name;
+                profileName.value = profile.name;
+                keep(app.saveProfiles());
+            });
+            item.append(
+                profileName,
+                Panel.button('Use', () => use(profile)),
+                Panel.button('Export', () => exportProfile(profile)),
+                Panel.button('Share', () => share(profile)),
+                Panel.button('Delete', () => {
+                    if (!window.confirm(`Delete "${profile.name}"?`)) return;
+                    app.profiles.splice(app.profiles.indexOf(profile), 1);
+                    if (active) app.activeProfile = null;
+                    keep(app.saveProfiles());
+                    drawSaved();
+                })
+            );
+            list.appendChild(item);
+        });
+    };
+
+    const dismiss = () => {
+        offered = null;
+        shared.hidden = true;
+        sharedActions.innerHTML = '';
+    };
+
+    // Offer a profile from a link to be added, and switched to if wanted
+    panel.offer = (profile) => {
+        offered = profile;
+        errors.textContent = '';
+        sharedNote.textContent = `"${profile.name}" was shared with you. Add it to your profiles?`;
+        sharedActions.innerHTML = '';
+        sharedActions.append(
+            Panel.button('Add and use', () => {
+                use(add(offered));
+                dismiss();
+            }),
+            Panel.button('Add', () => {
+                add(offered);
+                dismiss();
+            }),
+            Panel.button('Dismiss', dismiss)
+        );
+        shared.hidden = false;
+    };
+
+    panel.showError = (message) => {
+        errors.textContent = message;
+    };
+
+    file.addEventListener('change', async () => {
+        const [chosen] = file.files;
+        file.value = '';
+        if (!chosen) return;
+        try {
+            add(parseProfile(await chosen.text()));
+        } catch (error) {
+            errors.textContent = error.message;
+        }
+    });
+
+    return panel;
+}
@@ -0,0 +1,175 @@
+/**
+ * Sessions panel - record a fidget session, then play back, rename, export
+ * or delete saved recordings and import recordings shared as JSON files
+ */
+
+import { Panel } from './panel.js';
+import { parseRecording, formatRecording, RECORDING_LIMITS } from '../sessions/index.js';
+
+const SPEED_LABELS = [
+    ['1', '1×'],
+    ['2', '2×'],
+    ['4', '4×']
+];
+
+// File name for an exported recording, from its name
+const fileName = (name) => {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `fidgit-${slug || 'recording'}.json`;
+};
+
+export function createSessionsPanel(app) {
+    const { settings } = app;
+    const panel = new Panel({
+        id: 'sessions-panel',
+        title: 'Sessions',
+        onOpen: () => {
+            drawRecorder();
+            drawPlayback();
+            drawSaved();
+        }
+    });
+    const minutes = RECORDING_LIMITS.maxDuration / 60000;
+
+    // Recorder
+    const recorder = panel.addSection('Record');
+    const status = document.createElement('p');
+    status.className = 'sessions-note';
+    const recordButton = Panel.button('Record', () => {
+        if (app.recorder.active) {
+            stop();
+        } else {
+            app.startRecording();
+            // Out of the way, so the cube can be played with
+            panel.close();
+        }
+    });
+    const actions = document.createElement('div');
+    actions.className = 'panel-actions';
+    actions.appendChild(recordButton);
+    recorder.append(status, actions);
+
+    // Playback options
+    const playback = panel.addSection('Playback');
+    const speed = panel.addField('Speed', Panel.select(SPEED_LABELS, String(settings.get('playbackSpeed'))), playback);
+    speed.addEventListener('change', () => settings.set('playbackSpeed', Number(speed.value)));
+    const haptics = panel.addField('Play haptics', Panel.checkbox(settings.get('playbackHaptics')), playback);
+    haptics.addEventListener('change', () => settings.set('playbackHaptics', haptics.checked));
+    // Options may have changed since, e.g. by switching profile
+    const drawPlayback = () => {
+        speed.value = String(settings.get('playbackSpeed'));
+        haptics.checked = settings.get('playbackHaptics');
+    };
+
+    // Saved recordings
+    const saved = panel.addSection('Saved sessions');
+    const list = document.createElement('ul');
+    list.className = 'pattern-list sessions-list';
+    saved.appendChild(list);
+
+    const errors = document.createElement('p');
+    errors.className = 'pattern-errors';
+    errors.setAttribute('aria-live', 'polite');
+    saved.appendChild(errors);
+
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = 'application/json,.json';
+    file.hidden = true;
+    const importActions = document.createElement('div');
+    importActions.className = 'panel-actions';
+    importActions.append(file, Panel.button('Import', () => file.click()));
+    saved.appendChild(importActions);
+
+    const drawRecorder = () => {
+        const active = app.recorder.active;
+        recordButton.textContent = active ? 'Stop' : 'Record';
+        if (app.recorder.full) {
+            status.textContent = `Recording reached its ${minutes} minute limit, stop to keep it`;
+        } else if (active) {
+            status.textContent = 'Recording every touch on the cube - stop here or with ⏺ in the toolbar';
+        } else {
+            status.textContent = `Records every touch on the cube until you stop, up to ${minutes} minutes`;
+        }
+    };
+
+    const keep = (ok) => {
+        errors.textContent = ok ? '' : 'Not enough room to keep it on this device - export it to keep it';
+    };
+
+    const stop = () => {
+        const { saved: ok } = app.stopRecording() || { saved: true };
+        keep(ok);
+        drawRecorder();
+        drawSaved();
+    };
+
+    const play = (recording) => {
+        app.markUserActivation();
+        panel.close();
+        app.player.play(recording, {
+            speed: settings.get('playbackSpeed'),
+            haptics: settings.get('playbackHaptics')
+        });
+    };
+
+    const exportRecording = (recording) => {
+        const blob = new Blob([formatRecording(recording)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName(recording.name);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+
+    const drawSaved = () => {
+        list.innerHTML = '';
+        if (!app.recordings.length) {
+            const empty = document.createElement('li');
+            empty.className = 'pattern-empty';
+            empty.textContent = 'No saved sessions yet';
+            list.appendChild(empty);
+        }
+        app.recordings.forEach(recording => {
+            const item = document.createElement('li');
+            const name = Panel.text({ value: recording.name, maxLength: RECORDING_LIMITS.maxName });
+            name.setAttribute('aria-label', 'Name');
+            name.addEventListener('change', () => {
+                recording.name = name.value.trim() || recording.name;
+                name.value = recording.name;
+                keep(app.saveRecordings());
+            });
+            const playButton = Panel.button('Play', () => play(recording));
+            // Recording and playback don't mix
+            playButton.disabled = app.recorder.active;
+            item.append(
+                name,
+                playButton,
+                Panel.button('Export', () => exportRecording(recording)),
+                Panel.button('Delete', () => {
+                    if (!window.confirm(`Delete "${recording.name}"?`)) return;
+                    app.recordings.splice(app.recordings.indexOf(recording), 1);
+                    keep(app.saveRecordings());
+                    drawSaved();
+                })
+            );
+            list.appendChild(item);
+        });
+    };
+
+    file.addEventListener('change', async () => {
+        const [chosen] = file.files;
+        file.value = '';
+        if (!chosen) return;
+        try {
+            const recording = parseRecording(await chosen.text());
+            app.recordings.unshift(app.identify(recording));
+            keep(app.saveRecordings());
+            drawSaved();
+        } catch (error) {
+            errors.textContent = error.message;
+        }
+    });
+
+    return panel;
+}
@@ -0,0 +1,193 @@
+/**
+ * Settings panel - haptic intensity, silent meeting mode, feedback muted per
+ * zone, the cube's skin, tilt and shake from the motion sensors, what each
+ * game controller control drives, reduced motion and the double-tap
+ * fullscreen gesture
+ */
+
+import { Panel } from './panel.js';
+import { getZoneType, getZoneTypes } from '../zones/registry.js';
+import { skins, skinKey } from '../themes/skins.js';
+import { MotionInput } from '../input/motion-input.js';
+import { GAMEPAD_CONTROLS, DEFAULT_MAPPING } from '../input/gamepad-input.js';
+
+const MUTE_LABELS = [
+    ['', 'On'],
+    ['haptics', 'No vibration'],
+    ['audio', 'No sound'],
+    ['both', 'Muted']
+];
+
+const MOTION_LABELS = [
+    ['system', 'Follow system'],
+    ['reduce', 'Reduced'],
+    ['full', 'Full']
+];
+
+export function createSettingsPanel(app) {
+    const { settings } = app;
+    const panel = new Panel({
+        id: 'settings-panel',
+        title: 'Settings',
+        onOpen: () => {
+            drawSettings();
+            drawZones();
+            drawSensors();
+            drawController();
+        }
+    });
+
+    const feedback = panel.addSection('Feedback');
+
+    const intensity = panel.addField('Haptic intensity', Panel.range({
+        min: 0.25, max: 2, step: 0.25, value: settings.get('hapticIntensity')
+    }), feedback);
+    intensity.addEventListener('input', () => settings.set('hapticIntensity', Number(intensity.value)));
+    // Let the new strength be felt once the slider is let go
+    intensity.addEventListener('change', () => {
+        app.markUserActivation();
+        app.vibrate('click');
+    });
+
+    const meeting = panel.addField('Silent meeting mode', Panel.checkbox(settings.get('meetingMode')), feedback);
+    meeting.addEventListener('change', () => settings.set('meetingMode', meeting.checked));
+
+    const zones = panel.addSection('Zones');
+    const appearance = panel.addSection('Appearance');
+    const sensors = panel.addSection('Motion sensors');
+    const controller = panel.addSection('Game controller');
+    const display = panel.addSection('Motion and display');
+
+    // One select per zone type, rebuilt on open for types registered since
+    const drawZones = () => {
+        zones.querySelectorAll('.panel-field').forEach(row => row.remove());
+        const mutes = settings.get('zoneMutes');
+        getZoneTypes().forEach(type => {
+            const label = getZoneType(type).label || type;
+            const select = panel.addField(label, Panel.select(MUTE_LABELS, mutes[type] || ''), zones);
+            select.addEventListener('change', () => {
+                const next = { ...settings.get('zoneMutes') };
+                if (select.value) {
+                    next[type] = select.value;
+                } else {
+                    delete next[type];
+                }
+                settings.set('zoneMutes', next);
+            });
+        });
+    };
+
+    const skinOptions = Object.entries(skins).map(([key, skin]) => [key, skin.label]);
+    const skin = panel.addField('Skin', Panel.select(skinOptions, skinKey(settings.get('skin'))), appearance);
+    const pairing = panel.addField('Match sound and vibration', Panel.checkbox(settings.get('skinPairing')), appearance);
+    // A paired skin may change the intensity shown above
+    skin.addEventListener('change', () => {
+        settings.set('skin', skin.value);
+        drawSettings();
+    });
+    pairing.addEventListener('change', () => {
+        settings.set('skinPairing', pairing.checked);
+        drawSettings();
+    });
+
+    const tilt = panel.addField('Tilt and shake', Panel.checkbox(settings.get('motionInput')), sensors);
+    const sensitivity = panel.addField('Sensitivity', Panel.range({
+        min: 0.5, max: 2, step: 0.25, value: settings.get('motionSensitivity')
+    }), sensors);
+    const sensorNote = document.createElement('p');
+    sensorNote.className = 'sessions-note';
+    sensorNote.setAttribute('aria-live', 'polite');
+    const sensorActions = document.createElement('div');
+    sensorActions.className = 'panel-actions';
+    const calibrate = Panel.button('Calibrate', () => {
+        const neutral = app.motion.calibrate();
+        if (neutral) {
+            settings.set('motionCalibration', neutral);
+        }
+        drawSensors(neutral ? 'Level is now the way the device is held' : null);
+    });
+    sensorActions.appendChild(calibrate);
+    sensors.append(sensorNote, sensorActions);
+
+    // The sensors may only be asked for from the tap on the checkbox
+    tilt.addEventListener('change', async () => {
+        if (!tilt.checked) {
+            settings.set('motionInput', false);
+            drawSensors();
+            return;
+        }
+        const granted = await app.enableMotion();
+        tilt.checked = granted;
+        drawSensors(granted ? null : 'Motion sensors weren\'t allowed - allow them for this site in the browser\'s settings');
+    });
+    sensitivity.addEventListener('input', () => settings.set('motionSensitivity', Number(sensitivity.value)));
+
+    // What the sensors are up to, or a message about the last action
+    const drawSensors = (message = null) => {
+        const on = settings.get('motionInput');
+        tilt.disabled = !MotionInput.supported;
+        sensitivity.disabled = !on;
+        calibrate.disabled = !on || !app.motion.receiving;
+        if (message) {
+            sensorNote.textContent = message;
+        } else if (!MotionInput.supported) {
+            sensorNote.textContent = 'This browser doesn\'t share motion sensors';
+        } else if (on && !app.motion.receiving) {
+            sensorNote.textContent = 'Waiting for the motion sensors - tap the cube once if nothing happens';
+        } else if (on) {
+            sensorNote.textContent = 'Hold the device the way you like and press Calibrate to make that level';
+        } else {
+            sensorNote.textContent = 'Tilt to roll the ball and slider, shake to spin the spinner';
+        }
+    };
+
+    const controllerNote = document.createElement('p');
+    controllerNote.className = 'sessions-note';
+    controller.appendChild(controllerNote);
+
+    // One select per control, offering the zone types it can drive
+    const targetLabel = (type) => (type === 'none' ? 'Nothing' : getZoneType(type)?.label || type);
+    const controls = Object.entries(GAMEPAD_CONTROLS).map(([control, { label, targets }]) => {
+        const options = targets.map(type => [type, targetLabel(type)]);
+        const select = panel.addField(label, Panel.select(options, DEFAULT_MAPPING[control]), controller);
+        select.addEventListener('change', () => {
+            const next = { ...settings.get('gamepadMapping'), [control]: select.value };
+            if (select.value === DEFAULT_MAPPING[control]) {
+                delete next[control];
+            }
+            settings.set('gamepadMapping', next);
+        });
+        return [control, select];
+    });
+
+    const drawController = () => {
+        const mapping = { ...DEFAULT_MAPPING, ...settings.get('gamepadMapping') };
+        controls.forEach(([control, select]) => {
+            select.value = mapping[control];
+        });
+        const connected = app.gamepad.controller;
+        controllerNote.textContent = connected
+            ? `Connected: ${connected}. The d-pad turns the cube`
+            : 'Press a button on a controller to connect it. The d-pad turns the cube';
+    };
+
+    const motion = panel.addField('Motion', Panel.select(MOTION_LABELS, settings.get('motion')), display);
+    motion.addEventListener('change', () => settings.set('motion', motion.value));
+
+    const fullscreen = panel.addField('Double-tap for fullscreen', Panel.checkbox(settings.get('doubleTapFullscreen')), display);
+    fullscreen.addEventListener('change', () => settings.set('doubleTapFullscreen', fullscreen.checked));
+
+    // Show settings changed elsewhere, e.g. by switching profile
+    const drawSettings = () => {
+        intensity.value = settings.get('hapticIntensity');
+        meeting.checked = settings.get('meetingMode');
+        skin.value = skinKey(settings.get('skin'));
+        pairing.checked = settings.get('skinPairing');
+        tilt.checked = settings.get('motionInput');
+        sensitivity.value = settings.get('motionSensitivity');
+        motion.value = settings.get('motion');
+        fullscreen.checked = settings.get('doubleTapFullscreen');
+    };
+
+    return panel;
+}
@@ -0,0 +1,45 @@
+/**
+ * Sound panel - feedback mode, sound pack and volume
+ */
+
+import { Panel } from './panel.js';
+import { soundPacks } from '../audio/sound-packs.js';
+
+const MODE_LABELS = [
+    ['auto', 'Automatic'],
+    ['haptics', 'Vibration only'],
+    ['audio', 'Sound only'],
+    ['both', 'Vibration and sound'],
+    ['off', 'Off']
+];
+
+export function createSoundPanel(app) {
+    const { settings } = app;
+    // Controls show settings changed elsewhere since, e.g. by a skin or profile
+    const panel = new Panel({
+        id: 'sound-panel',
+        title: 'Sound',
+        onOpen: () => {
+            mode.value = settings.get('feedbackMode');
+            pack.value = settings.get('soundPack');
+            volume.value = settings.get('volume');
+        }
+    });
+
+    const mode = panel.addField('Feedback', Panel.select(MODE_LABELS, settings.get('feedbackMode')));
+    mode.addEventListener('change', () => settings.set('feedbackMode', mode.value));
+
+    const packOptions = Object.entries(soundPacks).map(([key, pack]) => [key, pack.label]);
+    const pack = panel.addField('Sound pack', Panel.select(packOptions, settings.get('soundPack')));
+    pack.addEventListener('change', () => settings.set('soundPack', pack.value));
+
+    const volume = panel.addField('Volume', Panel.range({ min: 0, max: 1, step: 0.05, value: settings.get('volume') }));
+    volume.addEventListener('input', () => settings.set('volume', Number(volume.value)));
+
+    panel.body.appendChild(Panel.button('Preview', () => {
+        app.markUserActivation();
+        app.audio.play('click');
+    }));
+
+    return panel;
+}
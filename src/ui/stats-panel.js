@@ -0,0 +1,188 @@
+/**
+ * Stats panel - usage history charts and per-zone breakdowns
+ * Everything shown is read from this device's usage stats; export hands the
+ * raw data to the user and clear deletes it.
+ */
+
+import { Panel } from './panel.js';
+import { dayKey } from '../stats/index.js';
+import { getZoneType } from '../zones/registry.js';
+
+const RANGES = [
+    ['7', 'Last 7 days'],
+    ['30', 'Last 30 days'],
+    ['all', 'All time']
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Seconds as a short duration, e.g. "1h 5m", "4m 10s" or "12s"
+export function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    if (hours) return `${hours}h ${minutes}m`;
+    if (minutes) return `${minutes}m ${total % 60}s`;
+    return `${total}s`;
+}
+
+const formatAmount = (amount) => amount < 100 && !Number.isInteger(amount)
+    ? amount.toFixed(1)
+    : Math.round(amount).toLocaleString();
+
+// Labelled totals for a zone type: its events and metrics added up per label
+function zoneHighlights(type, zone) {
+    const labels = getZoneType(type)?.stats || {};
+    const highlights = {};
+    Object.entries({ ...zone.events, ...zone.metrics }).forEach(([key, amount]) => {
+        const label = labels[key];
+        if (label) highlights[label] = (highlights[label] || 0) + amount;
+    });
+    return Object.entries(highlights);
+}
+
+export function createStatsPanel(app) {
+    const { stats } = app;
+    const panel = new Panel({ id: 'stats-panel', title: 'Stats', onOpen: () => draw() });
+
+    const summary = panel.addSection('Summary');
+    const daily = panel.addSection('Daily');
+    const weekly = panel.addSection('Weekly');
+    const zones = panel.addSection('Zones');
+    const range = panel.addField('Period', Panel.select(RANGES, '7'), zones);
+    range.addEventListener('change', () => drawZones());
+    const zoneList = document.createElement('div');
+    zoneList.className = 'stats-zones';
+    zones.appendChild(zoneList);
+
+    const note = document.createElement('p');
+    note.className = 'stats-note';
+    note.textContent = 'Stats are kept on this device only.';
+    const actions = document.createElement('div');
+    actions.className = 'panel-actions';
+    actions.append(
+        Panel.button('Export', () => exportStats()),
+        Panel.button('Clear', () => {
+            if (window.confirm('Delete all usage stats from this device?')) {
+                stats.clear();
+                draw();
+            }
+        })
+    );
+    panel.body.append(note, actions);
+
+    const content = (section) => {
+        section.querySelector('.stats-content')?.remove();
+        const element = document.createElement('div');
+        element.className = 'stats-content';
+        section.appendChild(element);
+        return element;
+    };
+
+    const drawSummary = () => {
+        const element = content(summary);
+        element.classList.add('stats-cards');
+        [['Today', stats.lastDays(1)], ['This week', stats.lastDays(7)]].forEach(([title, keys]) => {
+            const totals = stats.totals(keys);
+            const card = document.createElement('dl');
+            card.className = 'stats-card';
+            card.innerHTML = `<dt class="stats-card-title"></dt>`;
+            card.firstElementChild.textContent = title;
+            [
+                ['Touches', totals.touches.toLocaleString()],
+                ['Fidget time', formatDuration(totals.time)],
+                ['Sessions', totals.sessions],
+                ['Longest session', formatDuration(totals.longest)]
+            ].forEach(([label, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const detail = document.createElement('dd');
+                detail.textContent = value;
+                card.append(term, detail);
+            });
+            element.appendChild(card);
+        });
+    };
+
+    // Bar chart of touches, one bar per { label, keys } group
+    const drawChart = (section, groups) => {
+        const element = content(section);
+        element.classList.add('stats-chart');
+        const values = groups.map(({ keys }) => stats.totals(keys));
+        const max = Math.max(1, ...values.map(totals => totals.touches));
+
+        groups.forEach(({ label }, index) => {
+            const { touches, time } = values[index];
+            const column = document.createElement('div');
+            column.className = 'stats-column';
+            column.title = `${label}: ${touches.toLocaleString()} touches, ${formatDuration(time)}`;
+            const bar = document.createElement('div');
+            bar.className = 'stats-bar';
+            bar.style.height = `${(touches / max) * 100}%`;
+            const caption = document.createElement('span');
+            caption.textContent = label;
+            column.append(bar, caption);
+            element.appendChild(column);
+        });
+    };
+
+    const drawDaily = () => {
+        drawChart(daily, stats.lastDays(7).map(key => ({
+            label: WEEKDAYS[new Date(`${key}T12:00:00`).getDay()],
+            keys: [key]
+        })));
+    };
+
+    const drawWeekly = () => {
+        const keys = stats.lastDays(56);
+        drawChart(weekly, Array.from({ length: 8 }, (_, week) => {
+            const weekKeys = keys.slice(week * 7, week * 7 + 7);
+            return { label: week === 7 ? 'This' : `-${7 - week}w`, keys: weekKeys };
+        }));
+    };
+
+    const drawZones = () => {
+        zoneList.innerHTML = '';
+        const keys = range.value === 'all' ? Object.keys(stats.days) : stats.lastDays(Number(range.value));
+        const totals = Object.entries(stats.totals(keys).zones)
+            .sort(([, a], [, b]) => b.time - a.time || b.touches - a.touches);
+
+        if (!totals.length) {
+            zoneList.textContent = 'Nothing fidgeted yet';
+            return;
+        }
+
+        totals.forEach(([type, zone]) => {
+            const row = document.createElement('div');
+            row.className = 'stats-zone';
+            const name = document.createElement('h4');
+            name.textContent = type;
+            const details = document.createElement('p');
+            details.textContent = [
+                `${zone.touches.toLocaleString()} touches`,
+                formatDuration(zone.time),
+                ...zoneHighlights(type, zone).map(([label, amount]) => `${formatAmount(amount)} ${label}`)
+            ].join(' · ');
+            row.append(name, details);
+            zoneList.appendChild(row);
+        });
+    };
+
+    const draw = () => {
+        drawSummary();
+        drawDaily();
+        drawWeekly();
+        drawZones();
+    };
+
+    const exportStats = () => {
+        const blob = new Blob([stats.export()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `fidgit-stats-${dayKey(Date.now())}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    };
+
+    return panel;
+}
@@ -0,0 +1,27 @@
+/**
+ * Fidgit toolbar
+ * Small row of icon buttons floating over the cube.
+ */
+
+export class Toolbar {
+    constructor() {
+        this.element = document.createElement('nav');
+        this.element.id = 'fidgit-toolbar';
+        this.element.setAttribute('aria-label', 'Fidgit');
+        document.body.appendChild(this.element);
+    }
+
+    // Add a button, returns the button element
+    addButton({ id, icon, label, onClick }) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.id = id;
+        button.className = 'toolbar-button';
+        button.textContent = icon;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        this.element.appendChild(button);
+        return button;
+    }
+}
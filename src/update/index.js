@@ -0,0 +1,6 @@
+/**
+ * Fidgit updates
+ */
+
+export { UpdateManager } from './update-manager.js';
+export { unseenReleases, validateReleaseNotes } from './release-notes.js';
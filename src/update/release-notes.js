@@ -0,0 +1,28 @@
+/**
+ * Fidgit release notes
+ * Notes ship with each service worker, built in from release-notes.json as a
+ * list of releases, newest first:
+ * [{ version: '1.1.0', date: 'YYYY-MM-DD', notes: ['What changed', ...] }]
+ */
+
+// Releases in a list that the running version doesn't know about yet, newest
+// first. Without the running version's list only the newest release is new
+// for sure.
+export function unseenReleases(next, current = null) {
+    if (!current) return next.slice(0, 1);
+    const seen = new Set(current.map(release => release.version));
+    return next.filter(release => !seen.has(release.version));
+}
+
+// Problems with a release notes list, empty when it's fine
+export function validateReleaseNotes(releases) {
+    if (!Array.isArray(releases)) return ['Release notes must be a list of releases'];
+    return releases.flatMap((release, index) => {
+        const where = `Release ${index + 1}`;
+        if (typeof release?.version !== 'string') return [`${where} needs a version`];
+        if (!Array.isArray(release.notes) || !release.notes.every(note => typeof note === 'string')) {
+            return [`${where} needs a list of notes`];
+        }
+        return [];
+    });
+}
@@ -0,0 +1,272 @@
+/**
+ * Fidgit update manager
+ * Registers the service worker and brings in new versions without getting in
+ * the way. A new version waits while the cube is in use: a banner offers it
+ * with its release notes, and it is applied when asked for, or on its own
+ * once the app is in the background or has sat idle. Zone state - momentum
+ * included - and the face in view are carried across the reload.
+ *
+ * Activating a worker affects every open tab, but only the tab that applied
+ * the update reloads. Other tabs are told and reload when the user chooses.
+ *
+ * Update checks are polled only while the page is visible.
+ */
+
+import { unseenReleases } from './release-notes.js';
+
+// Milliseconds between update checks while visible
+const CHECK_INTERVAL = 60000;
+
+// Milliseconds without input before a waiting update is applied, and how
+// often that is checked
+const IDLE_TIME = 60000;
+const IDLE_CHECK = 10000;
+
+// Milliseconds to wait for a worker to answer a message
+const MESSAGE_TIMEOUT = 2000;
+
+// Session storage key of the state carried across an update's reload
+const SNAPSHOT_KEY = 'fidgit-update-snapshot';
+
+// Ask a worker something over a message channel, resolving with its answer
+// or null when it doesn't answer (e.g. a worker from before it could)
+function ask(worker, message) {
+    if (!worker) return Promise.resolve(null);
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => resolve(null), MESSAGE_TIMEOUT);
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timer);
+            resolve(event.data);
+        };
+        worker.postMessage(message, [channel.port2]);
+    });
+}
+
+export class UpdateManager {
+    constructor(app, { container = navigator.serviceWorker, storage = globalThis.sessionStorage } = {}) {
+        this.app = app;
+        this.container = container;
+        this.storage = storage;
+        this.registration = null;
+        this.waiting = null; // Installed worker waiting to take over
+        this.requested = false; // This tab asked the waiting worker to take over
+        this.lastActivity = Date.now();
+        this.checkTimer = null;
+        this.idleTimer = null;
+        this.banner = null;
+    }
+
+    // Register the worker and start watching for updates
+    start() {
+        if (!this.container) return;
+
+        // The first worker to take control of a page isn't an update
+        const hadController = Boolean(this.container.controller);
+        this.container.addEventListener('controllerchange', () => {
+            if (hadController) this.controllerChanged();
+        });
+
+        this.container.register('service-worker.js')
+            .then((registration) => {
+                this.registration = registration;
+                this.watch(registration);
+                this.schedule();
+            })
+            .catch((error) => {
+                console.debug('Service worker not registered:', error.message);
+            });
+
+        document.addEventListener('visibilitychange', () => this.visibilityChanged());
+        this.app.input.observe(() => this.activity());
+        document.addEventListener('keydown', () => this.activity(), true);
+    }
+
+    // Notice workers that finish installing while an older one is in control
+    watch(registration) {
+        if (registration.waiting && this.container.controller) {
+            this.found(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && this.container.controller) {
+                    this.found(worker);
+                }
+            });
+        });
+    }
+
+    // Poll for updates while visible, and not at all while hidden
+    schedule() {
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+        if (!this.registration || document.visibilityState !== 'visible') return;
+        this.checkTimer = setInterval(() => this.check(), CHECK_INTERVAL);
+    }
+
+    check() {
+        this.registration?.update().catch(() => {});
+    }
+
+    visibilityChanged() {
+        if (document.visibilityState === 'visible') {
+            // Catch up on what was missed while hidden
+            this.check();
+        } else if (this.waiting && !this.busy) {
+            this.apply();
+        }
+        this.schedule();
+    }
+
+    // Someone touched or typed
+    activity() {
+        this.lastActivity = Date.now();
+    }
+
+    // Whether the user is in the middle of something an update shouldn't cut into
+    get busy() {
+        const { app } = this;
+        return app.input.activeCount > 0 || app.recorder.active || app.player.playing || app.pacer.active;
+    }
+
+    // A new version is ready to take over
+    async found(worker) {
+        if (this.waiting === worker) return;
+        this.waiting = worker;
+
+        const [next, current] = await Promise.all([
+            ask(worker, { type: 'GET_VERSION' }),
+            ask(this.container.controller, { type: 'GET_VERSION' })
+        ]);
+        this.showBanner({
+            title: 'A new version of Fidgit is ready',
+            releases: unseenReleases(next?.notes || [], current?.notes),
+            hint: 'Otherwise it updates next time Fidgit is in the background or left alone, keeping your cube as it is',
+            actions: [
+                ['Update now', () => this.apply()],
+                ['Later', () => this.hideBanner()]
+            ]
+        });
+
+        clearInterval(this.idleTimer);
+        this.idleTimer = setInterval(() => {
+            if (document.visibilityState === 'visible' && !this.busy && Date.now() - this.lastActivity >= IDLE_TIME) {
+                this.apply();
+            }
+        }, IDLE_CHECK);
+    }
+
+    // Let the waiting worker take over, reloading this tab once it has
+    apply() {
+        if (!this.waiting || this.requested) return;
+        clearInterval(this.idleTimer);
+        this.requested = true;
+        this.preserve();
+        this.waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    controllerChanged() {
+        this.waiting = null;
+        clearInterval(this.idleTimer);
+        if (this.requested) {
+            this.reload();
+            return;
+        }
+        // Another tab applied the update - this one still runs the old version
+        this.showBanner({
+            title: 'Fidgit was updated in another tab',
+            releases: [],
+            actions: [
+                ['Reload', () => {
+                    this.preserve();
+                    this.reload();
+                }],
+                ['Later', () => this.hideBanner()]
+            ]
+        });
+    }
+
+    reload() {
+        window.location.reload();
+    }
+
+    // Keep everything needed to carry on after the reload: a recording in
+    // progress is saved, zone state is saved and a full snapshot kept for
+    // this session
+    preserve() {
+        const { app } = this;
+        app.player.stop();
+        if (app.recorder.active) {
+            app.stopRecording();
+        }
+        app.saveState();
+        try {
+            this.storage?.setItem(SNAPSHOT_KEY, JSON.stringify(app.snapshot()));
+        } catch (error) {
+            console.debug('Update snapshot not kept:', error.message);
+        }
+    }
+
+    // Put the cube back as it was before an update's reload, if it just had one
+    restore() {
+        try {
+            const snapshot = JSON.parse(this.storage?.getItem(SNAPSHOT_KEY));
+            this.storage?.removeItem(SNAPSHOT_KEY);
+            if (snapshot?.zones) {
+                this.app.applySnapshot(snapshot);
+            }
+        } catch (error) {
+            console.debug('Update snapshot not restored:', error.message);
+        }
+    }
+
+    showBanner({ title, releases, hint = '', actions }) {
+        this.hideBanner();
+        this.banner = document.createElement('div');
+        this.banner.className = 'update-banner';
+        this.banner.setAttribute('role', 'status');
+
+        const heading = document.createElement('p');
+        heading.className = 'update-title';
+        heading.textContent = title;
+        this.banner.appendChild(heading);
+
+        const notes = releases.flatMap(release => release.notes);
+        if (notes.length) {
+            const list = document.createElement('ul');
+            list.className = 'update-notes';
+            notes.forEach(note => {
+                const item = document.createElement('li');
+                item.textContent = note;
+                list.appendChild(item);
+            });
+            this.banner.appendChild(list);
+        }
+
+        if (hint) {
+            const text = document.createElement('p');
+            text.className = 'update-hint';
+            text.textContent = hint;
+            this.banner.appendChild(text);
+        }
+
+        const buttons = document.createElement('div');
+        buttons.className = 'update-actions';
+        actions.forEach(([label, onClick]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            buttons.appendChild(button);
+        });
+        this.banner.appendChild(buttons);
+        document.body.appendChild(this.banner);
+    }
+
+    hideBanner() {
+        this.banner?.remove();
+        this.banner = null;
+    }
+}
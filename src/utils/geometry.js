@@ -0,0 +1,28 @@
+/**
+ * Geometry helpers shared by rotating and steering zones
+ */
+
+export const RAD_TO_DEG = 180 / Math.PI;
+
+// Offset in pixels of a point from the centre of an element
+export function offsetFromCenter(element, point) {
+    const rect = element.getBoundingClientRect();
+    return {
+        x: point.x - (rect.left + rect.width / 2),
+        y: point.y - (rect.top + rect.height / 2)
+    };
+}
+
+// Angle in radians of a point around the centre of an element
+export function angleAround(element, point) {
+    const { x, y } = offsetFromCenter(element, point);
+    return Math.atan2(y, x);
+}
+
+// Shortest signed difference between two angles in radians (handles wraparound)
+export function angleDelta(current, previous) {
+    let delta = current - previous;
+    if (delta > Math.PI) delta -= 2 * Math.PI;
+    if (delta < -Math.PI) delta += 2 * Math.PI;
+    return delta;
+}
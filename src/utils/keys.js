@@ -0,0 +1,29 @@
+/**
+ * Keyboard helpers shared by zones
+ */
+
+const ARROW_STEPS = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 };
+const PAGE_STEPS = { PageUp: 1, PageDown: -1 };
+
+// +1 for Right/Up, -1 for Left/Down, 0 for any other key
+export function arrowStep(key) {
+    return ARROW_STEPS[key] || 0;
+}
+
+// +1 for Page Up, -1 for Page Down, 0 for any other key
+export function pageStep(key) {
+    return PAGE_STEPS[key] || 0;
+}
+
+// Space and Enter press buttons
+export function isActivationKey(key) {
+    return key === ' ' || key === 'Enter';
+}
+
+// Screen direction of an arrow key as [x, y], y pointing down
+export const ARROW_VECTORS = {
+    ArrowRight: [1, 0],
+    ArrowLeft: [-1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
+};
@@ -0,0 +1,94 @@
+/**
+ * Quaternion helpers for 3D orientation
+ * Quaternions are [w, x, y, z] arrays and vectors are [x, y, z] arrays, in
+ * CSS coordinates: x to the right, y down and z towards the viewer.
+ */
+
+export function identity() {
+    return [1, 0, 0, 0];
+}
+
+export function multiply(a, b) {
+    const [aw, ax, ay, az] = a;
+    const [bw, bx, by, bz] = b;
+    return [
+        aw * bw - ax * bx - ay * by - az * bz,
+        aw * bx + ax * bw + ay * bz - az * by,
+        aw * by - ax * bz + ay * bw + az * bx,
+        aw * bz + ax * by - ay * bx + az * bw
+    ];
+}
+
+export function normalize(q) {
+    const length = Math.hypot(...q);
+    return length ? q.map(component => component / length) : identity();
+}
+
+// Rotation by `angle` radians around a unit `axis`
+export function fromAxisAngle(axis, angle) {
+    const s = Math.sin(angle / 2);
+    return [Math.cos(angle / 2), axis[0] * s, axis[1] * s, axis[2] * s];
+}
+
+// Shortest rotation taking unit vector `from` onto unit vector `to`
+export function fromUnitVectors(from, to) {
+    const d = dot(from, to);
+    if (d < -0.999999) {
+        // Opposite vectors - rotate half a turn around any perpendicular axis
+        const axis = Math.abs(from[0]) < 0.9 ? cross([1, 0, 0], from) : cross([0, 1, 0], from);
+        return fromAxisAngle(normalizeVector(axis), Math.PI);
+    }
+    const [x, y, z] = cross(from, to);
+    return normalize([1 + d, x, y, z]);
+}
+
+// Rotate a vector by a unit quaternion
+export function rotateVector(q, v) {
+    const [w, x, y, z] = q;
+    // v + 2w(q x v) + 2q x (q x v)
+    const tx = 2 * (y * v[2] - z * v[1]);
+    const ty = 2 * (z * v[0] - x * v[2]);
+    const tz = 2 * (x * v[1] - y * v[0]);
+    return [
+        v[0] + w * tx + (y * tz - z * ty),
+        v[1] + w * ty + (z * tx - x * tz),
+        v[2] + w * tz + (x * ty - y * tx)
+    ];
+}
+
+// Axis and angle (radians) of a unit quaternion
+export function toAxisAngle(q) {
+    const [w, x, y, z] = normalize(q);
+    const angle = 2 * Math.acos(Math.max(-1, Math.min(1, w)));
+    const s = Math.sqrt(1 - w * w);
+    return s < 1e-6 ? { axis: [1, 0, 0], angle: 0 } : { axis: [x / s, y / s, z / s], angle };
+}
+
+// CSS matrix3d() value for a unit quaternion
+export function toMatrix3d(q) {
+    const [w, x, y, z] = q;
+    const m = [
+        1 - 2 * (y * y + z * z), 2 * (x * y + w * z), 2 * (x * z - w * y), 0,
+        2 * (x * y - w * z), 1 - 2 * (x * x + z * z), 2 * (y * z + w * x), 0,
+        2 * (x * z + w * y), 2 * (y * z - w * x), 1 - 2 * (x * x + y * y), 0,
+        0, 0, 0, 1
+    ];
+    return `matrix3d(${m.map(value => +value.toFixed(6)).join(',')})`;
+}
+
+export function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+export function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+export function normalizeVector(v) {
+    const length = Math.hypot(...v);
+    return length ? v.map(component => component / length) : [0, 0, 1];
+}
@@ -0,0 +1,104 @@
+/**
+ * Bubble zone - a sheet of bubble wrap
+ * Every bubble pops on its own, under as many fingers as fit on the sheet. A
+ * quick tap pops a bubble as the finger lifts; holding a bubble squeezes it
+ * with a tick before it gives way.
+ */
+
+import { Zone } from './zone.js';
+import { BubbleModel, COUNT } from '../core/bubble.js';
+import { isActivationKey } from '../utils/keys.js';
+
+export class BubbleZone extends Zone {
+    static type = 'bubble';
+    static feedback = 'pop';
+    static template = `
+        <div class="zone-texture bubble-texture"></div>
+        <div class="bubble-sheet">
+            ${'<div class="bubble"></div>'.repeat(COUNT)}
+        </div>
+        <button type="button" class="bubble-refill" hidden>New sheet</button>
+    `;
+    static haptics = {
+        squeeze: 'squeeze',
+        pop: 'pop',
+        refill: 'heavy'
+    };
+    static stats = {
+        pop: 'bubbles popped',
+        refill: 'new sheets'
+    };
+    static role = 'button';
+    static label = 'Bubble wrap';
+    static model = BubbleModel;
+
+    setup() {
+        this.sheet = this.element.querySelector('.bubble-sheet');
+        this.bubbles = [...this.sheet.querySelectorAll('.bubble')];
+        this.refillButton = this.element.querySelector('.bubble-refill');
+
+        this.bindPointer(this.sheet, {
+            start: (pointer) => {
+                this.input({ type: 'press', id: pointer.id, index: this.bubbleAt(pointer) });
+            },
+
+            // Sliding off a bubble lets it go unpopped and presses the next one
+            move: (pointer) => {
+                this.input({ type: 'move', id: pointer.id, index: this.bubbleAt(pointer) });
+            },
+
+            // A cancelled touch lets its bubble go unpopped
+            end: (pointer) => {
+                this.input({ type: 'release', id: pointer.id, cancel: pointer.cancelled });
+            }
+        });
+
+        this.listen(this.refillButton, 'click', () => this.input({ type: 'refill' }));
+    }
+
+    // Index of the bubble under a pointer, or -1
+    bubbleAt(pointer) {
+        const element = document.elementFromPoint(pointer.x, pointer.y)?.closest('.bubble');
+        return this.bubbles.indexOf(element);
+    }
+
+    aria() {
+        return { 'aria-description': `${this.model.poppedCount} of ${COUNT} popped` };
+    }
+
+    valueText() {
+        return this.aria()['aria-description'];
+    }
+
+    // Space/Enter press the next bubble like a finger: a tap pops it, holding
+    // squeezes it first. On a fully popped sheet they fetch a new one.
+    keydown(event) {
+        if (!isActivationKey(event.key)) return false;
+        if (event.repeat) return true;
+
+        if (this.model.allPopped) {
+            this.input({ type: 'refill' });
+        } else {
+            this.input({ type: 'press', id: 'keyboard', index: this.model.nextBubble });
+        }
+        return true;
+    }
+
+    keyup(event) {
+        if (!isActivationKey(event.key) || !this.model.presses.has('keyboard')) return false;
+        return this.input({ type: 'release', id: 'keyboard' });
+    }
+
+    draw() {
+        this.bubbles.forEach((bubble, index) => {
+            bubble.classList.toggle('popped', this.state.popped[index]);
+            bubble.classList.toggle('pressed', this.model.isPressed(index));
+        });
+        this.refillButton.hidden = !this.model.allPopped;
+    }
+
+    destroy() {
+        this.model.cancel();
+        super.destroy();
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Click zone - satisfying click button
+ */
+
+import { Zone } from './zone.js';
+import { ClickModel } from '../core/click.js';
+import { isActivationKey } from '../utils/keys.js';
+
+export class ClickZone extends Zone {
+    static type = 'click';
+    static feedback = 'click';
+    static template = `
+        <div class="zone-texture click-texture"></div>
+        <div class="click-surface"></div>
+    `;
+    static haptics = {
+        press: 'click',
+        release: 'tap'
+    };
+    static stats = {
+        press: 'clicks'
+    };
+    static role = 'button';
+    static label = 'Click';
+    static model = ClickModel;
+
+    static transient = ['pressed'];
+
+    setup() {
+        this.surface = this.element.querySelector('.click-surface');
+
+        this.bindPointer(this.surface, {
+            start: () => {
+                if (this.state.pressed) return false;
+                this.input({ type: 'press' });
+            },
+
+            end: () => this.input({ type: 'release' })
+        });
+    }
+
+    // Space/Enter press the button while held, like a finger
+    keydown(event) {
+        if (!isActivationKey(event.key)) return false;
+        if (!event.repeat) this.input({ type: 'press' });
+        return true;
+    }
+
+    keyup(event) {
+        if (!isActivationKey(event.key) || !this.state.pressed) return false;
+        this.input({ type: 'release' });
+        return true;
+    }
+
+    draw() {
+        this.surface.classList.toggle('pressed', this.state.pressed);
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * Dial zone - rotatable dial with notches
+ */
+
+import { Zone } from './zone.js';
+import { angleAround } from '../utils/geometry.js';
+import { DialModel, NOTCH_DEGREES } from '../core/dial.js';
+import { arrowStep, pageStep } from '../utils/keys.js';
+
+export class DialZone extends Zone {
+    static type = 'dial';
+    static feedback = 'dial';
+    static template = `
+        <div class="zone-texture dial-texture"></div>
+        <div class="dial-element">
+            <div class="dial-notch"></div>
+        </div>
+    `;
+    static haptics = {
+        start: 'tap',
+        notch: 'dialNotch'
+    };
+    static stats = {
+        degrees: 'degrees turned'
+    };
+    static role = 'slider';
+    static label = 'Dial';
+    static model = DialModel;
+
+    setup() {
+        const dial = this.element.querySelector('.dial-element');
+        this.dial = dial;
+
+        this.bindPointer(dial, {
+            start: (pointer) => {
+                // One finger drives the dial at a time
+                if (this.model.held) return false;
+
+                this.input({ type: 'press', time: pointer.time / 1000, angle: angleAround(dial, pointer) });
+                this.element.classList.add('active');
+            },
+
+            move: (pointer) => {
+                this.input({ type: 'move', time: pointer.time / 1000, angle: angleAround(dial, pointer) });
+            },
+
+            end: (pointer) => {
+                this.input({ type: 'release', time: pointer.time / 1000, coast: this.momentum });
+                this.element.classList.remove('active');
+            }
+        });
+    }
+
+    aria() {
+        const degrees = this.model.degrees;
+        return {
+            'aria-valuemin': 0,
+            'aria-valuemax': 360 - NOTCH_DEGREES,
+            'aria-valuenow': degrees,
+            'aria-valuetext': `${degrees} degrees`
+        };
+    }
+
+    // Arrows click one notch, Page Up/Down flick the dial through several
+    // (jumping straight there in reduced motion)
+    keydown(event) {
+        const step = arrowStep(event.key);
+        if (step) {
+            return this.input({ type: 'nudge', amount: step });
+        }
+
+        const flick = pageStep(event.key);
+        if (flick) {
+            return this.input({ type: 'flick', direction: flick, coast: this.momentum });
+        }
+        return false;
+    }
+
+    draw() {
+        this.dial.style.transform = `rotate(${this.state.rotation}deg)`;
+    }
+}
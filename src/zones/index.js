@@ -0,0 +1,21 @@
+/**
+ * Fidgit zones
+ * Registers the built-in zone types and re-exports the plugin API so custom
+ * zones can be added with a single import.
+ */
+
+import { registerZone } from './registry.js';
+import { SpinnerZone } from './spinner.js';
+import { SliderZone } from './slider.js';
+import { ClickZone } from './click.js';
+import { DialZone } from './dial.js';
+import { ToggleZone } from './toggle.js';
+import { RollZone } from './roll.js';
+import { BubbleZone } from './bubble.js';
+import { JoystickZone } from './joystick.js';
+import { KeysZone } from './keys.js';
+
+[SpinnerZone, SliderZone, ClickZone, DialZone, ToggleZone, RollZone, BubbleZone, JoystickZone, KeysZone].forEach(registerZone);
+
+export { Zone } from './zone.js';
+export { registerZone, getZoneType, getZoneTypes, onZoneRegistered } from './registry.js';
@@ -0,0 +1,129 @@
+/**
+ * Joystick zone - spring-return thumbstick in a round gate
+ * The stick ticks through eight directional detents, bumps against the gate
+ * and clunks back to centre when let go.
+ */
+
+import { Zone } from './zone.js';
+import { offsetFromCenter } from '../utils/geometry.js';
+import { JoystickModel } from '../core/joystick.js';
+import { ARROW_VECTORS } from '../utils/keys.js';
+
+export class JoystickZone extends Zone {
+    static type = 'joystick';
+    static feedback = 'joystick';
+    static template = `
+        <div class="zone-texture joystick-texture"></div>
+        <div class="joystick-gate">
+            <div class="joystick-stick"></div>
+        </div>
+    `;
+    static haptics = {
+        start: 'tap',
+        direction: 'tick',
+        edge: 'bump',
+        center: 'clunk'
+    };
+    static stats = {
+        direction: 'detents',
+        edge: 'gate bumps'
+    };
+    static role = 'application';
+    static label = 'Joystick';
+    static model = JoystickModel;
+
+    // The stick always starts centred
+    static transient = ['x', 'y'];
+
+    setup() {
+        this.gate = this.element.querySelector('.joystick-gate');
+        this.stick = this.element.querySelector('.joystick-stick');
+        this.pointerId = null;
+        this.arrows = new Set(); // Arrow keys held down
+        this.measure();
+
+        this.bindPointer(this.gate, {
+            start: (pointer) => {
+                // One thumb on the stick at a time
+                if (this.pointerId !== null) return false;
+
+                this.pointerId = pointer.id;
+                this.grab(pointer.time / 1000);
+                this.moveTo(pointer);
+            },
+
+            move: (pointer) => this.moveTo(pointer),
+
+            end: (pointer) => {
+                this.pointerId = null;
+                this.letGo(pointer.time / 1000);
+            }
+        });
+    }
+
+    grab(time) {
+        this.input({ type: 'press', time });
+        this.element.classList.add('active');
+    }
+
+    letGo(time) {
+        this.input({ type: 'release', time });
+        this.element.classList.remove('active');
+    }
+
+    // Pixels the stick can move from centre
+    measure() {
+        this.travel = Math.max(1, (this.gate.clientWidth - this.stick.offsetWidth) / 2);
+    }
+
+    // Drag the stick towards a pointer, held inside the gate
+    moveTo(pointer) {
+        const offset = offsetFromCenter(this.gate, pointer);
+        this.input({ type: 'move', time: pointer.time / 1000, x: offset.x / this.travel, y: offset.y / this.travel });
+    }
+
+    aria() {
+        return { 'aria-roledescription': 'joystick' };
+    }
+
+    // Arrow keys hold the stick against the gate, two at once for diagonals;
+    // it springs back once they are all let go
+    keydown(event) {
+        if (!ARROW_VECTORS[event.key] || this.pointerId !== null) return false;
+        if (!this.arrows.size) this.grab(event.timeStamp / 1000);
+        this.arrows.add(event.key);
+        this.steerWithArrows(event.timeStamp / 1000);
+        return true;
+    }
+
+    keyup(event) {
+        if (!this.arrows.delete(event.key)) return false;
+        if (this.arrows.size) {
+            this.steerWithArrows(event.timeStamp / 1000);
+        } else {
+            this.letGo(event.timeStamp / 1000);
+        }
+        return true;
+    }
+
+    steerWithArrows(time) {
+        let x = 0;
+        let y = 0;
+        this.arrows.forEach(key => {
+            x += ARROW_VECTORS[key][0];
+            y += ARROW_VECTORS[key][1];
+        });
+        // Opposite arrows cancel out to the centre
+        const distance = Math.hypot(x, y) || 1;
+        this.input({ type: 'move', time, x: x / distance, y: y / distance });
+    }
+
+    draw() {
+        this.stick.style.transform = `translate(${this.state.x * this.travel}px, ${this.state.y * this.travel}px)`;
+    }
+
+    layout() {
+        this.measure();
+        super.layout();
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Keys zone - a cluster of mechanical keyboard switches
+ * Every key has its own switch profile, chosen by tapping the label under
+ * it. Keys are pressed with separate fingers, so rolling across them works.
+ */
+
+import { Zone } from './zone.js';
+import { KeysModel, KEY_COUNT } from '../core/keys.js';
+import { KEY_TRAVEL, SWITCH_PROFILE_IDS, switchProfiles } from '../core/switch-profiles.js';
+import { isActivationKey } from '../utils/keys.js';
+
+export class KeysZone extends Zone {
+    static type = 'keys';
+    static feedback = 'keys';
+    static template = `
+        <div class="zone-texture keys-texture"></div>
+        <div class="keys-cluster">
+            ${`<div class="key">
+                <div class="keycap"><span class="keycap-legend"></span></div>
+                <button type="button" class="key-profile"></button>
+            </div>`.repeat(KEY_COUNT)}
+        </div>
+    `;
+
+    // One event per profile and switch event, e.g. 'tactile-bump'
+    static haptics = {
+        profile: 'tap',
+        ...Object.fromEntries(Object.entries(switchProfiles).flatMap(([id, profile]) =>
+            Object.entries(profile.haptics).map(([event, pattern]) => [`${id}-${event}`, pattern])))
+    };
+
+    // Key presses of every profile add up
+    static stats = Object.fromEntries(SWITCH_PROFILE_IDS.map(id => [`${id}-press`, 'key presses']));
+
+    static model = KeysModel;
+
+    setup() {
+        this.keys = [...this.element.querySelectorAll('.key')].map((element, index) => ({
+            index,
+            keycap: element.querySelector('.keycap'),
+            legend: element.querySelector('.keycap-legend'),
+            label: element.querySelector('.key-profile')
+        }));
+
+        this.keys.forEach(key => {
+            this.bindPointer(key.keycap, {
+                start: (pointer) => {
+                    if (this.model.isHeld(key.index)) return false;
+                    this.input({ type: 'press', key: key.index, id: pointer.id });
+                },
+
+                end: (pointer) => {
+                    this.input({ type: 'release', key: key.index, id: pointer.id });
+                }
+            });
+
+            this.listen(key.label, 'click', () => this.input({ type: 'cycle', key: key.index }));
+        });
+
+        this.draw();
+    }
+
+    // Every keycap is a button of its own, pressed with Space/Enter for as
+    // long as the key is held, so several can be rolled across at once
+    setupAccess() {
+        this.keys.forEach(key => {
+            key.keycap.tabIndex = 0;
+            key.keycap.setAttribute('role', 'button');
+
+            this.listen(key.keycap, 'keydown', (event) => {
+                if (!isActivationKey(event.key)) return;
+                event.preventDefault();
+                if (event.repeat || this.model.isHeld(key.index)) return;
+                this.app.markUserActivation();
+                this.input({ type: 'press', key: key.index, id: 'keyboard' });
+            });
+            this.listen(key.keycap, 'keyup', (event) => {
+                if (!isActivationKey(event.key)) return;
+                event.preventDefault();
+                this.input({ type: 'release', key: key.index, id: 'keyboard' });
+            });
+        });
+        this.draw();
+    }
+
+    draw() {
+        this.keys.forEach(key => {
+            const { depth, actuated } = this.model.keys[key.index];
+            const profile = this.model.profileOf(key.index);
+            key.keycap.dataset.profile = this.state.profiles[key.index];
+            key.keycap.style.setProperty('--depth', depth / KEY_TRAVEL);
+            key.keycap.classList.toggle('actuated', actuated);
+            key.legend.textContent = profile.legend;
+            key.label.textContent = profile.label;
+            key.keycap.setAttribute('aria-label', `Key ${key.index + 1}, ${profile.label.toLowerCase()}`);
+            key.label.setAttribute('aria-label', `Key ${key.index + 1} switch: ${profile.label}`);
+        });
+    }
+
+    destroy() {
+        this.model.cancel();
+        super.destroy();
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * Fidgit zone registry
+ * Maps `data-zone` values to Zone subclasses so custom zones can be added
+ * without touching app.js.
+ */
+
+import { Zone } from './zone.js';
+
+const zoneTypes = new Map();
+const subscribers = new Set();
+
+// Register a zone type under its static `type` key
+export function registerZone(ZoneClass) {
+    if (!(ZoneClass && ZoneClass.prototype instanceof Zone)) {
+        throw new TypeError('registerZone() expects a subclass of Zone');
+    }
+
+    const { type } = ZoneClass;
+    if (!type) {
+        throw new TypeError(`${ZoneClass.name} must declare a static type`);
+    }
+
+    zoneTypes.set(type, ZoneClass);
+    subscribers.forEach(callback => callback(type, ZoneClass));
+    return ZoneClass;
+}
+
+// Look up the zone class registered for a data-zone value
+export function getZoneType(type) {
+    return zoneTypes.get(type) || null;
+}
+
+// List all registered zone type keys
+export function getZoneTypes() {
+    return [...zoneTypes.keys()];
+}
+
+// Be notified when a zone type is registered, returns an unsubscribe function
+export function onZoneRegistered(callback) {
+    subscribers.add(callback);
+    return () => subscribers.delete(callback);
+}
@@ -0,0 +1,148 @@
+/**
+ * Roll zone - trackball that rolls under the finger
+ * The ball's orientation is a quaternion updated by arcball-style dragging, so
+ * the point under the finger follows it without gimbal artifacts. Dimples and
+ * a seam are placed on the sphere with CSS 3D transforms (no WebGL needed).
+ * Like a thumb resting on a real trackball, features are felt at the spot
+ * where the finger pressed, pulsing as the surface streams past it. A flick
+ * keeps it spinning.
+ */
+
+import { Zone } from './zone.js';
+import { RollModel } from '../core/roll.js';
+import { impact } from '../haptics/patterns.js';
+import * as quat from '../utils/quaternion.js';
+import { ARROW_VECTORS } from '../utils/keys.js';
+
+export class RollZone extends Zone {
+    static type = 'roll';
+    static feedback = 'roll';
+    static template = `
+        <div class="zone-texture roll-texture"></div>
+        <div class="roll-ball">
+            <div class="roll-sphere"></div>
+            <div class="roll-shade"></div>
+        </div>
+    `;
+    static haptics = {
+        start: 'tap',
+        // A dimple passing under the finger
+        roll: 'roll',
+        // Crossing the seam - firmer than a dimple
+        seam: [impact('medium', 14)]
+    };
+    static stats = {
+        roll: 'dimples rolled',
+        seam: 'seams crossed'
+    };
+    // A ball has no value to report, so it is a custom widget rolled with the arrows
+    static role = 'application';
+    static label = 'Roll ball';
+    static model = RollModel;
+
+    // Older versions stored accumulated pixel deltas applied as
+    // rotateX(-y * 0.5deg) rotateY(x * 0.5deg)
+    static migrateState(state) {
+        if (state.orientation || state.x === undefined) return state;
+
+        const toRadians = Math.PI / 180;
+        const { x, y, ...rest } = state;
+        return {
+            ...rest,
+            orientation: quat.multiply(
+                quat.fromAxisAngle([1, 0, 0], -y * 0.5 * toRadians),
+                quat.fromAxisAngle([0, 1, 0], x * 0.5 * toRadians)
+            )
+        };
+    }
+
+    setup() {
+        const ball = this.element.querySelector('.roll-ball');
+        const sphere = this.element.querySelector('.roll-sphere');
+        this.ball = ball;
+        this.radius = 0;
+
+        // Surface features - each rotated from +z (facing the viewer) to its spot
+        const createFeature = (className, { direction }) => {
+            const element = document.createElement('div');
+            element.className = className;
+            sphere.appendChild(element);
+            return { element, base: quat.fromUnitVectors([0, 0, 1], direction) };
+        };
+        this.features = [
+            ...this.model.dimples.map(feature => createFeature('roll-dimple', feature)),
+            ...this.model.seam.map(feature => createFeature('roll-seam', feature))
+        ];
+
+        this.listen(window, 'resize', () => this.layout());
+
+        this.bindPointer(ball, {
+            start: (pointer) => {
+                // One finger drives the ball at a time
+                if (this.model.held) return false;
+
+                this.layout();
+                this.input({ type: 'press', time: pointer.time / 1000, contact: this.project(pointer) });
+                this.element.classList.add('active');
+            },
+
+            move: (pointer) => {
+                this.input({ type: 'move', time: pointer.time / 1000, contact: this.project(pointer) });
+            },
+
+            end: (pointer) => {
+                this.input({ type: 'release', time: pointer.time / 1000, coast: this.momentum });
+                this.element.classList.remove('active');
+            }
+        });
+    }
+
+    // Cache the ball's screen radius
+    layout() {
+        this.radius = this.ball.offsetWidth / 2;
+        this.draw();
+    }
+
+    // Map a screen point onto the ball's front hemisphere (arcball)
+    // Points outside the ball land on its rim, turning it around the view axis.
+    project(point) {
+        const rect = this.ball.getBoundingClientRect();
+        const radius = rect.width / 2 || 1;
+        const x = (point.x - rect.left - radius) / radius;
+        const y = (point.y - rect.top - rect.height / 2) / radius;
+        const lengthSquared = x * x + y * y;
+        return lengthSquared <= 1 ? [x, y, Math.sqrt(1 - lengthSquared)] : quat.normalizeVector([x, y, 0]);
+    }
+
+    aria() {
+        return { 'aria-roledescription': 'trackball' };
+    }
+
+    // Arrows set the ball rolling that way, felt at its centre (or roll it a
+    // step in reduced motion); Space stops it
+    keydown(event) {
+        const direction = ARROW_VECTORS[event.key];
+        if (direction) {
+            const [x, y] = direction;
+            return this.input({ type: 'roll', x, y, coast: this.momentum });
+        }
+        if (event.key === ' ') {
+            return this.input({ type: 'stop' });
+        }
+        return false;
+    }
+
+    // Place every surface feature on the sphere for the current orientation
+    draw() {
+        if (!this.radius) {
+            this.radius = this.ball.offsetWidth / 2;
+        }
+
+        const orientation = this.state.orientation;
+        const lift = `translateZ(${this.radius}px)`;
+        this.features.forEach(feature => {
+            const rotation = quat.toMatrix3d(quat.multiply(orientation, feature.base));
+            feature.element.style.transform = `translate(-50%, -50%) ${rotation} ${lift}`;
+        });
+    }
+}
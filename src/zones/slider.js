@@ -0,0 +1,101 @@
+/**
+ * Slider zone - slides horizontally with notches
+ */
+
+import { Zone } from './zone.js';
+import { SliderModel, MIN, MAX } from '../core/slider.js';
+import { arrowStep, pageStep } from '../utils/keys.js';
+
+export class SliderZone extends Zone {
+    static type = 'slider';
+    static feedback = 'slide';
+    static template = `
+        <div class="zone-texture slider-texture"></div>
+        <div class="slider-track">
+            <div class="slider-knob"></div>
+        </div>
+    `;
+    static haptics = {
+        start: 'tap',
+        notch: 'tick',
+        snap: 'click'
+    };
+    static stats = {
+        notch: 'notches passed',
+        snap: 'slides'
+    };
+    static role = 'slider';
+    static label = 'Slider';
+    static model = SliderModel;
+
+    setup() {
+        const track = this.element.querySelector('.slider-track');
+        const knob = this.element.querySelector('.slider-knob');
+        this.knob = knob;
+
+        // Pointer position in percent of the track
+        const positionOf = (pointer) => {
+            const rect = track.getBoundingClientRect();
+            return ((pointer.x - rect.left) / rect.width) * 100;
+        };
+
+        this.bindPointer(track, {
+            start: (pointer) => {
+                // One finger drives the knob at a time
+                if (this.model.held) return false;
+
+                this.element.classList.add('active');
+                // Pressing the track (rather than the knob) jumps the knob there
+                const position = knob.contains(pointer.target) ? undefined : positionOf(pointer);
+                this.input({ type: 'press', position });
+            },
+
+            move: (pointer) => this.input({ type: 'move', position: positionOf(pointer) }),
+
+            end: () => {
+                this.element.classList.remove('active');
+                this.input({ type: 'release' });
+            }
+        });
+    }
+
+    aria() {
+        const percent = this.model.percent;
+        return {
+            'aria-valuemin': 0,
+            'aria-valuemax': 100,
+            'aria-valuenow': percent,
+            'aria-valuetext': `${percent}%`
+        };
+    }
+
+    // Arrows move one notch, Page Up/Down four and Home/End to either end;
+    // the knob snaps when the key is let go, as when a finger lifts
+    keydown(event) {
+        const targets = {
+            Home: MIN,
+            End: MAX
+        };
+        const step = arrowStep(event.key) || pageStep(event.key) * 4;
+        if (step) {
+            this.input({ type: 'nudge', amount: step });
+        } else if (targets[event.key] !== undefined) {
+            this.input({ type: 'set', position: targets[event.key] });
+        } else {
+            return false;
+        }
+
+        this.keyMoved = true;
+        return true;
+    }
+
+    keyup() {
+        if (!this.keyMoved) return false;
+        this.keyMoved = false;
+        return this.input({ type: 'release' });
+    }
+
+    draw() {
+        this.knob.style.left = `${this.state.position}%`;
+    }
+}
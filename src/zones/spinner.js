@@ -0,0 +1,86 @@
+/**
+ * Spinner zone - rotates with momentum
+ */
+
+import { Zone } from './zone.js';
+import { angleAround } from '../utils/geometry.js';
+import { SpinnerModel } from '../core/spinner.js';
+import { arrowStep, pageStep, isActivationKey } from '../utils/keys.js';
+
+export class SpinnerZone extends Zone {
+    static type = 'spinner';
+    static feedback = 'spin';
+    static template = `
+        <div class="zone-texture spinner-texture"></div>
+        <div class="spinner-element"></div>
+    `;
+    static haptics = {
+        start: 'tap',
+        tick: 'spinTick'
+    };
+    static stats = {
+        revolutions: 'revolutions'
+    };
+    static role = 'slider';
+    static label = 'Spinner';
+    static model = SpinnerModel;
+
+    static transient = ['velocity'];
+
+    setup() {
+        const spinner = this.element.querySelector('.spinner-element');
+        this.spinner = spinner;
+
+        this.bindPointer(spinner, {
+            start: (pointer) => {
+                // One finger drives the spinner at a time
+                if (this.model.held) return false;
+
+                this.input({ type: 'press', time: pointer.time / 1000, angle: angleAround(spinner, pointer) });
+                this.element.classList.add('active');
+            },
+
+            move: (pointer) => {
+                this.input({ type: 'move', time: pointer.time / 1000, angle: angleAround(spinner, pointer) });
+            },
+
+            end: (pointer) => {
+                this.input({ type: 'release', time: pointer.time / 1000, coast: this.momentum });
+                this.element.classList.remove('active');
+            }
+        });
+    }
+
+    aria() {
+        const degrees = this.model.degrees;
+        return {
+            'aria-valuemin': 0,
+            'aria-valuemax': 359,
+            'aria-valuenow': degrees,
+            'aria-valuetext': `${degrees} degrees`
+        };
+    }
+
+    // Arrows turn one tick, Page Up/Down flick it and Space/Enter flick it
+    // forwards (a whole turn at once in reduced motion); Home stops it
+    keydown(event) {
+        const step = arrowStep(event.key);
+        if (step) {
+            return this.input({ type: 'nudge', amount: step });
+        }
+
+        const flick = pageStep(event.key) || (isActivationKey(event.key) ? 1 : 0);
+        if (flick) {
+            return this.input({ type: 'flick', direction: flick, coast: this.momentum });
+        }
+
+        if (event.key === 'Home') {
+            return this.input({ type: 'stop' });
+        }
+        return false;
+    }
+
+    draw() {
+        this.spinner.style.transform = `rotate(${this.state.rotation}deg)`;
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Toggle zone - on/off switch
+ */
+
+import { Zone } from './zone.js';
+import { ToggleModel } from '../core/toggle.js';
+import { isActivationKey } from '../utils/keys.js';
+
+export class ToggleZone extends Zone {
+    static type = 'toggle';
+    static feedback = 'toggle';
+    static template = `
+        <div class="zone-texture toggle-texture"></div>
+        <div class="toggle-switch">
+            <div class="toggle-lever"></div>
+        </div>
+    `;
+    static haptics = {
+        on: 'toggle',
+        off: 'toggle'
+    };
+    static stats = {
+        on: 'flips',
+        off: 'flips'
+    };
+    static role = 'switch';
+    static label = 'Toggle';
+    static model = ToggleModel;
+
+    setup() {
+        this.toggle = this.element.querySelector('.toggle-switch');
+
+        this.bindPointer(this.toggle, {
+            start: () => {
+                this.input({ type: 'press' });
+            }
+        });
+    }
+
+    aria() {
+        return { 'aria-checked': this.state.on };
+    }
+
+    valueText() {
+        return this.state.on ? 'on' : 'off';
+    }
+
+    keydown(event) {
+        if (!isActivationKey(event.key) || event.repeat) return false;
+        return this.input({ type: 'press' });
+    }
+
+    draw() {
+        this.toggle.classList.toggle('on', this.state.on);
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * Fidgit zone base class
+ * A zone type is a self-contained module declaring its markup, default state,
+ * input handlers and haptic patterns. Subclasses are registered with the zone
+ * registry under the value used in the element's `data-zone` attribute.
+ *
+ * Zones with a headless model (see src/core/) keep their state and behaviour
+ * there: the zone turns DOM input into the model's input events and redraws,
+ * plays feedback and tracks stats as the model reports them.
+ */
+
+export class Zone {
+    // Registry key, matches the zone element's data-zone attribute
+    static type = '';
+
+    // Value written to the zone element's data-feedback attribute
+    static feedback = '';
+
+    // Inner markup rendered into an empty zone element
+    static template = '';
+
+    // Haptic feedback per zone event: a pattern name from the haptics engine,
+    // a list of pattern steps or a raw vibration pattern array
+    static haptics = {};
+
+    // ARIA role of the zone's control, null leaves the zone out of keyboard
+    // and screen reader access
+    static role = null;
+
+    // Accessible name of the zone's control
+    static label = '';
+
+    // Labels for the stats screen per zone event or tracked metric; entries
+    // with the same label are added together
+    static stats = {};
+
+    // Model class holding the zone's state and interaction logic, or null
+    // for zones that keep it themselves
+    static model = null;
+
+    // Fresh state for a new zone instance
+    static defaultState() {
+        return this.model ? this.model.defaultState() : {};
+    }
+
+    // State keys that only make sense while running and are not persisted
+    static transient = [];
+
+    // Upgrade state saved by an older version of the zone - override when the
+    // state shape changes
+    static migrateState(state) {
+        return this.model ? this.model.migrateState(state) : state;
+    }
+
+    // The part of a state object that is saved across launches
+    static persistedState(state) {
+        const persisted = { ...state };
+        this.transient.forEach(key => delete persisted[key]);
+        return persisted;
+    }
+
+    // State keys that configure the zone rather than say how it was left,
+    // carried in profiles - the model's for zones that have one
+    static get config() {
+        return this.model ? this.model.config : [];
+    }
+
+    // Copy of the configuring part of a state object
+    static configOf(state) {
+        return Object.fromEntries(this.config
+            .filter(key => Object.hasOwn(state, key))
+            .map(key => [key, structuredClone(state[key])]));
+    }
+
+    constructor(app, element, state) {
+        this.app = app;
+        this.element = element;
+        this.state = state;
+        this.listeners = [];
+        this.unbinders = [];
+        this.touches = 0; // Pointers currently on the zone
+
+        const { model } = this.constructor;
+        this.model = model ? new model(state) : null;
+        if (this.model) {
+            this.model.on('change', () => this.draw());
+            this.model.on('feedback', (event, options) => this.feedback(event, options));
+            this.model.on('track', (metric, amount) => this.track(metric, amount));
+        }
+    }
+
+    get type() {
+        return this.constructor.type;
+    }
+
+    // Whether flicks keep things moving - not in reduced motion
+    get momentum() {
+        return !this.app.reducedMotion;
+    }
+
+    // Render the zone's markup unless the element already has content
+    render() {
+        const { feedback, template } = this.constructor;
+        if (feedback) {
+            this.element.dataset.feedback = feedback;
+        }
+        if (template && !this.element.children.length) {
+            this.element.innerHTML = template;
+        }
+    }
+
+    // Add an event listener that is removed again when the zone is destroyed
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    // Element that takes keyboard focus - override to use an inner element
+    get control() {
+        return this.element;
+    }
+
+    // Make the control focusable, labelled and operable from the keyboard
+    setupAccess() {
+        const { role, label } = this.constructor;
+        if (!role) return;
+
+        this.control.tabIndex = 0;
+        this.control.setAttribute('role', role);
+        this.control.setAttribute('aria-label', label);
+
+        // Keys pressed on something inside the zone (e.g. the layout editor's
+        // buttons) are that element's own
+        this.listen(this.control, 'keydown', (event) => {
+            if (event.target !== this.control) return;
+            if (event.altKey || event.ctrlKey || event.metaKey) return;
+            if (this.keydown(event)) {
+                event.preventDefault();
+                this.app.markUserActivation();
+                this.describe();
+            }
+        });
+        this.listen(this.control, 'keyup', (event) => {
+            if (event.target !== this.control) return;
+            if (this.keyup(event)) {
+                event.preventDefault();
+                this.describe();
+            }
+        });
+        this.describe();
+    }
+
+    // ARIA attributes for the current state, e.g. aria-valuenow - override
+    aria() {
+        return {};
+    }
+
+    // Apply the current ARIA attributes to the control
+    describe() {
+        if (!this.constructor.role) return;
+        Object.entries(this.aria()).forEach(([name, value]) => {
+            this.control.setAttribute(name, String(value));
+        });
+    }
+
+    // The current value in words, announced after touch input changes it
+    valueText() {
+        return this.aria()['aria-valuetext'] || '';
+    }
+
+    // Whether the zone's model takes an input event type
+    accepts(type) {
+        return Boolean(this.model?.constructor.inputs.includes(type));
+    }
+
+    // Pass a normalized input event to the zone's model, returns whether it
+    // was accepted. Accepted events are captured while a session is recorded.
+    input(event) {
+        const accepted = this.model.handle(event);
+        if (accepted) {
+            this.app.recorder.capture(this.id, event);
+        }
+        return accepted;
+    }
+
+    // Handle a key pressed or released on the focused control, returning
+    // true when it was used - override in subclasses
+    keydown(event) {
+        return false;
+    }
+
+    keyup(event) {
+        return false;
+    }
+
+    // Route pointers that go down on an element to this zone's handlers
+    // Each pointer is captured, so other zones keep receiving their own pointers.
+    bindPointer(element, { start, move, end }) {
+        const unbind = this.app.input.bind(element, {
+            start: (pointer, event) => {
+                this.app.markUserActivation();
+                const result = start ? start(pointer, event) : undefined;
+                if (result !== false) {
+                    if (this.touches === 0) this.spokenValue = this.valueText();
+                    this.touches++;
+                    this.app.stats.touchStart(this.type);
+                }
+                return result;
+            },
+            move,
+            end: (pointer, event) => {
+                this.touches--;
+                this.app.stats.touchEnd(this.type);
+                end?.(pointer, event);
+                if (this.touches === 0) this.announceChange();
+            }
+        });
+        this.unbinders.push(unbind);
+    }
+
+    // Tell screen reader users the new value once a touch changed it
+    announceChange() {
+        const text = this.valueText();
+        if (text && text !== this.spokenValue) {
+            this.app.announce(`${this.constructor.label}: ${text}`);
+        }
+    }
+
+    // Fire the haptic feedback declared for a zone event
+    // Pass { coasting: true } for feedback from momentum rather than a finger,
+    // which only plays where the platform allows it.
+    feedback(event, options) {
+        this.app.feedback(this, event, options);
+        this.describe();
+    }
+
+    // Add to a usage statistic of this zone type, e.g. revolutions turned
+    track(metric, amount) {
+        this.app.track(this, metric, amount);
+    }
+
+    // Attach input handlers - override in subclasses
+    setup() {}
+
+    // Apply the current state to the zone's elements - override in subclasses
+    draw() {}
+
+    // Called when the zone becomes visible or changes size - override to
+    // re-measure elements
+    layout() {
+        this.draw();
+    }
+
+    // Re-read state after it was changed from outside the zone (e.g. a reset)
+    refresh() {
+        this.model?.restore();
+        this.draw();
+        this.describe();
+    }
+
+    // Called once per animation frame with the seconds since the last frame,
+    // advancing the model's clock - override for zones that animate themselves
+    update(dt) {
+        this.model?.step(dt);
+    }
+
+    // Remove listeners and any zone-specific resources
+    destroy() {
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        this.unbinders.forEach(unbind => unbind());
+        this.unbinders = [];
+        // Unbinding drops pointers still down without ending them
+        for (; this.touches > 0; this.touches--) {
+            this.app.stats.touchEnd(this.type);
+        }
+        this.element.classList.remove('active');
+    }
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { precacheManifest, cacheVersion, injectManifest, revision } from '../../build/precache.js';
+
+const files = {
+    'index.html': '<html>',
+    'assets/main-abc.js': 'console.log(1)',
+    'assets/main-abc.js.map': '{}',
+    'icons/icon-72.png': 'png',
+    'service-worker.js': 'self',
+    '.DS_Store': ''
+};
+
+test('the manifest lists build files by url with a hash of their content', () => {
+    assert.deepEqual(precacheManifest(files), [
+        { url: '/assets/main-abc.js', revision: revision('console.log(1)') },
+        { url: '/icons/icon-72.png', revision: revision('png') },
+        { url: '/index.html', revision: revision('<html>') }
+    ]);
+});
+
+test('urls start with the base the app is served from', () => {
+    const urls = precacheManifest(files, '/fidgit/').map(entry => entry.url);
+    assert.ok(urls.every(url => url.startsWith('/fidgit/')));
+});
+
+test('only changed files get a new revision, and any change makes a new cache version', () => {
+    const before = precacheManifest(files);
+    const after = precacheManifest({ ...files, 'index.html': '<html lang="en">' });
+    const changed = after.filter((entry, index) => entry.revision !== before[index].revision);
+    assert.deepEqual(changed.map(entry => entry.url), ['/index.html']);
+    assert.notEqual(cacheVersion(after), cacheVersion(before));
+    assert.equal(cacheVersion(precacheManifest(files)), cacheVersion(before));
+});
+
+test('the worker is written with its manifest, version and notes defined first', () => {
+    const manifest = precacheManifest(files);
+    const notes = [{ version: '1.0.0', notes: ['First'] }];
+    const source = injectManifest('// worker', manifest, notes);
+    const self = {};
+    new Function('self', source)(self);
+    assert.deepEqual(self.__PRECACHE_MANIFEST, manifest);
+    assert.equal(self.__CACHE_VERSION, cacheVersion(manifest));
+    assert.deepEqual(self.__RELEASE_NOTES, notes);
+    assert.ok(source.endsWith('// worker'));
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BubbleModel, COUNT, SQUEEZE_TIME, POP_TIME } from '../../src/core/bubble.js';
+import { record } from '../helpers.js';
+
+test('a quick tap pops the bubble as the finger lifts', () => {
+    const sheet = new BubbleModel();
+    const log = record(sheet);
+
+    sheet.handle({ type: 'press', id: 1, index: 3 });
+    assert.equal(sheet.isPressed(3), true);
+    sheet.advance(SQUEEZE_TIME / 2);
+    sheet.handle({ type: 'release', id: 1 });
+
+    assert.equal(sheet.state.popped[3], true);
+    assert.deepEqual(log.feedback, ['pop']);
+});
+
+test('holding a bubble squeezes it and then pops it under the finger', () => {
+    const sheet = new BubbleModel();
+    const log = record(sheet);
+
+    sheet.handle({ type: 'press', id: 1, index: 0 });
+    sheet.advance(SQUEEZE_TIME + 0.02);
+    assert.deepEqual(log.feedback, ['squeeze']);
+
+    sheet.advance(POP_TIME);
+    assert.deepEqual(log.feedback, ['squeeze', 'pop']);
+
+    // Lifting afterwards pops nothing more
+    sheet.handle({ type: 'release', id: 1 });
+    assert.equal(sheet.poppedCount, 1);
+});
+
+test('sliding to another bubble lets the first go unpopped', () => {
+    const sheet = new BubbleModel();
+    sheet.handle({ type: 'press', id: 1, index: 0 });
+    sheet.handle({ type: 'move', id: 1, index: 1 });
+    sheet.handle({ type: 'release', id: 1 });
+    assert.deepEqual(sheet.state.popped.slice(0, 2), [false, true]);
+});
+
+test('a cancelled touch lets its bubble go unpopped', () => {
+    const sheet = new BubbleModel();
+    const log = record(sheet);
+
+    sheet.handle({ type: 'press', id: 1, index: 5 });
+    sheet.advance(SQUEEZE_TIME / 2);
+    sheet.handle({ type: 'release', id: 1, cancel: true });
+
+    assert.equal(sheet.isPressed(5), false);
+    assert.equal(sheet.poppedCount, 0);
+    assert.deepEqual(log.feedback, []);
+});
+
+test('popped bubbles and bubbles already held cannot be pressed', () => {
+    const sheet = new BubbleModel();
+    const log = record(sheet);
+
+    sheet.handle({ type: 'press', id: 1, index: 2 });
+    sheet.handle({ type: 'press', id: 2, index: 2 });
+    sheet.handle({ type: 'release', id: 2 });
+    sheet.handle({ type: 'release', id: 1 });
+    sheet.handle({ type: 'press', id: 3, index: 2 });
+    sheet.handle({ type: 'release', id: 3 });
+    sheet.handle({ type: 'press', id: 4, index: -1 });
+    sheet.handle({ type: 'release', id: 4 });
+
+    assert.deepEqual(log.feedback, ['pop']);
+});
+
+test('fingers pop bubbles independently', () => {
+    const sheet = new BubbleModel();
+    sheet.handle({ type: 'press', id: 1, index: 0 });
+    sheet.handle({ type: 'press', id: 2, index: 5 });
+    sheet.handle({ type: 'release', id: 2 });
+    assert.equal(sheet.isPressed(0), true);
+    assert.equal(sheet.state.popped[5], true);
+});
+
+test('a new sheet comes once every bubble is popped', () => {
+    const sheet = new BubbleModel();
+    const log = record(sheet);
+
+    for (let i = 0; i < COUNT; i++) {
+        assert.equal(sheet.nextBubble, i);
+        sheet.handle({ type: 'press', id: 'key', index: sheet.nextBubble });
+        sheet.handle({ type: 'release', id: 'key' });
+    }
+    assert.equal(sheet.allPopped, true);
+    assert.equal(sheet.nextBubble, -1);
+
+    sheet.handle({ type: 'refill' });
+    assert.equal(sheet.poppedCount, 0);
+    assert.equal(log.feedback.at(-1), 'refill');
+});
+
+test('sheets saved with another bubble count start over', () => {
+    assert.equal(BubbleModel.migrateState({ popped: [true, true] }).popped.length, COUNT);
+    const saved = { popped: new Array(COUNT).fill(true) };
+    assert.equal(BubbleModel.migrateState(saved), saved);
+});
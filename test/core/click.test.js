@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClickModel } from '../../src/core/click.js';
+import { record } from '../helpers.js';
+
+test('clicks down on press and back up on release', () => {
+    const click = new ClickModel();
+    const log = record(click);
+
+    click.handle({ type: 'press' });
+    assert.equal(click.state.pressed, true);
+    click.handle({ type: 'release' });
+    assert.equal(click.state.pressed, false);
+
+    assert.deepEqual(log.feedback, ['press', 'release']);
+    assert.equal(log.changes, 2);
+});
+
+test('a second press or a stray release does nothing', () => {
+    const click = new ClickModel();
+    const log = record(click);
+
+    click.handle({ type: 'release' });
+    click.handle({ type: 'press' });
+    click.handle({ type: 'press' });
+
+    assert.deepEqual(log.feedback, ['press']);
+});
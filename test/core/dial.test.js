@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DialModel, NOTCH_DEGREES, FLICK_NOTCHES } from '../../src/core/dial.js';
+import { record, count, turn } from '../helpers.js';
+
+test('a slow turn clicks once per notch crossed and settles in a notch', () => {
+    const dial = new DialModel();
+    const log = record(dial);
+
+    const time = turn(dial, 50, { seconds: 2 });
+    dial.handle({ type: 'release', time: time + 0.5 });
+    dial.advance(2);
+
+    // Notch boundaries sit halfway between notches: 7.5, 22.5 and 37.5
+    assert.equal(count(log.feedback, 'notch'), 3);
+    assert.equal(dial.state.rotation, 45);
+    assert.equal(dial.degrees, 45);
+});
+
+test('detents pull a released dial into the nearest notch', () => {
+    const dial = new DialModel();
+    const time = turn(dial, 20, { seconds: 2 });
+    dial.handle({ type: 'release', time: time + 0.5 });
+    dial.advance(2);
+    assert.equal(dial.state.rotation, 15);
+});
+
+test('settling into a notch does not click again', () => {
+    const dial = new DialModel();
+    const log = record(dial);
+    const time = turn(dial, 14, { seconds: 2 });
+    dial.handle({ type: 'release', time: time + 0.5 });
+    dial.advance(2);
+    assert.equal(count(log.feedback, 'notch'), 1);
+});
+
+test('degrees wrap around a full turn in both directions', () => {
+    assert.equal(new DialModel({ rotation: 360 }).degrees, 0);
+    assert.equal(new DialModel({ rotation: 375 }).degrees, 15);
+    assert.equal(new DialModel({ rotation: -15 }).degrees, 345);
+    assert.equal(new DialModel({ rotation: -360 }).degrees, 0);
+    assert.equal(new DialModel({ rotation: -720 - 30 }).degrees, 330);
+    // Just short of a full turn rounds to the 0° notch, not 360°
+    assert.equal(new DialModel({ rotation: 359 }).degrees, 0);
+});
+
+test('turning back past zero clicks through the seam like any other notch', () => {
+    const dial = new DialModel({ rotation: 15 });
+    const log = record(dial);
+
+    dial.handle({ type: 'nudge', amount: -1 });
+    dial.handle({ type: 'nudge', amount: -1 });
+
+    assert.equal(dial.state.rotation, -15);
+    assert.equal(dial.degrees, 345);
+    assert.equal(count(log.feedback, 'notch'), 2);
+});
+
+test('nudges go from the notch the dial is settling into', () => {
+    const dial = new DialModel({ rotation: 17 });
+    dial.handle({ type: 'nudge', amount: 1 });
+    assert.equal(dial.state.rotation, 30);
+});
+
+test('a flick without coasting jumps several notches', () => {
+    const dial = new DialModel();
+    dial.handle({ type: 'flick', direction: -1, coast: false });
+    assert.equal(dial.state.rotation, -FLICK_NOTCHES * NOTCH_DEGREES);
+    assert.equal(dial.advance(1), false);
+});
+
+test('a flick coasts through notches and comes to rest on one', () => {
+    const dial = new DialModel();
+    const log = record(dial);
+
+    dial.handle({ type: 'flick', direction: 1 });
+    dial.advance(3);
+
+    assert.ok(count(log.feedback, 'notch') > 1);
+    assert.ok(log.coasting.includes(true));
+    assert.equal(dial.state.rotation % NOTCH_DEGREES, 0);
+    assert.equal(dial.advance(1), false);
+});
+
+test('degrees turned are tracked', () => {
+    const dial = new DialModel();
+    const log = record(dial);
+    turn(dial, 30);
+    turn(dial, -30);
+    assert.ok(Math.abs(log.tracked.degrees - 60) < 1e-6);
+});
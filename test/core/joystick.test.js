@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JoystickModel } from '../../src/core/joystick.js';
+import { record, count } from '../helpers.js';
+
+test('pushing past the dead zone ticks into a direction and bumps the gate', () => {
+    const stick = new JoystickModel();
+    const log = record(stick);
+
+    stick.handle({ type: 'press', time: 0 });
+    stick.handle({ type: 'move', time: 0.1, x: 0.2, y: 0 });
+    stick.handle({ type: 'move', time: 0.2, x: 0.6, y: 0 });
+    stick.handle({ type: 'move', time: 0.3, x: 2, y: 0 });
+
+    assert.deepEqual(log.feedback, ['start', 'direction', 'edge']);
+    assert.equal(stick.direction, 0);
+    // Held inside the gate
+    assert.equal(stick.state.x, 1);
+});
+
+test('sweeping round the gate ticks through each of the eight directions', () => {
+    const stick = new JoystickModel();
+    const log = record(stick);
+
+    stick.handle({ type: 'press', time: 0 });
+    for (let i = 0; i <= 64; i++) {
+        const angle = i / 64 * 2 * Math.PI;
+        stick.handle({ type: 'move', time: i / 60, x: Math.cos(angle), y: Math.sin(angle) });
+    }
+
+    // Right first, then one tick per sector including back to right
+    assert.equal(count(log.feedback, 'direction'), 9);
+    assert.equal(count(log.feedback, 'edge'), 1);
+});
+
+test('the edge bump re-arms once the stick backs off', () => {
+    const stick = new JoystickModel();
+    const log = record(stick);
+
+    stick.handle({ type: 'press', time: 0 });
+    stick.handle({ type: 'move', time: 0.1, x: 0, y: 1 });
+    stick.handle({ type: 'move', time: 0.2, x: 0, y: 0.95 });
+    stick.handle({ type: 'move', time: 0.3, x: 0, y: 1 });
+    stick.handle({ type: 'move', time: 0.4, x: 0, y: 0.5 });
+    stick.handle({ type: 'move', time: 0.5, x: 0, y: 1 });
+
+    assert.equal(count(log.feedback, 'edge'), 2);
+});
+
+test('let go, it springs home and clunks once', () => {
+    const stick = new JoystickModel();
+    const log = record(stick);
+
+    stick.handle({ type: 'press', time: 0 });
+    stick.handle({ type: 'move', time: 0.1, x: -1, y: 0 });
+    stick.handle({ type: 'release', time: 1 });
+    stick.advance(1);
+
+    assert.equal(count(log.feedback, 'center'), 1);
+    assert.equal(stick.state.x, 0);
+    assert.equal(stick.state.y, 0);
+    assert.equal(stick.direction, null);
+});
+
+test('a stick barely moved returns without a clunk', () => {
+    const stick = new JoystickModel();
+    const log = record(stick);
+
+    stick.handle({ type: 'press', time: 0 });
+    stick.handle({ type: 'move', time: 0.1, x: 0.2, y: 0.1 });
+    stick.handle({ type: 'release', time: 1 });
+    stick.advance(1);
+
+    assert.deepEqual(log.feedback, ['start']);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeysModel, PRESS_SPEED } from '../../src/core/keys.js';
+import { KEY_TRAVEL, SWITCH_PROFILE_IDS } from '../../src/core/switch-profiles.js';
+import { record } from '../helpers.js';
+
+// Hold a key down for a while, then let it go and let it come back up
+function strike(keys, key, holdSeconds = 0.2) {
+    keys.handle({ type: 'press', key, id: 1 });
+    keys.advance(holdSeconds);
+    keys.handle({ type: 'release', key, id: 1 });
+    keys.advance(0.5);
+}
+
+test('a linear switch is felt only at actuation and on the way back', () => {
+    const keys = new KeysModel({ profiles: ['linear', 'linear', 'linear', 'linear'] });
+    const log = record(keys);
+    strike(keys, 0);
+    assert.deepEqual(log.feedback, ['linear-press', 'linear-release']);
+});
+
+test('tactile and clicky switches bump before they register', () => {
+    const keys = new KeysModel();
+    const log = record(keys);
+
+    strike(keys, 1);
+    strike(keys, 2);
+
+    assert.deepEqual(log.feedback, [
+        'tactile-bump', 'tactile-press', 'tactile-release',
+        'clicky-bump', 'clicky-press', 'clicky-release'
+    ]);
+});
+
+test('a key tapped too fast to register still travels to actuation', () => {
+    const keys = new KeysModel();
+    const log = record(keys);
+
+    keys.handle({ type: 'press', key: 0, id: 1 });
+    keys.advance(1 / 60);
+    keys.handle({ type: 'release', key: 0, id: 1 });
+    keys.advance(0.5);
+
+    assert.deepEqual(log.feedback, ['linear-press', 'linear-release']);
+    assert.equal(keys.keys[0].depth, 0);
+});
+
+test('a held key bottoms out and stays down', () => {
+    const keys = new KeysModel();
+    keys.handle({ type: 'press', key: 3, id: 1 });
+    keys.advance(KEY_TRAVEL / PRESS_SPEED + 0.1);
+
+    assert.equal(keys.keys[3].depth, KEY_TRAVEL);
+    assert.equal(keys.keys[3].actuated, true);
+    assert.equal(keys.step(1 / 60), false);
+});
+
+test('keys are held independently and only by whoever pressed them', () => {
+    const keys = new KeysModel();
+
+    keys.handle({ type: 'press', key: 0, id: 1 });
+    keys.handle({ type: 'press', key: 0, id: 2 });
+    keys.handle({ type: 'press', key: 1, id: 2 });
+    keys.handle({ type: 'release', key: 0, id: 2 });
+
+    assert.equal(keys.keys[0].holder, 1);
+    assert.equal(keys.isHeld(1), true);
+    assert.equal(keys.isHeld(2), false);
+});
+
+test('cycling steps through every profile and back', () => {
+    const keys = new KeysModel();
+    const log = record(keys);
+    const start = keys.state.profiles[0];
+
+    SWITCH_PROFILE_IDS.forEach(() => keys.handle({ type: 'cycle', key: 0 }));
+
+    assert.equal(keys.state.profiles[0], start);
+    assert.equal(log.feedback.length, SWITCH_PROFILE_IDS.length);
+});
+
+test('saved profiles are kept to the key count and known profiles', () => {
+    const { profiles } = KeysModel.migrateState({ profiles: ['clicky', 'gone'] });
+    assert.deepEqual(profiles, ['clicky', 'linear', 'linear', 'linear']);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Model, FRAME, zoneModels } from '../../src/core/index.js';
+
+class Counter extends Model {
+    static inputs = ['add'];
+    static inputFields = { add: { amount: 'number' } };
+
+    static defaultState() {
+        return { total: 0 };
+    }
+
+    add({ amount }) {
+        this.state.total += amount;
+        this.track('added', amount);
+        this.changed();
+        this.feedback('added', { coasting: false });
+    }
+
+    step(dt) {
+        this.steps = (this.steps || 0) + dt;
+        return true;
+    }
+}
+
+test('handle routes accepted input types to their methods', () => {
+    const counter = new Counter();
+    assert.equal(counter.handle({ type: 'add', amount: 2 }), true);
+    assert.equal(counter.handle({ type: 'step' }), false);
+    assert.equal(counter.handle({ type: 'constructor' }), false);
+    assert.equal(counter.state.total, 2);
+});
+
+test('inputs are checked for the fields they need', () => {
+    assert.deepEqual(Counter.validateInput({ type: 'add', amount: 2 }), []);
+    assert.deepEqual(Counter.validateInput({ type: 'add', amount: '2' }), ['"amount" must be a number']);
+    assert.deepEqual(Counter.validateInput({ type: 'add', amount: null }), ['"amount" must be a number']);
+    assert.deepEqual(Counter.validateInput({ type: 'step' }), ['the input must be one of add']);
+});
+
+test('listeners hear their own event type until unsubscribed', () => {
+    const counter = new Counter();
+    const heard = [];
+    const stop = counter.on('feedback', (event, options) => heard.push([event, options]));
+    counter.on('track', (metric, amount) => heard.push([metric, amount]));
+
+    counter.handle({ type: 'add', amount: 1 });
+    stop();
+    counter.handle({ type: 'add', amount: 1 });
+
+    assert.deepEqual(heard, [['added', 1], ['added', { coasting: false }], ['added', 1]]);
+});
+
+test('a model shares the state object it is given', () => {
+    const state = { total: 5 };
+    const counter = new Counter(state);
+    counter.handle({ type: 'add', amount: 1 });
+    assert.equal(state.total, 6);
+    assert.deepEqual(new Counter().state, { total: 0 });
+});
+
+test('advance steps in whole frames and covers the time exactly', () => {
+    const counter = new Counter();
+    assert.equal(counter.advance(0.5), true);
+    assert.ok(Math.abs(counter.steps - 0.5) < 1e-9);
+    assert.equal(new Counter().advance(0), false);
+    assert.ok(FRAME > 0);
+});
+
+test('every built-in zone type has a model with fresh default state', () => {
+    Object.values(zoneModels).forEach(ZoneModel => {
+        const a = ZoneModel.defaultState();
+        const b = ZoneModel.defaultState();
+        assert.deepEqual(a, b);
+        assert.notEqual(a, b);
+        assert.ok(ZoneModel.inputs.length > 0);
+        assert.ok(Object.keys(ZoneModel.inputFields).every(input => ZoneModel.inputs.includes(input)));
+        assert.ok(new ZoneModel().state);
+    });
+});
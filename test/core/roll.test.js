@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RollModel, DIMPLE_COUNT, spherePoints, seamPoints, SEAM_NORMAL } from '../../src/core/roll.js';
+import * as quat from '../../src/utils/quaternion.js';
+import { record, count } from '../helpers.js';
+
+// Point on the front of the ball at a screen offset from its centre (radius 1)
+function contact(x, y) {
+    return [x, y, Math.sqrt(1 - x * x - y * y)];
+}
+
+test('feature points lie on the unit sphere and the seam on its great circle', () => {
+    spherePoints(DIMPLE_COUNT).forEach(point => assert.ok(Math.abs(Math.hypot(...point) - 1) < 1e-9));
+    seamPoints(12).forEach(point => {
+        assert.ok(Math.abs(Math.hypot(...point) - 1) < 1e-9);
+        assert.ok(Math.abs(quat.dot(point, SEAM_NORMAL)) < 1e-9);
+    });
+});
+
+test('the point under the finger follows it', () => {
+    const ball = new RollModel();
+    const from = contact(0, 0);
+    const to = contact(0.5, 0);
+
+    ball.handle({ type: 'press', time: 0, contact: from });
+    ball.handle({ type: 'move', time: 0.1, contact: to });
+
+    const moved = quat.rotateVector(ball.state.orientation, from);
+    moved.forEach((component, axis) => assert.ok(Math.abs(component - to[axis]) < 1e-9));
+});
+
+test('rolling the ball pulses as dimples and the seam pass the finger', () => {
+    const ball = new RollModel();
+    const log = record(ball);
+
+    ball.handle({ type: 'press', time: 0, contact: contact(-0.6, 0) });
+    for (let i = 1; i <= 60; i++) {
+        ball.handle({ type: 'move', time: i / 60, contact: contact(-0.6 + 1.2 * i / 60, 0) });
+    }
+
+    assert.equal(log.feedback[0], 'start');
+    assert.ok(count(log.feedback, 'roll') + count(log.feedback, 'seam') > 0);
+});
+
+test('a flick keeps it rolling with coasting pulses, without one it stops', () => {
+    const ball = new RollModel();
+    ball.handle({ type: 'roll', x: 1, y: 0 });
+    const log = record(ball);
+
+    assert.ok(ball.advance(2));
+    assert.ok(log.coasting.length > 0);
+    assert.ok(log.coasting.every(Boolean));
+
+    ball.handle({ type: 'stop' });
+    assert.equal(ball.advance(1), false);
+});
+
+test('a roll without coasting turns one step', () => {
+    const ball = new RollModel();
+    ball.handle({ type: 'roll', x: 0, y: 1, coast: false });
+
+    assert.notDeepEqual(ball.state.orientation, quat.identity());
+    assert.equal(ball.advance(1), false);
+});
+
+test('tilting rolls it downhill until it is level, then it coasts to rest', () => {
+    const ball = new RollModel();
+    ball.handle({ type: 'tilt', x: 1, y: 0 });
+    assert.ok(ball.advance(0.5));
+
+    // The front of the ball has turned towards the low side
+    const front = quat.rotateVector(ball.state.orientation, [0, 0, 1]);
+    assert.ok(front[0] > 0.1);
+    assert.ok(Math.abs(front[1]) < 1e-9);
+
+    ball.handle({ type: 'tilt', x: 0, y: 0 });
+    ball.advance(10);
+    assert.equal(ball.advance(1), false);
+});
+
+test('leaning the other way slows it down and turns it round', () => {
+    const ball = new RollModel();
+    ball.handle({ type: 'roll', x: 1, y: 0 });
+    ball.handle({ type: 'tilt', x: -1, y: 0 });
+    ball.advance(0.2);
+    const turned = quat.rotateVector(ball.state.orientation, [0, 0, 1])[0];
+    ball.advance(0.6);
+
+    // It went right, then came back left past where it started
+    assert.ok(turned > 0);
+    assert.ok(quat.rotateVector(ball.state.orientation, [0, 0, 1])[0] < 0);
+});
+
+test('a held ball ignores the tilt', () => {
+    const ball = new RollModel();
+    ball.handle({ type: 'press', time: 0, contact: contact(0, 0) });
+    ball.handle({ type: 'tilt', x: 1, y: 1 });
+    assert.equal(ball.advance(1), false);
+    assert.deepEqual(ball.state.orientation, quat.identity());
+});
+
+test('orientation stays a unit quaternion', () => {
+    const ball = new RollModel();
+    ball.handle({ type: 'roll', x: 1, y: 1 });
+    ball.advance(5);
+    assert.ok(Math.abs(Math.hypot(...ball.state.orientation) - 1) < 1e-9);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SliderModel, MIN, MAX, NOTCH } from '../../src/core/slider.js';
+import { record, count } from '../helpers.js';
+
+test('starts at the left end of its travel', () => {
+    const slider = new SliderModel();
+    assert.equal(slider.state.position, MIN);
+    assert.equal(slider.percent, 0);
+});
+
+test('dragging ticks at each notch and snaps on release', () => {
+    const slider = new SliderModel();
+    const log = record(slider);
+
+    slider.handle({ type: 'press' });
+    for (let position = MIN; position <= 43; position++) {
+        slider.handle({ type: 'move', position });
+    }
+    slider.handle({ type: 'release' });
+
+    assert.equal(slider.state.position, 40);
+    assert.deepEqual(log.feedback, ['start', 'notch', 'notch', 'notch', 'snap']);
+    assert.equal(slider.held, false);
+});
+
+test('pressing the track jumps the knob there', () => {
+    const slider = new SliderModel();
+    const log = record(slider);
+    slider.handle({ type: 'press', position: 62 });
+    assert.equal(slider.state.position, 62);
+    assert.deepEqual(log.feedback, ['start', 'notch']);
+});
+
+test('the knob stays within its travel', () => {
+    const slider = new SliderModel();
+    slider.handle({ type: 'move', position: 140 });
+    assert.equal(slider.state.position, MAX);
+    slider.handle({ type: 'move', position: -20 });
+    assert.equal(slider.state.position, MIN);
+});
+
+test('snapping rounds to the nearest notch', () => {
+    const slider = new SliderModel({ position: 54.9 });
+    slider.handle({ type: 'release' });
+    assert.equal(slider.state.position, 50);
+
+    slider.handle({ type: 'set', position: 55 });
+    slider.handle({ type: 'release' });
+    assert.equal(slider.state.position, 60);
+});
+
+test('nudges move whole notches from the nearest one', () => {
+    const slider = new SliderModel({ position: 33 });
+    const log = record(slider);
+
+    slider.handle({ type: 'nudge', amount: 1 });
+    assert.equal(slider.state.position, 40);
+    slider.handle({ type: 'nudge', amount: -4 });
+    assert.equal(slider.state.position, MIN);
+    assert.equal(count(log.feedback, 'notch'), 2);
+});
+
+test('percent covers the travel from 0 to 100', () => {
+    assert.equal(new SliderModel({ position: MAX }).percent, 100);
+    assert.equal(new SliderModel({ position: MIN + 4 * NOTCH }).percent, 50);
+});
+
+test('a gentle tilt leaves the knob in its notch', () => {
+    const slider = new SliderModel({ position: 50 });
+    const log = record(slider);
+    slider.handle({ type: 'tilt', x: 0.2 });
+    slider.advance(2);
+    assert.ok(Math.abs(slider.state.position - 50) < 2);
+    assert.equal(count(log.feedback, 'notch'), 0);
+});
+
+test('a steep tilt rolls the knob over the notches to the end', () => {
+    const slider = new SliderModel({ position: 50 });
+    const log = record(slider);
+    slider.handle({ type: 'tilt', x: -1 });
+    slider.advance(3);
+
+    assert.equal(slider.state.position, MIN);
+    assert.equal(count(log.feedback, 'notch'), 4);
+    assert.ok(log.coasting.every(Boolean));
+});
+
+test('levelled off, the rolling knob settles in a notch', () => {
+    const slider = new SliderModel();
+    slider.handle({ type: 'tilt', x: 1 });
+    slider.advance(0.4);
+    assert.ok(slider.state.position > MIN + NOTCH);
+
+    slider.handle({ type: 'tilt', x: 0 });
+    slider.advance(5);
+    assert.equal(slider.state.position % NOTCH, 0);
+    assert.equal(slider.advance(1), false);
+});
+
+test('a held knob ignores the tilt, and dragging it stops it rolling', () => {
+    const slider = new SliderModel();
+    slider.handle({ type: 'tilt', x: 1 });
+    slider.advance(0.3);
+    slider.handle({ type: 'press', position: 20 });
+    slider.advance(1);
+    assert.equal(slider.state.position, 20);
+
+    slider.handle({ type: 'tilt', x: 0 });
+    slider.handle({ type: 'release' });
+    assert.equal(slider.advance(1), false);
+    assert.equal(slider.state.position, 20);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpinnerModel, TICK_DEGREES, FLICK_SPEED } from '../../src/core/spinner.js';
+import { record, count, turn } from '../helpers.js';
+
+test('dragging turns the spinner and ticks every TICK_DEGREES', () => {
+    const spinner = new SpinnerModel();
+    const log = record(spinner);
+
+    const time = turn(spinner, 95);
+    spinner.handle({ type: 'release', time: time + 0.5 });
+
+    assert.ok(Math.abs(spinner.state.rotation - 95) < 1e-6);
+    assert.deepEqual(log.feedback, ['start', 'tick', 'tick', 'tick']);
+    assert.ok(log.coasting.every(coasting => !coasting));
+});
+
+test('turning backwards ticks at the same boundaries', () => {
+    const spinner = new SpinnerModel();
+    const log = record(spinner);
+
+    turn(spinner, -65);
+
+    // Crosses 0, -30 and -60
+    assert.equal(count(log.feedback, 'tick'), 3);
+});
+
+test('dragging across the ±180° seam of atan2 does not jump', () => {
+    const spinner = new SpinnerModel();
+    turn(spinner, 60, { angle: Math.PI - 0.5 });
+    assert.ok(Math.abs(spinner.state.rotation - 60) < 1e-6);
+});
+
+test('a flick coasts with ticks marked as coasting, then stops', () => {
+    const spinner = new SpinnerModel();
+    const log = record(spinner);
+
+    const time = turn(spinner, 90, { seconds: 0.1, steps: 10 });
+    spinner.handle({ type: 'release', time });
+    const released = spinner.state.rotation;
+
+    assert.ok(spinner.advance(2));
+    assert.ok(spinner.state.rotation > released + TICK_DEGREES);
+    assert.ok(log.coasting.includes(true));
+
+    spinner.advance(30);
+    assert.equal(spinner.state.velocity, 0);
+    assert.equal(spinner.advance(1), false);
+});
+
+test('releasing without coasting stops dead', () => {
+    const spinner = new SpinnerModel();
+    const time = turn(spinner, 90, { seconds: 0.1, steps: 10 });
+    spinner.handle({ type: 'release', time, coast: false });
+
+    assert.equal(spinner.advance(1), false);
+    assert.ok(Math.abs(spinner.state.rotation - 90) < 1e-6);
+});
+
+test('a finger resting before release imparts no flick', () => {
+    const spinner = new SpinnerModel();
+    const time = turn(spinner, 90, { seconds: 0.1, steps: 10 });
+    spinner.handle({ type: 'release', time: time + 0.5 });
+    assert.equal(spinner.advance(1), false);
+});
+
+test('nudges turn whole ticks and flicks without coasting turn once', () => {
+    const spinner = new SpinnerModel();
+    const log = record(spinner);
+
+    spinner.handle({ type: 'nudge', amount: 1 });
+    assert.equal(spinner.state.rotation, TICK_DEGREES);
+
+    spinner.handle({ type: 'flick', direction: -1, coast: false });
+    assert.equal(spinner.state.rotation, TICK_DEGREES - 360);
+    assert.equal(spinner.advance(1), false);
+    assert.deepEqual(log.feedback, ['tick', 'tick']);
+});
+
+test('a flick spins it up and stop brings it to rest', () => {
+    const spinner = new SpinnerModel();
+    spinner.handle({ type: 'flick', direction: 1 });
+    assert.ok(spinner.advance(0.2));
+
+    spinner.handle({ type: 'stop' });
+    assert.equal(spinner.state.velocity, 0);
+    assert.equal(spinner.advance(1), false);
+});
+
+test('flicks add to the spin, at the speed given', () => {
+    const spinner = new SpinnerModel();
+    spinner.handle({ type: 'flick', direction: -1, speed: 300 });
+    spinner.handle({ type: 'flick', direction: -1, speed: 200 });
+    assert.equal(spinner.body.velocity, -500);
+
+    spinner.handle({ type: 'flick', direction: 1 });
+    assert.equal(spinner.body.velocity, FLICK_SPEED - 500);
+});
+
+test('degrees wrap into 0-359 either way round', () => {
+    assert.equal(new SpinnerModel({ rotation: 725, velocity: 0 }).degrees, 5);
+    assert.equal(new SpinnerModel({ rotation: -30, velocity: 0 }).degrees, 330);
+    assert.equal(new SpinnerModel({ rotation: -360, velocity: 0 }).degrees, 0);
+});
+
+test('revolutions are tracked from the distance turned', () => {
+    const spinner = new SpinnerModel();
+    const log = record(spinner);
+    turn(spinner, 180);
+    turn(spinner, -180);
+    assert.ok(Math.abs(log.tracked.revolutions - 1) < 1e-6);
+});
+
+test('restore picks up a saved spin', () => {
+    const state = { rotation: 0, velocity: 0 };
+    const spinner = new SpinnerModel(state);
+    Object.assign(state, { rotation: 45, velocity: 300 });
+    spinner.restore();
+
+    assert.ok(spinner.advance(0.1));
+    assert.ok(spinner.state.rotation > 45);
+});
+
+test('unknown input is refused', () => {
+    const spinner = new SpinnerModel();
+    assert.equal(spinner.handle({ type: 'cycle' }), false);
+    assert.equal(spinner.handle({ type: 'nudge', amount: 1 }), true);
+});
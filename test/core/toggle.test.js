@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToggleModel } from '../../src/core/toggle.js';
+import { record } from '../helpers.js';
+
+test('each press flips the switch', () => {
+    const toggle = new ToggleModel();
+    const log = record(toggle);
+
+    toggle.handle({ type: 'press' });
+    assert.equal(toggle.state.on, true);
+    toggle.handle({ type: 'press' });
+    assert.equal(toggle.state.on, false);
+
+    assert.deepEqual(log.feedback, ['on', 'off']);
+});
+
+test('setting a side only flips when it moves', () => {
+    const toggle = new ToggleModel();
+    const log = record(toggle);
+
+    toggle.handle({ type: 'set', on: false });
+    toggle.handle({ type: 'set', on: true });
+    toggle.handle({ type: 'set', on: true });
+
+    assert.equal(toggle.state.on, true);
+    assert.deepEqual(log.feedback, ['on']);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LayoutStore, LAYOUT_VERSION, defaultLayout, migrateLayout } from '../../src/cube/layout-store.js';
+import { zoneIds } from '../../src/cube/layout.js';
+
+// Storage holding one saved layout
+function storage(data) {
+    const items = { 'fidgit-layout': JSON.stringify(data) };
+    return {
+        getItem: key => items[key] ?? null,
+        setItem: (key, value) => { items[key] = value; }
+    };
+}
+
+// A layout as saved before any zones were added to the default faces
+function firstLayout() {
+    const layout = defaultLayout();
+    layout.faces.forEach(face => {
+        face.zones = face.zones.slice(0, 6);
+    });
+    return { version: 1, faces: layout.faces };
+}
+
+test('the default layout keeps the original zone ids', () => {
+    const ids = zoneIds(defaultLayout());
+    ['bottom-click-0', 'top-roll-5', 'right-click-3', 'right-toggle-1', 'spinner'].forEach(id => assert.ok(ids.has(id), id));
+    assert.equal(ids.size, defaultLayout().faces.reduce((total, face) => total + face.zones.length, 0));
+});
+
+test('saved layouts gain zones added to the default faces', () => {
+    const saved = firstLayout();
+    const bottom = saved.faces.find(face => face.id === 'bottom');
+    bottom.zones.reverse();
+
+    const { faces } = new LayoutStore(storage(saved)).load();
+    const zones = faces.find(face => face.id === 'bottom').zones;
+    assert.deepEqual(zones.map(zone => zone.id).slice(0, 6), bottom.zones.map(zone => zone.id));
+    assert.deepEqual(zones.at(-1), { id: 'bottom-bubble-6', type: 'bubble', cols: 2, rows: 1 });
+    assert.equal(faces.find(face => face.id === 'top').zones.at(-1).id, 'top-joystick-6');
+    assert.equal(faces.find(face => face.id === 'right').zones.at(-1).id, 'right-keys-6');
+});
+
+test('a zone type already in a saved layout is not added again', () => {
+    const saved = firstLayout();
+    saved.faces[0].zones.push({ id: 'front-bubble-x', type: 'bubble' });
+    const migrated = migrateLayout(saved);
+    assert.equal(migrated.version, LAYOUT_VERSION);
+    assert.equal(migrated.faces.flatMap(face => face.zones).filter(zone => zone.type === 'bubble').length, 1);
+});
+
+test('layouts from a newer version or of the wrong shape give the default', () => {
+    assert.equal(migrateLayout({ ...firstLayout(), version: LAYOUT_VERSION + 1 }), null);
+    assert.equal(migrateLayout({ version: 1, faces: 'all' }), null);
+    assert.deepEqual(new LayoutStore(storage({ version: 99, faces: [] })).load(), defaultLayout());
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamepadBackend, MIN_RUMBLE } from '../../src/haptics/backends/gamepad.js';
+import { HapticsEngine } from '../../src/haptics/engine.js';
+import { hapticPatterns, impact, notification, pause } from '../../src/haptics/patterns.js';
+
+// A connected controller whose actuator notes every effect played
+function rumblingPad() {
+    const effects = [];
+    return {
+        effects,
+        pad: {
+            connected: true,
+            vibrationActuator: {
+                playEffect: async (type, params) => effects.push({ type, ...params }),
+                reset: async () => effects.push('reset')
+            }
+        }
+    };
+}
+
+test('impacts and ticks become rumbles, light ones on the weak motor alone', () => {
+    const backend = new GamepadBackend(() => []);
+    const rumbles = backend.translate(hapticPatterns.click);
+
+    assert.equal(rumbles.length, 2);
+    assert.deepEqual(rumbles.map(({ at }) => at), [0, 40]);
+    assert.ok(rumbles[0].strongMagnitude > 0);
+    assert.equal(rumbles[1].strongMagnitude, 0);
+    assert.ok(rumbles.every(({ duration }) => duration >= MIN_RUMBLE));
+    assert.equal(backend.translate(hapticPatterns.tick)[0].strongMagnitude, 0);
+});
+
+test('notifications pulse by kind and later steps wait for them', () => {
+    const backend = new GamepadBackend(() => []);
+    const rumbles = backend.translate([notification('error'), impact('heavy', 20)]);
+    assert.deepEqual(rumbles.map(({ at }) => at), [0, 90, 180, 210]);
+
+    // Unknown kinds pulse once, as a success does
+    [notification('alarm'), notification()].forEach(step => {
+        assert.deepEqual(backend.translate([step, impact('heavy', 20)]).map(({ at }) => at), [0, 30]);
+    });
+    assert.deepEqual(backend.translate([pause(50)]), []);
+});
+
+test('only connected controllers with an actuator count', () => {
+    const { pad } = rumblingPad();
+    assert.equal(GamepadBackend.isAvailable(() => [null, { connected: true }]), false);
+    assert.equal(GamepadBackend.isAvailable(() => [null, pad]), true);
+    assert.equal(GamepadBackend.isAvailable(() => [{ ...pad, connected: false }]), false);
+});
+
+test('playing rumbles the controller now and schedules the rest', async () => {
+    const { pad, effects } = rumblingPad();
+    const backend = new GamepadBackend(() => [pad]);
+    backend.play(hapticPatterns.click);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.equal(effects.length, 1);
+    assert.equal(effects[0].type, 'dual-rumble');
+    assert.equal(backend.timers.length, 1);
+
+    backend.cancel();
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.deepEqual(effects.slice(1), ['reset']);
+});
+
+test('the engine counts controller rumble as tactile feedback', () => {
+    const engine = new HapticsEngine({ mode: 'auto' });
+    const backend = new GamepadBackend(() => []);
+    engine.setController(backend);
+    assert.deepEqual(engine.backendNames, ['gamepad']);
+
+    engine.setMode('audio');
+    assert.deepEqual(engine.backendNames, []);
+
+    engine.setMode('haptics');
+    engine.setController(null);
+    assert.deepEqual(engine.backendNames, []);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    hapticPatterns,
+    impact,
+    pause,
+    selection,
+    resolvePattern,
+    fromVibration,
+    patternDuration,
+    validatePattern,
+    parseTimeline,
+    formatTimeline,
+    scaleIntensity
+} from '../../src/haptics/patterns.js';
+
+test('patterns resolve from names, vibration arrays and step lists', () => {
+    assert.equal(resolvePattern('tap'), hapticPatterns.tap);
+    assert.equal(resolvePattern('missing'), null);
+    assert.deepEqual(resolvePattern(50), [impact('heavy', 50)]);
+    assert.deepEqual(resolvePattern([10, 20, 5]), [impact('medium', 10), pause(20), impact('light', 5)]);
+    const steps = [selection(4)];
+    assert.equal(resolvePattern(steps), steps);
+});
+
+test('vibration arrays drop zero-length gaps', () => {
+    assert.deepEqual(fromVibration([10, 0, 10]), [impact('medium', 10), impact('medium', 10)]);
+});
+
+test('every built-in pattern is within the custom pattern limits', () => {
+    Object.entries(hapticPatterns).forEach(([name, steps]) => {
+        assert.deepEqual(validatePattern(steps).filter(error => !error.startsWith('Pulses')), [], name);
+    });
+});
+
+test('validatePattern reports each problem', () => {
+    assert.deepEqual(validatePattern([]), ['Add at least one pulse']);
+    assert.deepEqual(validatePattern([pause(10)]), ['Add at least one pulse']);
+    assert.deepEqual(validatePattern([impact('light', 2)]), ['Pulses must be at least 5 ms']);
+    assert.equal(validatePattern([impact('light', 900), pause(900), impact('light', 900)]).length, 1);
+    assert.equal(validatePattern(Array(21).fill(impact('light', 10))).length, 1);
+});
+
+test('timelines round-trip through parse and format', () => {
+    const steps = parseTimeline('20h 40 15, 0 8l');
+    assert.deepEqual(steps, [impact('heavy', 20), pause(40), impact('medium', 15), impact('light', 8)]);
+    assert.equal(formatTimeline(steps), '20h 40 15 0 8');
+    assert.deepEqual(parseTimeline(formatTimeline(steps)), steps);
+    assert.equal(patternDuration(steps), 83);
+});
+
+test('parseTimeline refuses what it cannot read', () => {
+    assert.throws(() => parseTimeline('20 40h'), /40h/);
+    assert.throws(() => parseTimeline('buzz'), /buzz/);
+});
+
+test('scaleIntensity lengthens pulses, keeps pauses and shifts impact styles', () => {
+    const steps = [impact('light', 10), pause(30), impact('heavy', 20), selection(4)];
+
+    assert.equal(scaleIntensity(steps, 1), steps);
+    assert.deepEqual(scaleIntensity(steps, 2), [impact('medium', 20), pause(30), impact('heavy', 40), selection(8)]);
+    assert.deepEqual(scaleIntensity(steps, 0.5), [impact('light', 5), pause(30), impact('medium', 10), selection(2)]);
+    assert.deepEqual(scaleIntensity(steps, 1.25)[0], impact('light', 13));
+    assert.equal(scaleIntensity([selection(1)], 0.25)[0].ms, 1);
+});
@@ -0,0 +1,32 @@
+/**
+ * Test helpers for driving headless models
+ */
+
+// Collect a model's feedback events, changes and tracked stats
+export function record(model) {
+    const log = { feedback: [], coasting: [], changes: 0, tracked: {} };
+    model.on('feedback', (event, { coasting = false } = {}) => {
+        log.feedback.push(event);
+        log.coasting.push(coasting);
+    });
+    model.on('change', () => log.changes++);
+    model.on('track', (metric, amount) => {
+        log.tracked[metric] = (log.tracked[metric] || 0) + amount;
+    });
+    return log;
+}
+
+// Number of times an event appears in a list
+export function count(events, name) {
+    return events.filter(event => event === name).length;
+}
+
+// Drag a rotary model by a number of degrees in small steps over `seconds`
+export function turn(model, degrees, { seconds = 0.5, steps = 30, start = 0, angle = 0 } = {}) {
+    const radians = degrees * Math.PI / 180;
+    model.handle({ type: 'press', time: start, angle });
+    for (let i = 1; i <= steps; i++) {
+        model.handle({ type: 'move', time: start + seconds * i / steps, angle: angle + radians * i / steps });
+    }
+    return start + seconds;
+}
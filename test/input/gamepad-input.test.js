@@ -0,0 +1,181 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamepadInput, DEFAULT_MAPPING, STICK_PRESS } from '../../src/input/gamepad-input.js';
+import { DialModel } from '../../src/core/dial.js';
+import { SliderModel, MIN, NOTCH } from '../../src/core/slider.js';
+import { record, count } from '../helpers.js';
+
+// A standard-layout controller at rest
+function controller() {
+    return {
+        id: 'Test pad',
+        connected: true,
+        axes: [0, 0, 0, 0],
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }))
+    };
+}
+
+// Gamepad input reading one controller, with the events it passes on
+function setup() {
+    const pad = controller();
+    const pads = [null, pad];
+    const log = { inputs: [], turns: [] };
+    let time = 0;
+    const gamepad = new GamepadInput({
+        getGamepads: () => pads,
+        onInput: (zone, event) => log.inputs.push({ zone, ...event }),
+        onTurn: direction => log.turns.push(direction),
+        now: () => time
+    });
+    const frame = (ms = 16) => {
+        time += ms;
+        gamepad.poll();
+    };
+    const press = (index, value = 1) => {
+        pad.buttons[index] = { pressed: value > 0.1, value };
+    };
+    return { gamepad, pad, pads, log, frame, press };
+}
+
+test('the first connected controller is read', () => {
+    const { gamepad, frame } = setup();
+    frame();
+    assert.equal(gamepad.controller, 'Test pad');
+});
+
+test('circling a stick turns the dial through its notches, as a finger would', () => {
+    const { gamepad, pad, frame } = setup();
+    const dial = new DialModel();
+    const log = record(dial);
+    gamepad.onInput = (type, event) => type === 'dial' && dial.handle(event);
+
+    // Push right, then sweep round a quarter turn clockwise and let go
+    for (let i = 0; i <= 20; i++) {
+        const angle = (Math.PI / 2) * i / 20;
+        [pad.axes[2], pad.axes[3]] = [Math.cos(angle), Math.sin(angle)];
+        frame();
+    }
+    [pad.axes[2], pad.axes[3]] = [0, 0];
+    frame();
+    dial.advance(3);
+
+    assert.equal(log.feedback[0], 'start');
+    assert.ok(count(log.feedback, 'notch') >= 1);
+    assert.ok(dial.degrees > 45);
+});
+
+test('a stick only takes hold once pushed out, and lets go near the centre', () => {
+    const { pad, log, frame } = setup();
+    pad.axes[2] = STICK_PRESS - 0.1;
+    frame();
+    assert.equal(log.inputs.length, 0);
+
+    pad.axes[2] = 1;
+    frame();
+    pad.axes[2] = 0.4;
+    frame();
+    pad.axes[2] = 0;
+    frame();
+    assert.deepEqual(log.inputs.map(input => input.type), ['press', 'release']);
+    assert.equal(log.inputs[1].coast, true);
+});
+
+test('the other stick leans the ball, levelling once back in the deadzone', () => {
+    const { pad, log, frame } = setup();
+    pad.axes[0] = 1;
+    pad.axes[1] = -0.5;
+    frame();
+    frame();
+    pad.axes[0] = 0.05;
+    pad.axes[1] = 0;
+    frame();
+
+    assert.deepEqual(log.inputs.map(({ zone, type, x, y }) => [zone, type, x, Number(y.toFixed(2))]), [
+        ['roll', 'tilt', 1, -0.41],
+        ['roll', 'tilt', 0, 0]
+    ]);
+});
+
+test('the triggers lean the slider knob either way and its notches hold it', () => {
+    const { gamepad, press, frame } = setup();
+    const slider = new SliderModel({ position: 50 });
+    gamepad.onInput = (type, event) => type === 'slider' && slider.handle(event);
+
+    // A light pull stays in the notch, a full one rolls the knob to the end
+    press(6, 0.3);
+    frame();
+    slider.advance(1);
+    assert.ok(Math.abs(slider.state.position - 50) < 2);
+
+    press(6, 1);
+    frame();
+    slider.advance(2);
+    assert.equal(slider.state.position, MIN);
+
+    // Both pulled cancel out
+    press(7, 1);
+    frame();
+    slider.handle({ type: 'nudge', amount: 2 });
+    slider.advance(2);
+    assert.equal(slider.state.position, MIN + 2 * NOTCH);
+});
+
+test('buttons click, flip, flick and nudge by the mapping', () => {
+    const { log, press, frame } = setup();
+    press(0);
+    press(1);
+    press(4);
+    frame();
+    frame();
+    press(0, 0);
+    frame();
+
+    assert.deepEqual(log.inputs, [
+        { zone: 'click', type: 'press' },
+        { zone: 'toggle', type: 'press' },
+        { zone: 'spinner', type: 'flick', direction: -1, coast: true },
+        { zone: 'click', type: 'release' }
+    ]);
+});
+
+test('a changed mapping drives other zones', () => {
+    const { gamepad, log, press, frame } = setup();
+    gamepad.setMapping({ x: 'dial', rightBumper: 'slider', a: 'none' });
+    assert.equal(gamepad.mapping.b, DEFAULT_MAPPING.b);
+
+    press(0);
+    press(2);
+    press(5);
+    frame();
+    assert.deepEqual(log.inputs, [
+        { zone: 'dial', type: 'nudge', amount: -1 },
+        { zone: 'slider', type: 'nudge', amount: 1 }
+    ]);
+});
+
+test('the d-pad turns the cube once per press', () => {
+    const { log, press, frame } = setup();
+    press(15);
+    frame();
+    frame();
+    press(15, 0);
+    press(12);
+    frame();
+    assert.deepEqual(log.turns, ['right', 'up']);
+});
+
+test('a controller disconnecting lets go of everything', () => {
+    const { pad, pads, log, press, frame } = setup();
+    pad.axes[2] = 1;
+    pad.axes[0] = 1;
+    press(0);
+    frame();
+    pads[1] = null;
+    frame();
+
+    assert.deepEqual(log.inputs.slice(-3), [
+        { zone: 'dial', type: 'release', time: 0.032, coast: true },
+        { zone: 'click', type: 'release' },
+        { zone: 'roll', type: 'tilt', x: 0, y: 0 }
+    ]);
+});
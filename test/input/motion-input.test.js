@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MotionInput, screenTilt, FULL_TILT, SHAKE_ACCELERATION, SHAKE_COOLDOWN, MAX_SHAKE } from '../../src/input/motion-input.js';
+
+// Motion input listening to a plain event target, with a clock to move by hand
+function sensors({ angle = 0 } = {}) {
+    const target = new EventTarget();
+    const log = { tilts: [], shakes: [] };
+    let time = 0;
+    const motion = new MotionInput({
+        target,
+        onTilt: tilt => log.tilts.push(tilt),
+        onShake: shake => log.shakes.push(shake),
+        now: () => time,
+        screenAngle: () => angle
+    });
+    const orient = (beta, gamma) => target.dispatchEvent(Object.assign(new Event('deviceorientation'), { beta, gamma }));
+    const shake = ({ acceleration = null, alpha = 0, after = 1000 } = {}) => {
+        time += after;
+        target.dispatchEvent(Object.assign(new Event('devicemotion'), { acceleration, rotationRate: { alpha, beta: 0, gamma: 0 } }));
+    };
+    return { motion, log, orient, shake, target };
+}
+
+test('leaning right and towards the bottom edge tilts right and down', () => {
+    assert.deepEqual(screenTilt({ beta: FULL_TILT, gamma: FULL_TILT }), { x: 1, y: 1 });
+    assert.deepEqual(screenTilt({ beta: -90, gamma: -45 }), { x: -1, y: -1 });
+    assert.deepEqual(screenTilt({ beta: 1, gamma: -1 }), { x: 0, y: 0 });
+
+    const half = screenTilt({ beta: 0, gamma: FULL_TILT / 2 });
+    assert.ok(half.x > 0.4 && half.x < 0.5);
+});
+
+test('tilt turns with the screen', () => {
+    const reading = { beta: FULL_TILT, gamma: 0 };
+    assert.deepEqual(screenTilt(reading, { angle: 90 }), { x: 1, y: 0 });
+    assert.deepEqual(screenTilt(reading, { angle: 180 }), { x: 0, y: -1 });
+    assert.deepEqual(screenTilt(reading, { angle: -90 }), { x: -1, y: 0 });
+});
+
+test('sensitivity scales the lean needed for full tilt', () => {
+    assert.deepEqual(screenTilt({ beta: 0, gamma: FULL_TILT / 2 }, { sensitivity: 2 }), { x: 1, y: 0 });
+    assert.ok(screenTilt({ beta: 0, gamma: FULL_TILT }, { sensitivity: 0.5 }).x < 0.5);
+});
+
+test('orientation events are passed on as tilt once they change enough', () => {
+    const { motion, log, orient } = sensors();
+    orient(10, 10);
+    assert.equal(log.tilts.length, 0);
+
+    motion.start();
+    orient(0, 15);
+    orient(0, 15.1);
+    orient(0, 0);
+    assert.equal(log.tilts.length, 2);
+    assert.ok(log.tilts[0].x > 0.4);
+    assert.deepEqual(log.tilts[1], { x: 0, y: 0 });
+});
+
+test('readings without angles are ignored', () => {
+    const { motion, log, orient } = sensors();
+    motion.start();
+    orient(null, null);
+    assert.equal(motion.receiving, false);
+    assert.equal(log.tilts.length, 0);
+});
+
+test('calibrating takes the current hold as level', () => {
+    const { motion, log, orient } = sensors();
+    motion.start();
+    assert.equal(motion.calibrate(), null);
+
+    // Held upright facing the user
+    orient(60, 0);
+    assert.equal(log.tilts.at(-1).y, 1);
+    assert.deepEqual(motion.calibrate(), { beta: 60, gamma: 0 });
+    assert.deepEqual(log.tilts.at(-1), { x: 0, y: 0 });
+
+    orient(60 + FULL_TILT, 0);
+    assert.equal(log.tilts.at(-1).y, 1);
+});
+
+test('stopping levels the tilt and stops listening', () => {
+    const { motion, log, orient } = sensors();
+    motion.start();
+    orient(20, 20);
+    motion.stop();
+    assert.deepEqual(log.tilts.at(-1), { x: 0, y: 0 });
+
+    orient(20, 20);
+    assert.equal(log.tilts.length, 2);
+});
+
+test('a sharp shake or twist flings the wheel against the twist', () => {
+    const { motion, log, shake } = sensors();
+    motion.start();
+
+    shake({ acceleration: { x: 3, y: 2, z: 1 } });
+    assert.equal(log.shakes.length, 0);
+
+    shake({ acceleration: { x: SHAKE_ACCELERATION * 2, y: 0, z: 0 }, alpha: -30 });
+    assert.deepEqual(log.shakes[0], { direction: -1, strength: 2 });
+
+    shake({ alpha: 720 * 4 });
+    assert.deepEqual(log.shakes[1], { direction: 1, strength: MAX_SHAKE });
+});
+
+test('shakes in quick succession count once', () => {
+    const { motion, log, shake } = sensors();
+    motion.start();
+    const hard = { x: 0, y: SHAKE_ACCELERATION * 1.5, z: 0 };
+
+    shake({ acceleration: hard });
+    shake({ acceleration: hard, after: SHAKE_COOLDOWN / 3 });
+    shake({ acceleration: hard, after: SHAKE_COOLDOWN / 3 });
+    assert.equal(log.shakes.length, 1);
+
+    shake({ acceleration: hard, after: SHAKE_COOLDOWN });
+    assert.equal(log.shakes.length, 2);
+});
+
+test('a higher sensitivity makes gentler shakes count', () => {
+    const { motion, log, shake } = sensors();
+    motion.start();
+    const gentle = { x: SHAKE_ACCELERATION * 0.6, y: 0, z: 0 };
+
+    shake({ acceleration: gentle });
+    motion.sensitivity = 2;
+    shake({ acceleration: gentle });
+    assert.equal(log.shakes.length, 1);
+});
+
+test('permission is asked for sensors and motion together where needed', async () => {
+    const asked = [];
+    globalThis.DeviceOrientationEvent = { requestPermission: async () => asked.push('orientation') && 'granted' };
+    globalThis.DeviceMotionEvent = { requestPermission: async () => asked.push('motion') && 'denied' };
+    try {
+        assert.equal(MotionInput.needsPermission, true);
+        assert.equal(await MotionInput.requestPermission(), false);
+        assert.deepEqual(asked, ['orientation', 'motion']);
+
+        globalThis.DeviceMotionEvent = {};
+        assert.equal(await MotionInput.requestPermission(), true);
+
+        globalThis.DeviceOrientationEvent = class {};
+        assert.equal(MotionInput.needsPermission, false);
+        assert.equal(await MotionInput.requestPermission(), true);
+    } finally {
+        delete globalThis.DeviceOrientationEvent;
+        delete globalThis.DeviceMotionEvent;
+    }
+    assert.equal(MotionInput.supported, false);
+});
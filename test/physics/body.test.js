@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Body, notchIndex } from '../../src/physics/index.js';
+
+// Step a body for a number of seconds at 60fps
+function run(body, seconds) {
+    for (let t = 0; t < seconds; t += 1 / 60) body.step(1 / 60);
+}
+
+test('a dragged body measures the flick velocity', () => {
+    const body = new Body();
+    body.grab(0);
+    for (let i = 1; i <= 10; i++) body.drag(i * 10, i / 100);
+    assert.ok(Math.abs(body.velocity - 1000) < 1);
+    assert.equal(body.step(1), false);
+});
+
+test('released, it coasts under friction and comes to rest', () => {
+    const body = new Body({ friction: 1.2 });
+    body.grab(0);
+    body.drag(10, 0.01);
+    body.release(0.01);
+
+    assert.ok(body.moving);
+    run(body, 10);
+    assert.equal(body.moving, false);
+    // Coasting distance is bounded by v / friction
+    assert.ok(body.position > 10 && body.position < 10 + 1000 / 1.2);
+});
+
+test('a finger resting before release imparts no flick', () => {
+    const body = new Body();
+    body.grab(0);
+    body.drag(10, 0.01);
+    body.release(0.5);
+    assert.equal(body.moving, false);
+});
+
+test('release without coasting drops the velocity', () => {
+    const body = new Body();
+    body.grab(0);
+    body.drag(10, 0.01);
+    body.release(0.01, { coast: false });
+    assert.equal(body.velocity, 0);
+});
+
+test('detents settle a body exactly on a notch', () => {
+    const body = new Body({ friction: 5, detents: { spacing: 15, strength: 2500 }, restSpeed: 4 });
+    body.reset(20);
+    run(body, 2);
+    assert.equal(body.position, 15);
+    assert.equal(body.velocity, 0);
+});
+
+test('detents respect an offset', () => {
+    const body = new Body({ friction: 5, detents: { spacing: 10, strength: 2000, offset: 5 }, restSpeed: 4 });
+    body.reset(13);
+    assert.equal(body.restPosition, 15);
+    run(body, 2);
+    assert.equal(body.position, 15);
+});
+
+test('a spring pulls the body back to its target', () => {
+    const body = new Body({ spring: { target: 0, stiffness: 400, damping: 30 }, restSpeed: 0.05 });
+    body.reset(1);
+    run(body, 2);
+    assert.equal(body.position, 0);
+    assert.equal(body.restPosition, 0);
+});
+
+test('a held body does not step', () => {
+    const body = new Body({ velocity: 100 });
+    body.grab(0);
+    assert.equal(body.step(1), false);
+    assert.equal(body.position, 0);
+});
+
+test('notch boundaries sit halfway between notches, either side of zero', () => {
+    assert.equal(notchIndex(7.4, 15), 0);
+    assert.equal(notchIndex(7.6, 15), 1);
+    assert.ok(notchIndex(-7.4, 15) === 0);
+    assert.equal(notchIndex(-7.6, 15), -1);
+    assert.equal(notchIndex(-352, 15), -23);
+    assert.equal(notchIndex(12, 10, 5), 1);
+});
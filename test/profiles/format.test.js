@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    PROFILE_FORMAT,
+    PROFILE_VERSION,
+    validateProfile,
+    parseProfile,
+    formatProfile
+} from '../../src/profiles/index.js';
+import { defaultLayout } from '../../src/cube/layout-store.js';
+import { impact, notification, pause } from '../../src/haptics/patterns.js';
+import { defaultSettings } from '../../src/settings.js';
+
+function profile(changes = {}) {
+    return {
+        format: PROFILE_FORMAT,
+        version: PROFILE_VERSION,
+        name: 'Desk',
+        created: '2026-01-01T00:00:00.000Z',
+        layout: defaultLayout(),
+        zones: { 'right-keys-6': { profiles: ['clicky', 'linear', 'linear', 'tactile'] } },
+        patterns: { knock: [impact('heavy', 20), pause(40), impact('light', 10)] },
+        assignments: { 'toggle.on': 'knock', 'dial.notch': 'tap' },
+        settings: { ...defaultSettings, skin: 'wood', volume: 0.3 },
+        ...changes
+    };
+}
+
+test('a captured setup is a valid profile', () => {
+    assert.deepEqual(validateProfile(profile()), []);
+});
+
+test('files that aren\'t profiles, and profiles from a newer version, are refused', () => {
+    assert.deepEqual(validateProfile({ format: 'fidgit-recording' }), ['Not a Fidgit profile']);
+    assert.match(validateProfile(profile({ version: PROFILE_VERSION + 1 }))[0], /newer version of Fidgit/);
+    assert.deepEqual(validateProfile(profile({ version: 'one' })), ['Profile version one is not supported']);
+});
+
+test('layouts need the six faces and zone ids used once', () => {
+    const layout = defaultLayout();
+    layout.faces.pop();
+    assert.match(validateProfile(profile({ layout }))[0], /^Layout must have the faces/);
+
+    const twice = defaultLayout();
+    twice.faces[1].zones[0].id = 'spinner';
+    twice.faces[1].zones[1].cols = 3;
+    assert.deepEqual(validateProfile(profile({ layout: twice })), [
+        'Zone id "spinner" is used twice',
+        'Zone "right-toggle-1" must span 1 or 2 columns and rows'
+    ]);
+    assert.match(validateProfile(profile({ layout: { faces: 'all' } }))[0], /^Layout must list faces/);
+});
+
+test('zone configuration must be for zones in the layout and values they take', () => {
+    assert.deepEqual(validateProfile(profile({
+        zones: {
+            'right-keys-6': { profiles: ['clicky', 'buckling', 'linear', 'tactile'] },
+            'front-keys': { profiles: ['linear', 'linear', 'linear', 'linear'] },
+            spinner: { rotation: 90 }
+        }
+    })), [
+        'Zone "right-keys-6": "profiles" must list 4 switches, each linear, tactile, clicky',
+        'Zone "front-keys" is configured but not in the layout'
+    ]);
+    assert.deepEqual(validateProfile(profile({ zones: { spinner: 'fast' } })), [
+        'Zones must be an object of zone ids and their configuration'
+    ]);
+});
+
+test('reading keeps only the configuration of each zone, not how it was left', () => {
+    const parsed = parseProfile(JSON.stringify(profile({
+        zones: { 'right-keys-6': { profiles: ['linear', 'linear', 'clicky', 'clicky'], held: [0] }, spinner: { rotation: 90 } }
+    })));
+    assert.deepEqual(parsed.zones, { 'right-keys-6': { profiles: ['linear', 'linear', 'clicky', 'clicky'] }, spinner: {} });
+
+    // Profiles saved before zones were configured in them
+    const { zones, ...older } = profile();
+    assert.deepEqual(parseProfile(JSON.stringify(older)).zones, {});
+});
+
+test('patterns must be playable and assignments must name a pattern', () => {
+    assert.deepEqual(validateProfile(profile({
+        patterns: { tap: [impact('light', 10)], long: [impact('light', 3000)], odd: [{ type: 'zap', ms: 10 }] },
+        assignments: { 'toggle.on': 'knock' }
+    })), [
+        'Pattern "tap" has the name of a built-in pattern',
+        'Pattern "long": Each step must be 0 to 1000 ms',
+        'Pattern "odd" has a step that isn\'t an impact, selection, notification or pause',
+        'Event "toggle.on" is assigned an unknown pattern "knock"'
+    ]);
+});
+
+test('pattern impacts and notifications must have a known style and kind', () => {
+    assert.deepEqual(validateProfile(profile({
+        patterns: {
+            knock: [impact('heavy', 20), pause(40), notification('warning', 30)],
+            thud: [impact('huge', 20)],
+            ping: [impact('light', 20), notification('alarm', 30)],
+            bare: [notification(undefined, 30)]
+        }
+    })), [
+        'Pattern "thud" has an impact that isn\'t light, medium, heavy',
+        'Pattern "ping" has a notification that isn\'t success, warning, error',
+        'Pattern "bare" has a notification that isn\'t success, warning, error'
+    ]);
+});
+
+test('settings are checked for their type and the values they can take', () => {
+    const problems = validateProfile(profile({
+        settings: { volume: 2, soundPack: 'jazz', meetingMode: 'yes', zoneMutes: { dial: 'loud' }, skin: 'wood',
+            motionSensitivity: 5, motionCalibration: { beta: 10 }, gamepadMapping: { leftStick: 'click' } }
+    }));
+    assert.deepEqual(problems, [
+        'Setting "volume" must be from 0 to 1',
+        'Setting "soundPack" must be one of mechanical, wooden, soft',
+        'Setting "meetingMode" must be a true or false',
+        'Setting "zoneMutes" must mute haptics, audio, both per zone type',
+        'Setting "motionSensitivity" must be from 0.5 to 2',
+        'Setting "motionCalibration" must give beta and gamma angles',
+        'Setting "gamepadMapping" must map controller controls to zone types they can drive'
+    ]);
+});
+
+test('parsing drops settings this version doesn\'t know and keeps the rest', () => {
+    const parsed = parseProfile(JSON.stringify(profile({ name: '  Desk  ', settings: { skin: 'neon', sparkles: true } })));
+    assert.equal(parsed.name, 'Desk');
+    assert.deepEqual(parsed.settings, { skin: 'neon' });
+});
+
+test('parsing throws the first problem as a readable error', () => {
+    assert.throws(() => parseProfile('{'), { message: 'Not a JSON file' });
+    assert.throws(() => parseProfile(JSON.stringify(profile({ name: '' }))), { message: 'Profile has no name' });
+});
+
+test('exported profiles leave out their local id', () => {
+    const text = formatProfile({ id: 'abc', ...profile() });
+    assert.equal(JSON.parse(text).id, undefined);
+    assert.deepEqual(parseProfile(text), profile());
+});
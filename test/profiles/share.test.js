@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROFILE_FORMAT, PROFILE_VERSION, encodeProfile, decodeProfile, sharedProfileData, shareLink } from '../../src/profiles/index.js';
+import { defaultLayout } from '../../src/cube/layout-store.js';
+import { defaultSettings } from '../../src/settings.js';
+
+const profile = {
+    format: PROFILE_FORMAT,
+    version: PROFILE_VERSION,
+    name: 'Bedtime',
+    created: '2026-01-01T00:00:00.000Z',
+    layout: defaultLayout(),
+    zones: { 'right-keys-6': { profiles: ['clicky', 'clicky', 'linear', 'tactile'] } },
+    patterns: {},
+    assignments: {},
+    settings: { ...defaultSettings, skin: 'rubber', meetingMode: true }
+};
+
+test('a profile survives the trip through a link', async () => {
+    const data = await encodeProfile({ id: 'local', ...profile });
+    assert.match(data, /^z\.[A-Za-z0-9_-]+$/);
+    assert.deepEqual(await decodeProfile(data), profile);
+});
+
+test('links stay short enough to paste', async () => {
+    const data = await encodeProfile(profile);
+    assert.ok(data.length < JSON.stringify(profile).length / 2, `${data.length} characters`);
+});
+
+test('uncompressed links are read too', async () => {
+    const json = Buffer.from(JSON.stringify(profile)).toString('base64url');
+    assert.deepEqual(await decodeProfile(`j.${json}`), profile);
+});
+
+test('damaged links and invalid profiles are refused with a readable error', async () => {
+    const data = await encodeProfile(profile);
+    await assert.rejects(decodeProfile(data.slice(0, 40)), { message: 'The profile link is incomplete or damaged' });
+    await assert.rejects(decodeProfile('x.abc'), { message: 'The profile link is incomplete or damaged' });
+    const newer = await encodeProfile({ ...profile, version: PROFILE_VERSION + 1 });
+    await assert.rejects(decodeProfile(newer), /newer version of Fidgit/);
+});
+
+test('the profile is read from the fragment of a shared link', async () => {
+    const link = await shareLink(profile, { origin: 'https://fidgit.example', pathname: '/app/' });
+    const { origin, pathname, hash } = new URL(link);
+    assert.equal(`${origin}${pathname}`, 'https://fidgit.example/app/');
+    assert.deepEqual(await decodeProfile(sharedProfileData(hash)), profile);
+    assert.equal(sharedProfileData(''), null);
+    assert.equal(sharedProfileData('#other=1'), null);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SessionRecorder,
+    RECORDING_LIMITS,
+    roundInput,
+    validateRecording,
+    parseRecording,
+    formatRecording
+} from '../../src/sessions/index.js';
+
+// Recorder on a clock moved by hand, in milliseconds
+function recorder(start = 1000) {
+    const clock = { now: start };
+    return { clock, recorder: new SessionRecorder({ now: () => clock.now }) };
+}
+
+const cube = { face: 'front', zones: { dial: { type: 'dial', state: { rotation: 0 } } } };
+
+test('captured inputs are stamped from the start, input times included', () => {
+    const { clock, recorder: sessions } = recorder(1000);
+    sessions.start(cube);
+    clock.now = 1250;
+    sessions.capture('dial', { type: 'press', time: 1.25, angle: 0.123456789 });
+    clock.now = 1500;
+    sessions.face('left');
+
+    const recording = sessions.stop({ zones: {} });
+    assert.deepEqual(recording.events, [
+        { t: 250, zone: 'dial', input: { type: 'press', time: 0.25, angle: 0.1235 } },
+        { t: 500, face: 'left' }
+    ]);
+    assert.equal(recording.duration, 500);
+    assert.deepEqual(validateRecording(recording), []);
+});
+
+test('nothing is captured unless recording', () => {
+    const { recorder: sessions } = recorder();
+    sessions.capture('dial', { type: 'nudge', amount: 1 });
+    sessions.face('left');
+    assert.equal(sessions.stop({ zones: {} }), null);
+});
+
+test('the start state is a copy, unaffected by later changes', () => {
+    const { recorder: sessions } = recorder();
+    const zones = { dial: { type: 'dial', state: { rotation: 0 } } };
+    sessions.start({ face: 'front', zones });
+    zones.dial.state.rotation = 90;
+    assert.equal(sessions.stop({ zones }).zones.dial.state.rotation, 0);
+});
+
+test('a recording past its length limit stops taking events and has no end states', () => {
+    const { clock, recorder: sessions } = recorder(0);
+    sessions.start(cube);
+    clock.now = RECORDING_LIMITS.maxDuration + 1;
+    assert.equal(sessions.full, true);
+    sessions.capture('dial', { type: 'nudge', amount: 1 });
+
+    const recording = sessions.stop(cube);
+    assert.equal(recording.events.length, 0);
+    assert.equal(recording.duration, RECORDING_LIMITS.maxDuration);
+    assert.deepEqual(recording.end, {});
+});
+
+test('rounding reaches into arrays such as contact points', () => {
+    assert.deepEqual(roundInput({ type: 'move', time: 1.23456, contact: [0.123456, -0.5, 1] }),
+        { type: 'move', time: 1.235, contact: [0.1235, -0.5, 1] });
+});
+
+test('exported recordings parse back without their local id', () => {
+    const { recorder: sessions } = recorder();
+    sessions.start(cube);
+    sessions.capture('dial', { type: 'nudge', amount: 1 });
+    const recording = { id: 'abc', ...sessions.stop(cube) };
+
+    const parsed = parseRecording(formatRecording(recording));
+    assert.equal(parsed.id, undefined);
+    assert.deepEqual(parsed.events, recording.events);
+    assert.deepEqual(parsed.zones, recording.zones);
+});
+
+test('files that are not playable recordings are rejected with a reason', () => {
+    const valid = { format: 'fidgit-recording', version: 1, name: 'x', duration: 10, zones: {}, events: [] };
+    assert.throws(() => parseRecording('{'), /Not a JSON file/);
+    assert.throws(() => parseRecording('{"version":1}'), /Not a Fidgit recording/);
+    assert.throws(() => parseRecording(JSON.stringify({ ...valid, version: 2 })), /version 2/);
+    assert.throws(() => parseRecording(JSON.stringify({ ...valid, zones: { a: { type: 'dial' } } })), /"a" needs a type and a state/);
+    assert.throws(() => parseRecording(JSON.stringify({
+        ...valid,
+        events: [{ t: 5, face: 'left' }, { t: 2, face: 'right' }]
+    })), /Event 2/);
+    assert.throws(() => parseRecording(JSON.stringify({
+        ...valid,
+        events: [{ t: 5, zone: 'dial', input: { amount: 1 } }]
+    })), /Event 1/);
+    assert.deepEqual(parseRecording(JSON.stringify(valid)).end, {});
+});
+
+test('zone inputs need the fields their model reads', () => {
+    const zones = {
+        sheet: { type: 'bubble', state: { popped: [] } },
+        dial: { type: 'dial', state: { rotation: 0 } },
+        ball: { type: 'roll', state: {} },
+        lamp: { type: 'lamp', state: {} }
+    };
+    const recording = (...inputs) => ({
+        format: 'fidgit-recording',
+        version: 1,
+        name: 'x',
+        duration: 10,
+        zones,
+        events: inputs.map(([zone, input], index) => ({ t: index, zone, input }))
+    });
+
+    assert.deepEqual(validateRecording(recording(
+        ['sheet', { type: 'press', id: 'keyboard', index: 3 }],
+        ['ball', { type: 'press', time: 0.1, contact: [0, 0, 1] }],
+        ['lamp', { type: 'glow' }], // Zones without a model take anything
+        ['gone', { type: 'spin' }]
+    )), []);
+    assert.deepEqual(validateRecording(recording(
+        ['dial', { type: 'nudge', amount: 1 }],
+        ['sheet', { type: 'press', id: 1 }]
+    )), ['Event 2 (bubble press): "index" must be a number']);
+    assert.deepEqual(validateRecording(recording(
+        ['dial', { type: 'move', time: 0.2, angle: 'left' }],
+        ['dial', { type: 'move', time: 0.3 }]
+    )), ['Event 1 (dial move): "angle" must be a number']);
+    assert.deepEqual(validateRecording(recording(['ball', { type: 'move', time: 0.1, contact: [0, 'up', 1] }])),
+        ['Event 1 (roll move): "contact" must be a list of numbers']);
+    assert.throws(() => parseRecording(JSON.stringify(recording(['dial', { type: 'spin' }]))),
+        /Event 1 \(dial spin\): the input must be one of press, move, release, nudge, flick/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulate } from '../../src/sessions/index.js';
+import { DialModel } from '../../src/core/index.js';
+
+// A recording of a slow drag on a dial from `rotation`, 30 degrees over a second
+function dialTurn(rotation = 0) {
+    const events = [{ t: 0, zone: 'dial', input: { type: 'press', time: 0, angle: 0 } }];
+    for (let i = 1; i <= 10; i++) {
+        const t = i * 100;
+        events.push({ t, zone: 'dial', input: { type: 'move', time: t / 1000, angle: (Math.PI / 6) * i / 10 } });
+    }
+    events.push({ t: 1500, zone: 'dial', input: { type: 'release', time: 1.5 } });
+    return {
+        format: 'fidgit-recording',
+        version: 1,
+        name: 'Dial turn',
+        duration: 3500,
+        face: 'front',
+        zones: { dial: { type: 'dial', state: { rotation } } },
+        events,
+        end: {}
+    };
+}
+
+test('a replay ends where the same input leaves a live model', () => {
+    const recording = dialTurn();
+    const live = new DialModel();
+    recording.events.forEach(event => live.handle(event.input));
+    live.advance(3);
+
+    const { zones } = simulate(recording);
+    assert.equal(zones.dial.type, 'dial');
+    assert.equal(zones.dial.state.rotation, live.state.rotation);
+    assert.equal(zones.dial.state.rotation, 30);
+});
+
+test('a replay starts from the recorded state', () => {
+    const { zones } = simulate(dialTurn(90));
+    assert.equal(zones.dial.state.rotation, 120);
+});
+
+test('feedback is reported with the time it fired', () => {
+    const { feedback } = simulate(dialTurn());
+    assert.deepEqual(feedback[0], { t: 0, zone: 'dial', event: 'start', coasting: false });
+    const notches = feedback.filter(entry => entry.event === 'notch');
+    // Notch boundaries at 7.5 and 22.5 degrees, crossed by the moves 300ms and 800ms in
+    assert.deepEqual(notches.map(entry => entry.t), [300, 800]);
+});
+
+test('zones without a model and face changes are passed over', () => {
+    const recording = dialTurn();
+    recording.zones.custom = { type: 'custom', state: {} };
+    recording.events.splice(1, 0, { t: 50, face: 'left' }, { t: 60, zone: 'custom', input: { type: 'press' } });
+    const { zones } = simulate(recording);
+    assert.deepEqual(Object.keys(zones), ['dial']);
+    assert.equal(zones.dial.state.rotation, 30);
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UsageStats, SESSION_GAP, KEEP_DAYS, dayKey } from '../../src/stats/usage-stats.js';
+
+// Usage stats on a clock the test moves, with a store that keeps nothing
+function usage(days = {}, start = new Date(2026, 2, 10, 12).getTime()) {
+    const clock = { time: start };
+    const store = {
+        load: () => ({ days }),
+        save() {},
+        scheduleSave() {},
+        clear() {}
+    };
+    const stats = new UsageStats({ store, now: () => clock.time });
+    return { stats, clock };
+}
+
+test('a pause longer than the session gap starts a new session', () => {
+    const { stats, clock } = usage();
+    const key = dayKey(clock.time);
+
+    stats.touchStart('click');
+    clock.time += 30000;
+    stats.touchEnd('click');
+    clock.time += (SESSION_GAP - 1) * 1000;
+    stats.touchStart('click');
+    stats.touchEnd('click');
+    assert.deepEqual(stats.days[key].sessions, []);
+
+    clock.time += (SESSION_GAP + 1) * 1000;
+    stats.touchStart('click');
+    assert.deepEqual(stats.days[key].sessions, [30 + SESSION_GAP - 1]);
+
+    clock.time += 10000;
+    stats.touchEnd('click');
+    stats.endSession();
+    assert.deepEqual(stats.days[key].sessions, [30 + SESSION_GAP - 1, 10]);
+});
+
+test('touch time counts while any finger is on a zone', () => {
+    const { stats, clock } = usage();
+
+    stats.touchStart('bubble');
+    clock.time += 2000;
+    stats.touchStart('bubble');
+    clock.time += 1000;
+    stats.touchEnd('bubble');
+    clock.time += 3000;
+    stats.touchEnd('bubble');
+    stats.touchEnd('bubble'); // An extra release adds nothing
+
+    clock.time += 5000;
+    stats.touchStart('bubble');
+    clock.time += 500;
+    stats.touchEnd('bubble');
+
+    const zone = stats.days[dayKey(clock.time)].zones.bubble;
+    assert.equal(zone.touches, 3);
+    assert.equal(zone.time, 6.5);
+});
+
+test('a new day starts at local midnight', () => {
+    const { stats, clock } = usage({}, new Date(2026, 2, 10, 23, 59, 50).getTime());
+
+    stats.touchStart('dial');
+    stats.recordEvent('dial', 'notch');
+    clock.time += 20000;
+    stats.recordEvent('dial', 'notch');
+    stats.touchEnd('dial');
+    stats.touchStart('dial');
+    stats.touchEnd('dial');
+    stats.endSession();
+
+    const before = stats.days['2026-03-10'];
+    const after = stats.days['2026-03-11'];
+    assert.deepEqual(before.zones.dial, { touches: 1, time: 20, events: { notch: 1 }, metrics: {} });
+    assert.deepEqual(after.zones.dial, { touches: 1, time: 0, events: { notch: 1 }, metrics: {} });
+
+    // A session is counted on the day it started
+    assert.deepEqual(before.sessions, [20]);
+    assert.deepEqual(after.sessions, []);
+});
+
+test('totals add up each zone type across days', () => {
+    const zone = (touches, time, events, metrics = {}) => ({ touches, time, events, metrics });
+    const { stats } = usage({
+        '2026-03-08': { sessions: [40], zones: { keys: zone(2, 3, { 'linear-press': 2 }) } },
+        '2026-03-09': {
+            sessions: [90, 15],
+            zones: {
+                keys: zone(5, 4, { 'linear-press': 1, 'clicky-press': 4 }),
+                spinner: zone(1, 6, { tick: 9 }, { revolutions: 1.5 })
+            }
+        },
+        '2026-03-10': { sessions: [300], zones: { spinner: zone(1, 1, {}, { revolutions: 2 }) } }
+    });
+
+    const totals = stats.totals(['2026-03-08', '2026-03-09', '2026-03-07']);
+    assert.equal(totals.touches, 8);
+    assert.equal(totals.time, 13);
+    assert.equal(totals.sessions, 3);
+    assert.equal(totals.longest, 90);
+    assert.deepEqual(totals.zones.keys, zone(7, 7, { 'linear-press': 3, 'clicky-press': 4 }));
+    assert.deepEqual(totals.zones.spinner, zone(1, 6, { tick: 9 }, { revolutions: 1.5 }));
+
+    assert.deepEqual(stats.totals(stats.lastDays(3)).zones.spinner.metrics, { revolutions: 3.5 });
+});
+
+test('days past the history kept are pruned', () => {
+    const now = new Date(2026, 2, 10, 12).getTime();
+    const day = (daysAgo) => dayKey(new Date(2026, 2, 10 - daysAgo, 12));
+    const { stats } = usage({
+        [day(KEEP_DAYS + 1)]: { sessions: [10], zones: {} },
+        [day(KEEP_DAYS)]: { sessions: [20], zones: {} },
+        [day(1)]: { sessions: [30], zones: {} }
+    }, now);
+
+    stats.prune();
+    assert.deepEqual(Object.keys(stats.days).sort(), [day(KEEP_DAYS), day(1)]);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StateStore, STATE_VERSION, migrate } from '../../src/storage/state-store.js';
+import { SpinnerZone } from '../../src/zones/spinner.js';
+
+// Storage holding a raw saved value, if any
+function storage(value) {
+    const items = value === undefined ? {} : { 'fidgit-state': value };
+    return {
+        items,
+        getItem: key => items[key] ?? null,
+        setItem: (key, value) => { items[key] = value; },
+        removeItem: key => { delete items[key]; }
+    };
+}
+
+const zones = { spinner: { type: 'spinner', state: { rotation: 90 } } };
+
+test('version 1 state moves to the front face', () => {
+    const { face, zones: loaded } = new StateStore(storage(JSON.stringify({ version: 1, savedAt: 0, zones }))).load();
+    assert.equal(face, 'front');
+    assert.deepEqual(loaded, zones);
+    assert.equal(migrate({ version: 1, zones }).version, STATE_VERSION);
+});
+
+test('state from a newer version is not restored', () => {
+    assert.equal(migrate({ version: STATE_VERSION + 1, face: 'top', zones }), null);
+    assert.deepEqual(new StateStore(storage(JSON.stringify({ version: STATE_VERSION + 1, face: 'top', zones }))).load(),
+        { face: null, zones: {} });
+});
+
+test('unreadable state falls back to defaults', () => {
+    ['{"version": 2, "zones"', '"front"', '[]', 'null', '{}', '{"version": "2"}'].forEach(value => {
+        assert.deepEqual(new StateStore(storage(value)).load(), { face: null, zones: {} }, value);
+    });
+    assert.deepEqual(new StateStore(storage()).load(), { face: null, zones: {} });
+});
+
+test('saved state loads back without transient keys', () => {
+    const saved = storage();
+    const state = { ...SpinnerZone.defaultState(), rotation: 200, velocity: 12 };
+    new StateStore(saved).save({
+        face: 'left',
+        zones: { spinner: { type: 'spinner', state: SpinnerZone.persistedState(state) } }
+    });
+
+    assert.equal(JSON.parse(saved.items['fidgit-state']).version, STATE_VERSION);
+    assert.deepEqual(new StateStore(saved).load(), {
+        face: 'left',
+        zones: { spinner: { type: 'spinner', state: { rotation: 200 } } }
+    });
+    assert.equal(state.velocity, 12);
+});
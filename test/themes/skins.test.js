@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { skins, DEFAULT_SKIN, skinKey, getSkin, pairedSettings } from '../../src/themes/skins.js';
+import { soundPacks } from '../../src/audio/sound-packs.js';
+import { defaultSettings } from '../../src/settings.js';
+
+const styles = readFileSync(new URL('../../styles.css', import.meta.url), 'utf8');
+
+test('the default skin is the one in the default settings', () => {
+    assert.equal(defaultSettings.skin, DEFAULT_SKIN);
+    assert.ok(skins[DEFAULT_SKIN]);
+});
+
+test('unknown skins fall back to the default', () => {
+    assert.equal(skinKey('wood'), 'wood');
+    assert.equal(skinKey('velvet'), DEFAULT_SKIN);
+    assert.equal(skinKey('toString'), DEFAULT_SKIN);
+    assert.equal(getSkin(undefined), skins[DEFAULT_SKIN]);
+});
+
+test('every skin other than the default has its styles', () => {
+    Object.keys(skins).filter(key => key !== DEFAULT_SKIN).forEach(key => {
+        assert.ok(styles.includes(`html[data-skin="${key}"] {`), `No styles for ${key}`);
+    });
+});
+
+test('every skin has a label and a theme color', () => {
+    Object.values(skins).forEach(skin => {
+        assert.equal(typeof skin.label, 'string');
+        assert.match(skin.themeColor, /^#[0-9a-f]{6}$/);
+    });
+});
+
+test('skins pair with sound packs and intensities the settings offer', () => {
+    Object.entries(skins).filter(([, skin]) => skin.pairing).forEach(([key, skin]) => {
+        const { soundPack, hapticIntensity } = skin.pairing;
+        assert.ok(soundPacks[soundPack], `${key} pairs with unknown pack ${soundPack}`);
+        assert.ok(hapticIntensity >= 0.25 && hapticIntensity <= 2 && hapticIntensity % 0.25 === 0, key);
+    });
+});
+
+test('paired settings are a copy, and empty for skins without a pairing', () => {
+    const settings = pairedSettings('wood');
+    settings.soundPack = 'soft';
+    assert.equal(skins.wood.pairing.soundPack, 'wooden');
+    assert.deepEqual(pairedSettings('light'), {});
+});
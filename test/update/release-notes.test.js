@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { unseenReleases, validateReleaseNotes } from '../../src/update/release-notes.js';
+
+const releases = [
+    { version: '1.2.0', notes: ['Newest'] },
+    { version: '1.1.0', notes: ['Newer'] },
+    { version: '1.0.0', notes: ['First'] }
+];
+
+test('releases the running version already has are left out', () => {
+    assert.deepEqual(unseenReleases(releases, releases.slice(2)).map(release => release.version), ['1.2.0', '1.1.0']);
+    assert.deepEqual(unseenReleases(releases, releases), []);
+});
+
+test('without the running version\'s notes only the newest release is shown', () => {
+    assert.deepEqual(unseenReleases(releases), releases.slice(0, 1));
+    assert.deepEqual(unseenReleases([]), []);
+});
+
+test('release notes need a version and a list of notes per release', () => {
+    assert.deepEqual(validateReleaseNotes(releases), []);
+    assert.deepEqual(validateReleaseNotes({}), ['Release notes must be a list of releases']);
+    assert.deepEqual(validateReleaseNotes([{ notes: [] }, { version: '1', notes: 'x' }]), [
+        'Release 1 needs a version',
+        'Release 2 needs a list of notes'
+    ]);
+});
+
+test('the bundled release notes are valid', () => {
+    const notes = JSON.parse(readFileSync(new URL('../../release-notes.json', import.meta.url), 'utf8'));
+    assert.deepEqual(validateReleaseNotes(notes), []);
+});
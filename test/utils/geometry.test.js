@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { angleDelta } from '../../src/utils/geometry.js';
+import { arrowStep, pageStep, isActivationKey } from '../../src/utils/keys.js';
+
+test('angleDelta takes the short way across ±π', () => {
+    const near = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+    near(angleDelta(0.2, 0.1), 0.1);
+    near(angleDelta(-Math.PI + 0.1, Math.PI - 0.1), 0.2);
+    near(angleDelta(Math.PI - 0.1, -Math.PI + 0.1), -0.2);
+});
+
+test('key helpers map arrows, pages and activation keys', () => {
+    assert.equal(arrowStep('ArrowRight'), 1);
+    assert.equal(arrowStep('ArrowDown'), -1);
+    assert.equal(arrowStep('a'), 0);
+    assert.equal(pageStep('PageUp'), 1);
+    assert.equal(pageStep('PageDown'), -1);
+    assert.equal(isActivationKey(' '), true);
+    assert.equal(isActivationKey('Enter'), true);
+    assert.equal(isActivationKey('Tab'), false);
+});
@@ -1,4 +1,5 @@
 import { defineConfig } from 'vite';
+import { precache } from './build/precache.js';
 
 export default defineConfig({
   build: {
@@ -11,6 +12,10 @@ export default defineConfig({
     copyPublicDir: true
   },
   publicDir: 'public',
+  plugins: [
+    // Writes service-worker.js into the build with its precache manifest
+    precache()
+  ],
   server: {
     port: 3000,
     open: false